@@ -0,0 +1,327 @@
+/* assets/admin.js
+    Staff lead inbox (admin/index.html) over /api/admin/* (netlify/functions/admin.js)
+    - Sign in with email + password; the session token lives in sessionStorage 'quirk_admin'
+    - List, search and filter leads (date, make, title status, UTM source, status, owner)
+    - Lead view at #lead/<id>: details, photos, status workflow, owner, notes, history
+    - CSV export of the current filter
+*/
+(function () {
+  "use strict";
+
+  const API = "/api/admin";
+  const TOKEN_KEY = "quirk_admin";
+  const PAGE_SIZE = 50;
+
+  const STATUS_LABELS = {
+    new: "New",
+    contacted: "Contacted",
+    appraised: "Appraised",
+    offer_made: "Offer made",
+    acquired: "Acquired",
+    lost: "Lost",
+    quarantined: "Quarantined"
+  };
+  const statusLabel = (s) => STATUS_LABELS[s] || s;
+
+  const $ = (id) => document.getElementById(id);
+  const el = (tag, props = {}, ...children) => {
+    const node = Object.assign(document.createElement(tag), props);
+    node.append(...children.filter((c) => c !== null && c !== undefined));
+    return node;
+  };
+  const when = (iso) => (iso ? new Date(iso).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "");
+
+  let token = null;
+  try { token = sessionStorage.getItem(TOKEN_KEY); } catch (_) {}
+
+  let staff = [];
+  let offset = 0;
+  let current = null; // lead record in the detail view
+
+  /* ---- API ---- */
+  class AuthError extends Error {}
+
+  async function api(path, { method = "GET", body, raw = false } = {}) {
+    const res = await fetch(`${API}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { "Content-Type": "application/json" } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (res.status === 401) throw new AuthError("Session expired");
+    if (raw) {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const message = (data.errors && data.errors[0] && data.errors[0].message) || data.error || `HTTP ${res.status}`;
+      throw new Error(message);
+    }
+    return data;
+  }
+
+  function signOut() {
+    token = null;
+    try { sessionStorage.removeItem(TOKEN_KEY); } catch (_) {}
+    showLogin();
+  }
+
+  /** Runs an API action; an expired session goes back to the sign-in form */
+  async function guarded(fn, onError) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (err instanceof AuthError) return signOut();
+      console.error(err);
+      onError(err.message);
+    }
+  }
+
+  /* ---- Sign in ---- */
+  function showLogin() {
+    $("loginForm").hidden = false;
+    $("inbox").hidden = true;
+    $("leadView").hidden = true;
+    $("whoami").hidden = true;
+    $("loginEmail").focus();
+  }
+
+  $("loginForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const error = $("loginError");
+    error.hidden = true;
+    try {
+      const res = await fetch(`${API}/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: $("loginEmail").value, password: $("loginPassword").value })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      token = data.token;
+      try { sessionStorage.setItem(TOKEN_KEY, token); } catch (_) {}
+      $("loginPassword").value = "";
+      start();
+    } catch (err) {
+      error.textContent = err.message;
+      error.hidden = false;
+    }
+  });
+
+  $("logoutBtn").addEventListener("click", signOut);
+
+  /* ---- List ---- */
+  const filtersForm = $("filters");
+
+  function filterQuery(extra = {}) {
+    const params = new URLSearchParams();
+    new FormData(filtersForm).forEach((v, k) => { if (String(v).trim()) params.set(k, String(v).trim()); });
+    Object.entries(extra).forEach(([k, v]) => params.set(k, v));
+    return params.toString();
+  }
+
+  /** Refills a filter <select>, keeping its fixed leading options and the current choice */
+  function fillSelect(select, values, label = (v) => v) {
+    const keep = Array.from(select.options).filter((o) => o.dataset.dynamic !== "1");
+    const chosen = select.value;
+    select.replaceChildren(...keep, ...values.map((v) => {
+      const o = el("option", { value: v, textContent: label(v) });
+      o.dataset.dynamic = "1";
+      return o;
+    }));
+    select.value = chosen;
+  }
+
+  const staffName = (email) => (staff.find((s) => s.email === email) || {}).name || email || "";
+
+  async function loadList() {
+    const status = $("listStatus");
+    status.textContent = "Loading…";
+    await guarded(async () => {
+      const data = await api(`/leads?${filterQuery({ offset: String(offset), limit: String(PAGE_SIZE) })}`);
+      fillSelect($("fMake"), data.facets.make);
+      fillSelect($("fTitle"), data.facets.title);
+      fillSelect($("fSource"), data.facets.utmSource);
+      fillSelect($("fOwner"), data.facets.owner, staffName);
+
+      $("leadRows").replaceChildren(...data.leads.map((lead) => {
+        const open = el("a", { href: `#lead/${encodeURIComponent(lead.id)}`, textContent: lead.id });
+        return el("tr", {},
+          el("td", { textContent: when(lead.createdAt) }),
+          el("td", {}, open),
+          el("td", {}, el("div", { textContent: lead.name }), el("div", { className: "hint", textContent: lead.email })),
+          el("td", { textContent: lead.vehicle }),
+          el("td", { textContent: lead.title }),
+          el("td", { textContent: lead.utmSource }),
+          el("td", {}, el("span", { className: `status-pill status-${lead.status}`, textContent: statusLabel(lead.status) })),
+          el("td", { textContent: staffName(lead.owner) }),
+          el("td", { textContent: lead.photos ? String(lead.photos) : "" })
+        );
+      }));
+
+      const last = Math.min(offset + data.leads.length, data.total);
+      status.textContent = data.total ? `${data.total} lead${data.total === 1 ? "" : "s"}` : "No leads match these filters.";
+      $("pageInfo").textContent = data.total ? `${offset + 1}–${last} of ${data.total}` : "";
+      $("prevPage").disabled = offset === 0;
+      $("nextPage").disabled = last >= data.total;
+    }, (message) => { status.textContent = `Couldn't load leads: ${message}`; });
+  }
+
+  filtersForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    offset = 0;
+    loadList();
+  });
+  filtersForm.addEventListener("reset", () => {
+    // After the browser has cleared the fields
+    setTimeout(() => { offset = 0; loadList(); });
+  });
+  $("prevPage").addEventListener("click", () => { offset = Math.max(0, offset - PAGE_SIZE); loadList(); });
+  $("nextPage").addEventListener("click", () => { offset += PAGE_SIZE; loadList(); });
+
+  $("exportBtn").addEventListener("click", () => guarded(async () => {
+    const res = await api(`/leads?${filterQuery({ format: "csv" })}`, { raw: true });
+    const url = URL.createObjectURL(await res.blob());
+    const name = (/filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "") || [])[1] || "leads.csv";
+    const a = el("a", { href: url, download: name });
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }, (message) => { $("listStatus").textContent = `Export failed: ${message}`; }));
+
+  /* ---- Lead view ---- */
+  function showLeadError(message) {
+    const error = $("leadError");
+    error.textContent = message || "";
+    error.hidden = !message;
+  }
+
+  function renderLead({ lead, sections, nextStatuses, gallery }) {
+    current = lead;
+    const d = lead.data || {};
+    $("leadVehicle").textContent = [d.year, d.make, d.model, d.trim].filter(Boolean).join(" ") || "Vehicle not specified";
+    $("leadMeta").textContent = [
+      lead.id,
+      `received ${when(lead.createdAt)}`,
+      (lead.submissions || []).length > 1 ? `${lead.submissions.length} submissions` : "",
+      // Why lib/spam.js held it back
+      lead.spam ? `spam score ${lead.spam.score} (${lead.spam.reasons.join(", ")})` : ""
+    ].filter(Boolean).join(" · ");
+    const pill = $("leadStatus");
+    pill.className = `status-pill status-${lead.status}`;
+    pill.textContent = statusLabel(lead.status);
+
+    $("statusButtons").replaceChildren(...(nextStatuses.length
+      ? nextStatuses.map((s) => {
+        const label = lead.status === "quarantined" && s === "new" ? "Release to inbox" : statusLabel(s);
+        const btn = el("button", { type: "button", className: s === "lost" ? "ghost-btn" : "", textContent: label });
+        btn.addEventListener("click", () => change({ status: s }));
+        return btn;
+      })
+      : [el("span", { className: "hint", textContent: "Closed" })]));
+
+    const owner = $("ownerSelect");
+    owner.replaceChildren(
+      el("option", { value: "", textContent: "Unassigned" }),
+      ...staff.map((s) => el("option", { value: s.email, textContent: s.name }))
+    );
+    owner.value = lead.owner || "";
+
+    $("leadSections").replaceChildren(...sections.map(({ title, rows }) => el("div", { className: "admin-section" },
+      el("h3", { textContent: title }),
+      el("dl", {}, ...rows.flatMap(([k, v]) => [el("dt", { textContent: k }), el("dd", { textContent: v })]))
+    )));
+
+    const files = lead.files || [];
+    // Stored photos (thumbnails, web + original sizes) live behind the signed gallery link
+    const galleryLink = gallery && el("p", { className: "admin-gallery-link" },
+      el("a", { href: gallery.url, target: "_blank", rel: "noopener noreferrer",
+        textContent: `Open photo gallery (${gallery.count} photo${gallery.count === 1 ? "" : "s"})` }));
+    $("leadPhotos").replaceChildren(...(galleryLink ? [galleryLink] : []), ...(files.length
+      ? files.map((f) => (f.url
+        ? el("a", { href: f.url, target: "_blank", rel: "noopener noreferrer", className: "thumb" },
+          el("img", { src: f.url, alt: f.filename || "Photo", loading: "lazy" }))
+        // Uploaded through /api/trade-appraisal: in the gallery, or attached to the lead email
+        : el("div", { className: "thumb" }, el("div", { className: "meta", textContent: `${f.filename} (${gallery ? "in gallery" : "emailed"})` }))))
+      : [el("p", { className: "hint", textContent: "No photos uploaded." })]));
+
+    $("leadNotes").replaceChildren(...(lead.notes || []).slice().reverse().map((n) => el("li", {},
+      el("div", { className: "hint", textContent: `${staffName(n.by)} · ${when(n.at)}` }),
+      el("div", { className: "admin-note-text", textContent: n.text })
+    )));
+
+    $("leadHistory").replaceChildren(...(lead.history || []).slice().reverse().map((h) => el("li", {
+      textContent: `${when(h.at)} — ${staffName(h.by)} ${h.type === "status"
+        ? `moved ${statusLabel(h.from)} → ${statusLabel(h.to)}`
+        : `set owner to ${staffName(h.to) || "nobody"}`}`
+    })), el("li", { textContent: `${when(lead.createdAt)} — submitted` }));
+  }
+
+  async function openLead(id) {
+    $("inbox").hidden = true;
+    $("leadView").hidden = false;
+    showLeadError("");
+    await guarded(async () => {
+      renderLead(await api(`/leads/${encodeURIComponent(id)}`));
+      window.scrollTo({ top: 0 });
+    }, showLeadError);
+  }
+
+  async function change(changes) {
+    if (!current) return;
+    showLeadError("");
+    await guarded(async () => {
+      renderLead(await api(`/leads/${encodeURIComponent(current.id)}`, { method: "PATCH", body: changes }));
+    }, showLeadError);
+  }
+
+  $("ownerSelect").addEventListener("change", (e) => change({ owner: e.target.value || null }));
+
+  $("noteForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const text = $("noteText").value.trim();
+    if (!text || !current) return;
+    showLeadError("");
+    await guarded(async () => {
+      renderLead(await api(`/leads/${encodeURIComponent(current.id)}/notes`, { method: "POST", body: { text } }));
+      $("noteText").value = "";
+    }, showLeadError);
+  });
+
+  $("backBtn").addEventListener("click", () => { location.hash = ""; });
+
+  /* ---- Routing: #lead/<id> opens a lead, anything else is the list ---- */
+  function route() {
+    const m = /^#lead\/(.+)$/.exec(location.hash);
+    if (m) return openLead(decodeURIComponent(m[1]));
+    current = null;
+    $("leadView").hidden = true;
+    $("inbox").hidden = false;
+    return loadList();
+  }
+
+  async function start() {
+    if (!token) return showLogin();
+    await guarded(async () => {
+      const me = await api("/me");
+      staff = me.staff;
+      fillSelect($("fStatus"), me.statuses, statusLabel);
+      $("userName").textContent = me.user.name;
+      $("whoami").hidden = false;
+      $("loginForm").hidden = true;
+      await route();
+    }, (message) => {
+      showLogin();
+      const error = $("loginError");
+      error.textContent = `Couldn't reach the inbox: ${message}`;
+      error.hidden = false;
+    });
+  }
+
+  window.addEventListener("hashchange", () => { if (token) route(); });
+  start();
+})();
@@ -1,10 +1,21 @@
 /* assets/app.js
-    Quirk Sight-Unseen Trade Tool — VIN decode + Netlify Forms submit
-    - Robust VIN decode (NHTSA VPIC) prefills Year/Make/Model/Trim
+    Quirk Sight-Unseen Trade Tool — VIN decode + lead submit
+    - Robust VIN decode (NHTSA VPIC via /api/vin proxy) prefills Year/Make/Model/Trim
+    - Offline VIN check digit + inline errors; Year/Make fallback from WMI (assets/vin.js)
     - Case-insensitive Make/Model selection; adds option if missing so selection “sticks”
     - Year list & common Make bootstrap if HTML left blank
-    - Model loader for Make+Year
-    - Spanish toggle (reads/writes localStorage 'quirk_lang')
+    - Clear Form with confirm + short-lived Undo toast
+    - UTM / click-ID / referrer hidden fields (assets/attribution.js)
+    - Photo previews, limits and in-browser compression (assets/photos.js)
+    - Optional step-by-step mode with progress + review screen (assets/wizard.js)
+    - Autosaved draft with restore prompt + emailed resume link (assets/draft.js)
+    - Reference number (/api/lead-ref) + instant estimate (/api/valuation) handed to
+      the confirmation page on submit
+    - Submit to /api/trade-appraisal (multipart + photos) with progress, inline
+      server errors and retries; native Netlify Forms post as the fallback
+    - Phone as-you-type formatting + NANP validation → E.164 in phoneRaw (assets/phone.js)
+    - Model loader for Make+Year (/api/models proxy)
+    - Language toggle over key-based locale bundles (assets/i18n.js + assets/i18n/*.json)
     - Logo SVG injection + recolor
 */
 
@@ -30,9 +41,22 @@ async function fetchWithTimeout(resource, options = {}) {
   }
 }
 
+/** Localized message by key (assets/i18n.js) */
+function i18nText(key, vars) {
+  return window.QuirkI18n ? window.QuirkI18n.t(key, vars) : key;
+}
+
+/** Keyed message in an element, re-rendered on language change; null key clears it */
+function i18nSet(el, key, vars) {
+  if (!el) return;
+  if (window.QuirkI18n) window.QuirkI18n.set(el, key, vars);
+  else el.textContent = key ? i18nText(key, vars) : "";
+}
+
 function validVin(v) {
   if (!v) return false;
   const s = String(v).trim().toUpperCase();
+  if (window.QuirkVin) return window.QuirkVin.validate(s).ok;
   return /^[A-HJ-NPR-Z0-9]{17}$/.test(s);
 }
 
@@ -94,6 +118,8 @@ const trimInput = document.getElementById("trim") || $('[name="trim"]');
 
 const vinInput  = document.getElementById("vin")  || $('[name="vin"]');
 const decodeBtn = document.getElementById("decodeVinBtn") || $('[data-i18n="decodeVinBtn"]');
+const vinError  = document.getElementById("vinError");
+const vinStatus = document.getElementById("vinStatus");
 
 const modelStatus = document.getElementById("modelStatus") || document.getElementById("model-status");
 
@@ -135,9 +161,13 @@ let modelsAborter = null;
 
 function resetModels(disable = true) {
   if (!modelSel) return;
-  modelSel.innerHTML = '<option value="">Select Model</option>';
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  i18nSet(placeholder, "selectModel");
+  modelSel.replaceChildren(placeholder);
   modelSel.disabled = disable;
-  if (modelStatus) modelStatus.textContent = "";
+  modelSel.required = false;
+  i18nSet(modelStatus, null);
 }
 
 async function loadModels() {
@@ -149,26 +179,24 @@ async function loadModels() {
   resetModels(true);
   if (!make || !year) return;
 
-  if (modelStatus) modelStatus.textContent = "Loading models…";
+  i18nSet(modelStatus, "modelsLoading");
 
   if (modelsAborter) modelsAborter.abort();
   modelsAborter = new AbortController();
 
   try {
-    const url = `https://vpic.nhtsa.dot.gov/api/vehicles/getmodelsformakeyear/make/${encodeURIComponent(make)}/modelyear/${encodeURIComponent(year)}?format=json`;
+    const url = `/api/models?make=${encodeURIComponent(make)}&year=${encodeURIComponent(year)}`;
 
     const res = await fetchWithTimeout(url, { timeout: 15000, signal: modelsAborter.signal });
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     const data = await res.json();
 
-    const models = ((data && data.Results) || [])
-      .map((r) => r.Model_Name || r.Model || "")
-      .filter(Boolean)
-      .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+    // Proxy returns them de-duplicated and sorted
+    const models = (data && data.models) || [];
 
     if (models.length === 0) {
-      if (modelStatus) modelStatus.textContent = "No models returned. You can type Trim instead.";
       resetModels(true);
+      i18nSet(modelStatus, "modelsNone");
       return;
     }
 
@@ -179,12 +207,14 @@ async function loadModels() {
       modelSel.appendChild(o);
     });
 
+    // Required only when there is a list to choose from (lib/lead-schema.js)
     modelSel.disabled = false;
-    if (modelStatus) modelStatus.textContent = `Loaded ${models.length} models.`;
+    modelSel.required = true;
+    i18nSet(modelStatus, "modelsLoaded", { count: models.length });
   } catch (err) {
     if (err.name === "AbortError") return;
     resetModels(true);
-    if (modelStatus) modelStatus.textContent = "Could not load models (network issue). Try again or type Trim.";
+    i18nSet(modelStatus, "modelsFailed");
   } finally {
     modelsAborter = null;
   }
@@ -193,7 +223,40 @@ async function loadModels() {
 makeSel?.addEventListener("change", loadModels);
 yearSel?.addEventListener("change", loadModels);
 
-/* -------------------- VIN decode (VPIC) -------------------- */
+/* -------------------- VIN validation (offline) -------------------- */
+function setVinError(msg) {
+  if (!vinInput) return;
+  vinInput.setCustomValidity(msg);
+  vinInput.setAttribute("aria-invalid", String(!!msg));
+  if (vinError) {
+    vinError.textContent = msg;
+    vinError.hidden = !msg;
+  }
+}
+
+/** Shows the specific reason a VIN is invalid; returns true when it is valid */
+function checkVinField({ quiet = false } = {}) {
+  if (!vinInput || !window.QuirkVin) return true;
+  const raw = vinInput.value || "";
+  const result = window.QuirkVin.validate(raw);
+  setVinError(result.ok || (quiet && !raw.trim()) ? "" : result.message);
+  return result.ok;
+}
+
+/** Prefills Year/Make from the VIN itself when VPIC is down or slow */
+function prefillFromVin(vin) {
+  if (!window.QuirkVin) return false;
+  const local = window.QuirkVin.decodeLocal(vin);
+  let filled = false;
+  if (local.year && yearSel && !yearSel.value) filled = setYearSelectValue(yearSel, local.year) || filled;
+  if (local.make && makeSel && !makeSel.value) filled = setSelectValueCaseInsensitive(makeSel, local.make) || filled;
+  if (filled) i18nSet(vinStatus, "vinOfflinePrefill");
+  return filled;
+}
+
+/* -------------------- VIN decode (VPIC via /api/vin) -------------------- */
+const VPIC_SLOW_MS = 4000; // prefill locally if VPIC hasn't answered by then
+
 let vinAborter = null;
 let lastDecodedVin = "";
 
@@ -209,18 +272,27 @@ async function decodeVin(vinRaw) {
 
   if (vinAborter) vinAborter.abort();
   vinAborter = new AbortController();
+  i18nSet(vinStatus, null);
+
+  const slowTimer = setTimeout(() => {
+    if (prefillFromVin(vin)) loadModels();
+  }, VPIC_SLOW_MS);
 
   try {
-    const url = `https://vpic.nhtsa.dot.gov/api/vehicles/decodevinvaluesextended/${encodeURIComponent(vin)}?format=json`;
+    const url = `/api/vin/${encodeURIComponent(vin)}`;
     const res = await fetchWithTimeout(url, { timeout: 15000, signal: vinAborter.signal });
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     const data = await res.json();
+    clearTimeout(slowTimer);
+
+    // Normalized by netlify/functions/vpic.js
+    const decYear  = data.year  || "";
+    const decMake  = data.make  || "";
+    const decModel = data.model || "";
+    const decTrim  = data.trim  || "";
 
-    const row = (data && data.Results && data.Results[0]) || {};
-    const decYear  = row.ModelYear || row.Model_Year || "";
-    const decMake  = row.Make || "";
-    const decModel = row.Model || "";
-    const decTrim  = row.Trim || row.Series || "";
+    if (!decYear && !decMake) throw new Error("VPIC returned no year/make");
+    i18nSet(vinStatus, null);
 
     // 1) Year
     if (decYear) setYearSelectValue(yearSel, decYear);
@@ -239,7 +311,10 @@ async function decodeVin(vinRaw) {
 
     lastDecodedVin = vin;
   } catch (err) {
+    clearTimeout(slowTimer);
     console.error("VIN decode failed:", err);
+    // Timed out or VPIC is down: fall back to what the VIN itself tells us
+    if (vin === String(vinInput.value || "").trim().toUpperCase() && prefillFromVin(vin)) loadModels();
   } finally {
     vinAborter = null;
   }
@@ -249,6 +324,10 @@ async function decodeVin(vinRaw) {
 decodeBtn?.addEventListener("click", (e) => {
   e.preventDefault();
   const v = vinInput?.value || "";
+  if (!checkVinField()) {
+    vinInput?.focus();
+    return;
+  }
   decodeVin(v);
 });
 
@@ -256,14 +335,545 @@ vinInput?.addEventListener(
   "input",
   debounce(() => {
     const v = vinInput.value || "";
+    // Only nag once the customer has typed a full-length VIN
+    if (v.trim().length >= 17) checkVinField();
+    else setVinError("");
     if (validVin(v)) decodeVin(v);
   }, 600)
 );
 
-/* NOTE: The JavaScript form submission logic has been removed.
-  The form now submits using the standard browser behavior via the 'action'
-  attribute in index.html. This is more reliable with Netlify's form detection.
-*/
+vinInput?.addEventListener("blur", () => checkVinField({ quiet: true }));
+
+/* -------------------- Attribution hidden fields -------------------- */
+(function fillAttribution() {
+  if (!form || !window.QuirkAttribution) return;
+  try {
+    window.QuirkAttribution.apply(form);
+  } catch (err) {
+    console.warn("Attribution capture failed:", err);
+  }
+})();
+
+/* -------------------- Time-to-fill token (/api/form-token) -------------------- */
+// Signed page-load time; the lead handlers score instant submits as bots
+(async function fillFormToken() {
+  const input = document.getElementById("formToken");
+  if (!input) return;
+  try {
+    const res = await fetchWithTimeout("/api/form-token", { timeout: 8000 });
+    if (res.ok) input.value = (await res.json()).token || "";
+  } catch (err) {
+    console.warn("Form token unavailable:", err);
+  }
+})();
+
+/* -------------------- Phone formatting (phoneRaw = E.164) -------------------- */
+const phoneInput = document.getElementById("phone");
+const phoneRaw   = document.getElementById("phoneRaw");
+const phoneError = document.getElementById("phoneError");
+
+function setPhoneError(msg) {
+  if (!phoneInput) return;
+  phoneInput.setCustomValidity(msg);
+  phoneInput.setAttribute("aria-invalid", String(!!msg));
+  if (phoneError) {
+    phoneError.textContent = msg;
+    phoneError.hidden = !msg;
+  }
+}
+
+/** Validates #phone, fills phoneRaw and (unless quiet) shows the error */
+function checkPhoneField({ quiet = false } = {}) {
+  if (!phoneInput || !window.QuirkPhone) return true;
+  const result = window.QuirkPhone.validate(phoneInput.value);
+  if (phoneRaw) phoneRaw.value = result.ok ? result.e164 : "";
+  setPhoneError(result.ok || quiet ? "" : result.message);
+  return result.ok;
+}
+
+if (phoneInput && window.QuirkPhone) {
+  window.QuirkPhone.attach(phoneInput, {
+    // Nag only once all 10 digits are in; blur catches short numbers
+    onChange: (digits) => checkPhoneField({ quiet: digits.length < 10 })
+  });
+  phoneInput.addEventListener("blur", () => checkPhoneField({ quiet: !phoneInput.value.trim() }));
+}
+
+/* -------------------- Toast -------------------- */
+const toastEl = document.getElementById("toast");
+let toastTimer = null;
+
+/** Shows a message in #toast; optional action renders a button (e.g. Undo) */
+function showToast(message, { actionLabel, onAction, duration = 4000 } = {}) {
+  if (!toastEl) return;
+  clearTimeout(toastTimer);
+  toastEl.innerHTML = "";
+
+  const text = document.createElement("span");
+  text.textContent = message;
+  toastEl.appendChild(text);
+
+  if (actionLabel && onAction) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "toast-action";
+    btn.textContent = actionLabel;
+    btn.addEventListener("click", () => {
+      hideToast();
+      onAction();
+    });
+    toastEl.appendChild(btn);
+  }
+
+  toastEl.classList.add("show");
+  toastTimer = setTimeout(hideToast, duration);
+}
+
+function hideToast() {
+  if (!toastEl) return;
+  clearTimeout(toastTimer);
+  toastEl.classList.remove("show");
+}
+
+/* -------------------- Clear Form (confirm + undo) -------------------- */
+const clearBtn = document.getElementById("clearBtn");
+
+const UNDO_WINDOW_MS = 8000;
+
+// Hidden inputs that must survive a reset (attribution + Netlify plumbing)
+const isKeptHidden = (el) => el.type === "hidden" && el.name !== "phoneRaw";
+
+/** Detached copy of a FileList (the live one is emptied when the input is cleared) */
+function copyFiles(list) {
+  try {
+    const dt = new DataTransfer();
+    Array.from(list || []).forEach((f) => dt.items.add(f));
+    return dt.files;
+  } catch (_) {
+    return list;
+  }
+}
+
+/** Captures everything the reset touches so Undo can put it back */
+function snapshotForm() {
+  const fields = Array.from(form.elements)
+    .filter((el) => el.name && !isKeptHidden(el))
+    .map((el) => {
+      if (el.type === "file") return { el, files: copyFiles(el.files) };
+      if (el.type === "checkbox" || el.type === "radio") return { el, checked: el.checked };
+      return { el, value: el.value };
+    });
+  return {
+    fields,
+    modelOptions: modelSel ? modelSel.innerHTML : "",
+    modelDisabled: modelSel ? modelSel.disabled : true,
+    // Key + arguments, so a restored status still follows the language toggle
+    modelStatusKey: modelStatus ? modelStatus.getAttribute("data-i18n") : null,
+    modelStatusVars: modelStatus ? modelStatus.getAttribute("data-i18n-vars") : null,
+    lastDecodedVin
+  };
+}
+
+function restoreForm(snap) {
+  if (modelSel) {
+    modelSel.innerHTML = snap.modelOptions;
+    modelSel.disabled = snap.modelDisabled;
+    modelSel.required = !snap.modelDisabled;
+  }
+  i18nSet(modelStatus, snap.modelStatusKey, snap.modelStatusVars ? JSON.parse(snap.modelStatusVars) : undefined);
+
+  snap.fields.forEach(({ el, value, checked, files }) => {
+    if (files !== undefined) {
+      try { el.files = files; } catch (_) { /* older browsers: files can't be reassigned */ }
+    } else if (checked !== undefined) {
+      el.checked = checked;
+    } else {
+      el.value = value;
+    }
+  });
+  lastDecodedVin = snap.lastDecodedVin;
+  form.dispatchEvent(new CustomEvent("quirk:restored"));
+}
+
+function clearForm() {
+  Array.from(form.elements).forEach((el) => {
+    if (!el.name || isKeptHidden(el)) return;
+    if (el.tagName === "SELECT") {
+      const def = Array.from(el.options).findIndex((o) => o.defaultSelected);
+      el.selectedIndex = def >= 0 ? def : 0;
+    } else if (el.type === "checkbox" || el.type === "radio") {
+      el.checked = false;
+    } else {
+      el.value = "";
+    }
+  });
+
+  resetModels(true);
+  lastDecodedVin = "";
+  setVinError("");
+  setPhoneError("");
+  i18nSet(vinStatus, null);
+  form.querySelectorAll(".preview-grid").forEach((grid) => { grid.innerHTML = ""; });
+  form.dispatchEvent(new CustomEvent("quirk:cleared"));
+}
+
+clearBtn?.addEventListener("click", (e) => {
+  e.preventDefault();
+  if (!form) return;
+  if (!window.confirm(i18nText("clearConfirm"))) return;
+
+  const snap = snapshotForm();
+  clearForm();
+  window.scrollTo({ top: 0, behavior: "smooth" });
+  showToast(i18nText("clearDone"), { actionLabel: i18nText("undo"), onAction: () => restoreForm(snap), duration: UNDO_WINDOW_MS });
+});
+
+/* -------------------- Photo previews & compression -------------------- */
+const photos = window.QuirkPhotos && form
+  ? window.QuirkPhotos.init({
+      form,
+      errorEl: document.getElementById("photoError"),
+      fields: [
+        ["photoExterior", "prevExterior"],
+        ["photoInterior", "prevInterior"],
+        ["photoDash", "prevDash"],
+        ["photoDamage", "prevDamage"]
+      ].map(([inputId, gridId]) => ({
+        input: document.getElementById(inputId),
+        grid: document.getElementById(gridId)
+      }))
+    })
+  : null;
+
+// Don't let the native post go out with half-processed photos
+form?.addEventListener("submit", (e) => {
+  if (photos && photos.isBusy()) {
+    e.preventDefault();
+    showToast(photos.busyMessage());
+  }
+});
+
+/* -------------------- Step-by-step mode -------------------- */
+const wizard = window.QuirkWizard && form
+  ? window.QuirkWizard.init({
+      form,
+      // Same inline messages as the one-page form, checked before leaving the step
+      validateStep: (step, { quiet }) => {
+        let ok = true;
+        if (vinInput && step.contains(vinInput)) ok = checkVinField({ quiet }) && ok;
+        if (phoneInput && step.contains(phoneInput)) ok = checkPhoneField({ quiet }) && ok;
+        return ok;
+      },
+      canLeaveStep: (step) =>
+        photos && photos.isBusy() && step.querySelector('input[type="file"]') ? photos.busyMessage() : "",
+      onBlocked: (message) => showToast(message)
+    })
+  : null;
+
+/* -------------------- Autosave & resume link -------------------- */
+/** Writes saved answers back in; Model waits for the Make+Year list to load */
+async function applyDraft(values) {
+  Array.from(form.elements).forEach((el) => {
+    if (!el.name || !(el.name in values) || el === modelSel) return;
+    if (el.type === "file" || el.type === "hidden") return;
+    const v = values[el.name];
+    if (el.type === "checkbox" || el.type === "radio") el.checked = el.value === v;
+    else if (el === yearSel) setYearSelectValue(el, v);
+    else if (el.tagName === "SELECT") setSelectValueCaseInsensitive(el, v);
+    else el.value = v;
+  });
+
+  if (values.make && values.year) {
+    await loadModels();
+    if (values.model) setSelectValueCaseInsensitive(modelSel, values.model);
+  }
+  if (values.phone) checkPhoneField({ quiet: true });
+  if (values.vin) checkVinField({ quiet: true });
+}
+
+const draft = window.QuirkDraft && form
+  ? window.QuirkDraft.init({
+      form,
+      apply: applyDraft,
+      notify: (message) => showToast(message, { duration: 6000 }),
+      linkButton: document.getElementById("draftLinkBtn")
+    })
+  : null;
+
+/* -------------------- Submit: reference number + instant estimate -------------------- */
+// Both are fetched just before the native post and handed to the confirmation
+// page (success/index.html via assets/success.js) in sessionStorage.
+const CONFIRMATION_KEY = "quirk_confirmation";
+const PRESUBMIT_TIMEOUT_MS = 4000; // never hold up the real submit for long
+
+let presubmitDone = false;
+
+/** "1HG•••••••••4352": enough to recognise, not enough to reuse */
+function maskVin(vin) {
+  const v = String(vin || "").trim().toUpperCase();
+  return v.length === 17 ? `${v.slice(0, 3)}${"•".repeat(10)}${v.slice(-4)}` : "";
+}
+
+async function postJson(url, body) {
+  try {
+    const res = await fetchWithTimeout(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      timeout: PRESUBMIT_TIMEOUT_MS
+    });
+    return res.ok ? await res.json() : null;
+  } catch (err) {
+    console.warn(`${url} unavailable:`, err);
+    return null;
+  }
+}
+
+// Registered after the other submit guards: only runs for a submit that is going ahead
+form?.addEventListener("submit", async (e) => {
+  if (e.defaultPrevented || presubmitDone) return;
+  e.preventDefault();
+  presubmitDone = true;
+
+  const submitBtn = document.getElementById("submitBtn");
+  if (submitBtn) submitBtn.disabled = true;
+
+  const values = Object.fromEntries(
+    Array.from(new FormData(form)).filter(([, v]) => typeof v === "string")
+  );
+  const [ref, estimate] = await Promise.all([
+    postJson("/api/lead-ref", {}),
+    postJson("/api/valuation", values)
+  ]);
+
+  const leadRefInput = document.getElementById("leadRef");
+  if (leadRefInput) leadRefInput.value = ref && ref.ref ? ref.ref : "";
+
+  try {
+    sessionStorage.setItem(CONFIRMATION_KEY, JSON.stringify({
+      leadId: ref && ref.leadId ? ref.leadId : null,
+      vehicle: { year: values.year, make: values.make, model: values.model, trim: values.trim },
+      vin: maskVin(values.vin),
+      photos: photos ? photos.count() : 0,
+      estimate: estimate && estimate.ok ? estimate : null,
+      submittedAt: new Date().toISOString()
+    }));
+  } catch (_) { /* private mode: the page falls back to the generic thank-you */ }
+
+  if (apiSubmitEnabled()) {
+    const outcome = await submitViaApi();
+    if (outcome !== "unavailable") {
+      if (outcome !== "sent") {
+        presubmitDone = false;
+        if (submitBtn) submitBtn.disabled = false;
+      }
+      return;
+    }
+  }
+
+  // Native post to Netlify Forms (form.submit() skips the submit listeners)
+  form.submit();
+});
+
+/* -------------------- Submit via /api/trade-appraisal -------------------- */
+// Progressive enhancement (data-submit="api" on the form): fields + photos go
+// to the trade-appraisal function as multipart with a progress bar, its
+// validation errors are shown inline and dropped connections are retried. Without
+// JS, or when the function can't take the upload, the native Netlify Forms
+// post above still happens.
+const API_SUBMIT_URL = "/api/trade-appraisal";
+const API_MAX_BYTES = 6 * 1024 * 1024 - 64 * 1024; // lib/form-body.js MAX_BODY_BYTES
+const SUBMIT_RETRY_DELAYS_MS = [1000, 3000, 8000];
+const SUBMIT_TIMEOUT_MS = 90000;
+
+const submitProgress = document.getElementById("submitProgress");
+const submitProgressFill = document.getElementById("submitProgressFill");
+const submitProgressLabel = document.getElementById("submitProgressLabel");
+const submitError = document.getElementById("submitError");
+
+function apiSubmitEnabled() {
+  return !!form && form.dataset.submit === "api" && "FormData" in window;
+}
+
+/** Shows the progress bar at `percent` (its label is set by the caller) */
+function setSubmitProgress(percent) {
+  if (!submitProgress) return;
+  submitProgress.hidden = false;
+  if (submitProgressFill) submitProgressFill.style.width = `${percent}%`;
+  submitProgress.querySelector('[role="progressbar"]')?.setAttribute("aria-valuenow", String(percent));
+}
+
+function hideSubmitProgress() {
+  if (submitProgress) submitProgress.hidden = true;
+}
+
+function showSubmitError(show) {
+  if (submitError) submitError.hidden = !show;
+}
+
+/**
+ * POSTs the form body; resolves with the HTTP status and parsed JSON, rejects on
+ * network errors and timeouts (err.code "network" / "timeout"). XHR rather than
+ * fetch, which can't report upload progress.
+ */
+function postFormData(body, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", API_SUBMIT_URL);
+    xhr.timeout = SUBMIT_TIMEOUT_MS;
+    xhr.upload.addEventListener("progress", (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    });
+    xhr.addEventListener("load", () => {
+      let data = null;
+      try { data = JSON.parse(xhr.responseText); } catch (_) { /* plain-text error */ }
+      resolve({ status: xhr.status, data });
+    });
+    xhr.addEventListener("error", () => reject(Object.assign(new Error("Network error"), { code: "network" })));
+    xhr.addEventListener("timeout", () => reject(Object.assign(new Error("Timed out"), { code: "timeout" })));
+    xhr.send(body);
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* ---- Inline errors from the function (422) ---- */
+const serverErrorEls = new Map(); // control -> error element we added
+
+function clearServerErrors() {
+  serverErrorEls.forEach((errEl, control) => {
+    control.setCustomValidity("");
+    control.removeAttribute("aria-invalid");
+    errEl.remove();
+  });
+  serverErrorEls.clear();
+  showSubmitError(false);
+}
+
+// Server messages are English; the page shows its own by error code
+// (lib/lead-schema.js, lib/vin.js, lib/phone.js)
+function setServerErrorText(el, code) {
+  if (code === "required") i18nSet(el, "fieldRequired");
+  else if (code === "too_long") i18nSet(el, "fieldTooLong");
+  else if (code === "invalid_email") i18nSet(el, "emailInvalid");
+  else if (code === "disposable_email") i18nSet(el, "emailDisposable");
+  else if (code === "invalid_phone_length") i18nSet(el, "phoneLength");
+  else if (code === "invalid_phone_areaCode") i18nSet(el, "phoneAreaCode");
+  else if (code === "invalid_phone_exchange") i18nSet(el, "phoneExchange");
+  else if (code === "invalid_phone_fictional") i18nSet(el, "phoneFictional");
+  else if (code === "invalid_format") i18nSet(el, "vinFormat");
+  else if (code === "invalid_check_digit") i18nSet(el, "vinCheckDigit");
+  else if (code === "not_integer") i18nSet(el, "fieldNotNumber");
+  else if (code === "out_of_range") i18nSet(el, "fieldOutOfRange");
+  else if (code === "invalid_enum") i18nSet(el, "fieldInvalidChoice");
+  else i18nSet(el, "fieldInvalid");
+}
+
+/** Marks each rejected field; returns false if none could be shown on the page */
+function showServerErrors(errors) {
+  let shown = 0;
+  errors.forEach(({ field, code }) => {
+    const named = form.elements.namedItem(field);
+    const control = named && named.length !== undefined && !named.tagName ? named[0] : named;
+    if (!control || control.type === "hidden" || !control.setCustomValidity) return;
+
+    // VIN and phone have their own message slots; other fields get one added
+    const own = { vin: vinError, phone: phoneError }[field];
+    const errEl = own || document.createElement("div");
+    if (!own) {
+      errEl.className = "field-error";
+      errEl.setAttribute("role", "alert");
+      (control.closest(".checkbox-row") || control).insertAdjacentElement("afterend", errEl);
+      serverErrorEls.set(control, errEl);
+    }
+    setServerErrorText(errEl, code);
+    errEl.hidden = false;
+    control.setCustomValidity(errEl.textContent);
+    control.setAttribute("aria-invalid", "true");
+    control.addEventListener("input", () => {
+      control.setCustomValidity("");
+      control.removeAttribute("aria-invalid");
+      if (own) errEl.hidden = true;
+      else { errEl.remove(); serverErrorEls.delete(control); }
+    }, { once: true });
+    shown++;
+  });
+  return shown > 0;
+}
+
+/**
+ * Sends the form to the trade-appraisal function.
+ * @returns {Promise<"sent"|"rejected"|"failed"|"unavailable">} "unavailable"
+ *   means fall back to the native post (function missing or upload too big).
+ */
+async function submitViaApi() {
+  clearServerErrors();
+  const body = new FormData(form);
+  const size = Array.from(body.values()).reduce((n, v) => n + (typeof v === "string" ? v.length : v.size), 0);
+  if (size > API_MAX_BYTES) return "unavailable";
+
+  for (let attempt = 0; ; attempt++) {
+    setSubmitProgress(0);
+    i18nSet(submitProgressLabel, "submitSending", { percent: 0 });
+    let res;
+    try {
+      res = await postFormData(body, (done) => {
+        const percent = Math.round(done * 100);
+        setSubmitProgress(percent);
+        // Fully uploaded: the function is saving and emailing the lead
+        if (percent < 100) i18nSet(submitProgressLabel, "submitSending", { percent });
+        else i18nSet(submitProgressLabel, "submitFinishing");
+      });
+    } catch (err) {
+      res = { status: 0, error: err };
+    }
+
+    if (res.status === 200 && res.data && res.data.ok) {
+      try {
+        const saved = JSON.parse(sessionStorage.getItem(CONFIRMATION_KEY) || "{}");
+        if (res.data.leadId) saved.leadId = res.data.leadId;
+        sessionStorage.setItem(CONFIRMATION_KEY, JSON.stringify(saved));
+      } catch (_) { /* private mode: generic thank-you */ }
+      location.assign(form.action);
+      return "sent";
+    }
+
+    if (res.status === 422 && res.data && Array.isArray(res.data.errors)) {
+      hideSubmitProgress();
+      i18nSet(submitError, "submitFixErrors");
+      showSubmitError(true);
+      // Jumps to (and points at) the first rejected field, wizard step included
+      if (showServerErrors(res.data.errors)) form.reportValidity();
+      return "rejected";
+    }
+
+    // Too many submissions from this connection or email (lib/rate-limit.js)
+    if (res.status === 429) {
+      hideSubmitProgress();
+      i18nSet(submitError, "submitRateLimited");
+      showSubmitError(true);
+      return "rejected";
+    }
+
+    // Not deployed here, or the upload is over the function's limit
+    if (res.status === 404 || res.status === 405 || res.status === 413) {
+      hideSubmitProgress();
+      return "unavailable";
+    }
+
+    // Only a dropped connection is retried. After a timeout or a 5xx the lead
+    // may already be saved and on its way; the customer sending it again is
+    // still safe, as a repeat is merged and only re-sent if its email never was.
+    if (!res.error || res.error.code !== "network" || attempt >= SUBMIT_RETRY_DELAYS_MS.length) break;
+    i18nSet(submitProgressLabel, "submitRetrying", { attempt: attempt + 1, total: SUBMIT_RETRY_DELAYS_MS.length });
+    await sleep(SUBMIT_RETRY_DELAYS_MS[attempt]);
+  }
+
+  hideSubmitProgress();
+  i18nSet(submitError, "submitFailed");
+  showSubmitError(true);
+  return "failed";
+}
 
 /* -------------------- Logo injection & recolor -------------------- */
 (async function injectAndRecolorQuirkLogo(){
@@ -306,187 +916,30 @@ vinInput?.addEventListener(
   }
 })();
 
-/* -------------------- Full-form i18n: English <-> Spanish -------------------- */
-(function i18nFull(){
-  const LANG_KEY = "quirk_lang";
-
-  // Central dictionary. Keys are EN; values are ES.
-  const MAP_EN_ES = new Map([
-    // Headings / intro
-    ["Sight Unseen Trade-In Appraisal", "Formulario de Tasación de Intercambio sin Inspección"],
-    ["Welcome to the Quirk Auto Dealers Sight Unseen Appraisal Program", "Bienvenido al Programa de Tasación sin Inspección de Quirk Auto Dealers"],
-    ["Please fill out this form with accurate and complete details about your vehicle. The trade-in value we provide will be honored as long as the vehicle condition matches your answers. We'll verify everything when you bring the vehicle in. If the condition differs, the offer will be adjusted accordingly.",
-      "Complete este formulario con información precisa y completa sobre su vehículo. El valor de intercambio que proporcionamos se respetará siempre que la condición del vehículo coincida con sus respuestas. Verificaremos todo cuando traiga el vehículo. Si la condición difiere, la oferta se ajustará en consecuencia."],
-    ["Tell us about Yourself", "Cuéntenos sobre usted"],
-    ["Vehicle Details", "Detalles del Vehículo"],
-    ["Vehicle Condition", "Condición del Vehículo"],
-    ["Wearable Items Check", "Revisión de Elementos Desgastables"],
-    ["Photo Uploads (Optional)", "Cargas de Fotos (Opcional)"],
-    ["Final Disclaimer", "Descargo de Responsabilidad Final"],
-
-    // Buttons / actions
-    ["Decode VIN & Prefill", "Decodificar VIN y autocompletar"],
-    ["Clear Form", "Limpiar formulario"],
-    ["Get My Trade Appraisal", "Obtener mi tasación"],
-    ["versión en español", "versión en español"],
-    ["English version", "Versión en inglés"],
-
-    // Customer info
-    ["Full Name", "Nombre completo"],
-    ["Phone Number", "Número de teléfono"],
-    ["Email Address", "Correo electrónico"],
-    ["(###) ###-####", "(###) ###-####"],
-
-    // VIN section
-    ["VIN (required)", "VIN (obligatorio)"],
-    ["VIN auto-capitalizes; letters I, O, Q are invalid.", "El VIN se capitaliza automáticamente; las letras I, O y Q no son válidas."],
-    ["Enter 17 digit VIN", "Ingrese el VIN de 17 caracteres"],
-
-    // Vehicle detail labels
-    ["Current Mileage", "Kilometraje actual"],
-    ["Year", "Año"],
-    ["Make", "Marca"],
-    ["Model", "Modelo"],
-    ["Trim Level (if known)", "Versión (si se conoce)"],
-    ["Select Year", "Seleccione año"],
-    ["Select Make", "Seleccione marca"],
-    ["Select Model", "Seleccione modelo"],
-
-    // Colors / misc vehicle
-    ["Exterior Color", "Color exterior"],
-    ["Interior Color", "Color interior"],
-    ["Number of Keys Included", "Número de llaves incluidas"],
-    ["Title Status", "Estado del título"],
-    ["Clean", "Limpio"],
-    ["Lien", "Gravamen"],
-    ["Rebuilt", "Reconstruido"],
-    ["Salvage", "Pérdida total"],
-    ["Number of Owners (estimate OK)", "Número de dueños (estimación aceptable)"],
-    ["Has the vehicle ever been in an accident?", "¿El vehículo ha tenido algún accidente?"],
-    ["If yes, was it professionally repaired?", "Si la respuesta es sí, ¿fue reparado profesionalmente?"],
-
-    // Condition section
-    ["Any warning lights on dashboard?", "¿Alguna luz de advertencia en el tablero?"],
-    ["Mechanical issues", "Problemas mecánicos"],
-    ["Cosmetic issues", "Problemas cosméticos"],
-    ["Interior clean and damage-free?", "¿Interior limpio y sin daños?"],
-    ["Aftermarket parts or modifications?", "¿Piezas o modificaciones no originales?"],
-    ["Unusual smells?", "¿Olores inusuales?"],
-    ["Routine services up to date?", "¿Servicios de rutina al día?"],
-
-    // Wearables
-    ["Tire Condition", "Estado de los neumáticos"],
-    ["Brake Condition", "Estado de los frenos"],
-    ["Other Wear Items (issues?)", "Otros elementos desgastables (¿problemas?)"],
-    ["New", "Nuevos"],
-    ["Good", "Buenos"],
-    ["Worn", "Gastados"],
-    ["Needs Replacement", "Requieren reemplazo"],
-
-    // Photos
-    ["Exterior Photos", "Fotos del exterior"],
-    ["Interior Photos", "Fotos del interior"],
-    ["Dashboard / Odometer", "Tablero / Odómetro"],
-    ["Damage / Flaws", "Daños / Defectos"],
-    ["Max 10MB per file; 24 files total.", "Máx. 10 MB por archivo; 24 archivos en total."],
-
-    // Final section
-    ["I confirm the information provided is accurate to the best of my knowledge. I understand that the appraisal value may change if the vehicle's actual condition does not match the details above.",
-      "Confirmo que la información proporcionada es precisa según mi leal saber y entender. Entiendo que el valor de tasación puede cambiar si la condición real del vehículo no coincide con los detalles anteriores."],
-    ["I agree and confirm", "Acepto y confirmo"],
-
-    // Generic choices
-    ["Yes", "Sí"],
-    ["No", "No"]
-  ]);
-
-  // Build reverse map for ES->EN
-  const MAP_ES_EN = new Map(Array.from(MAP_EN_ES.entries()).map(([en, es]) => [es, en]));
-
-  function translateText(str, targetLang){
-    if (!str) return str;
-    const norm = str.replace(/\s+/g, " ").trim();
-    if (!norm) return str;
-    if (targetLang === "es") {
-      return MAP_EN_ES.get(norm) || str;
-    } else {
-      return MAP_ES_EN.get(norm) || str;
-    }
-  }
-
-  function applyLang(target){
-    const lang = (target === "es") ? "es" : "en";
-
-    // 1) Elements that have data-i18n: prefer key, else current text
-    document.querySelectorAll("[data-i18n]").forEach(el => {
-      const key = el.getAttribute("data-i18n").trim();
-      const curr = el.textContent.trim();
-      const viaKey = translateText(key, lang);
-      const viaCurr = translateText(curr, lang);
-      const next = (viaKey !== key ? viaKey : viaCurr);
-      if (next && next !== curr) el.textContent = next;
-    });
-
-    // 2) Generic visible text (labels, headings, buttons, spans, table cells, option text)
-    const selectors = [
-      "label","legend","h1","h2","h3","h4",
-      "button","a.btn","span","p","small","strong","em","th","td","option"
-    ];
-    document.querySelectorAll(selectors.join(",")).forEach(el => {
-      if (el.hasAttribute("data-i18n")) return; // already handled
-      // For options and many elements, textContent is appropriate
-      const curr = el.textContent ? el.textContent.trim() : "";
-      if (!curr) return;
-      const next = translateText(curr, lang);
-      if (next && next !== curr) el.textContent = next;
-    });
-
-    // 3) Placeholders
-    document.querySelectorAll("input[placeholder], textarea[placeholder]").forEach(el => {
-      const ph = el.getAttribute("placeholder") || "";
-      const next = translateText(ph, lang);
-      if (next && next !== ph) el.setAttribute("placeholder", next);
-    });
-
-    // 4) aria-label / title attributes
-    document.querySelectorAll("[aria-label]").forEach(el => {
-      const v = el.getAttribute("aria-label");
-      const next = translateText(v, lang);
-      if (next && next !== v) el.setAttribute("aria-label", next);
-    });
-    document.querySelectorAll("[title]").forEach(el => {
-      const v = el.getAttribute("title");
-      const next = translateText(v, lang);
-      if (next && next !== v) el.setAttribute("title", next);
-    });
-
-    // 5) Language toggle button label + pressed state
-    const toggle = document.getElementById("langToggle");
-    if (toggle) {
-      toggle.textContent = (lang === "es") ? "Versión en inglés" : "versión en español";
-      toggle.setAttribute("aria-pressed", String(lang === "es"));
-      if (!toggle.hasAttribute("type")) toggle.setAttribute("type","button");
-    }
+/* -------------------- Language toggle (assets/i18n.js) -------------------- */
+// Text is looked up by data-i18n key in assets/i18n/<lang>.json; see
+// scripts/check-i18n.mjs for missing or untranslated keys.
+(function initLanguage(){
+  const i18n = window.QuirkI18n;
+  if (!i18n) return;
+  const toggle = document.getElementById("langToggle");
+  const langInput = document.getElementById("formLang");
 
-    // 6) Set <html lang> for a11y and persist
-    document.documentElement.setAttribute("lang", lang);
-    try { localStorage.setItem(LANG_KEY, lang); } catch(_) {}
+  async function switchTo(lang){
+    const shown = await i18n.setLang(lang);
+    // The server answers the customer in this language (lib/customer-email.js)
+    if (langInput) langInput.value = shown;
+    if (toggle) toggle.setAttribute("aria-pressed", String(shown !== i18n.DEFAULT_LOCALE));
   }
 
-  // Wire the toggle
-  const toggle = document.getElementById("langToggle");
-  if (toggle) {
-    if (!toggle.hasAttribute("type")) toggle.setAttribute("type","button");
-    toggle.addEventListener("click", (e) => {
-      e.preventDefault();
-      const curr = (localStorage.getItem(LANG_KEY) || "en");
-      applyLang(curr === "en" ? "es" : "en");
-    });
-  }
+  toggle?.addEventListener("click", (e) => {
+    e.preventDefault();
+    // Steps through the bundled locales: en -> es (-> pt …) -> en
+    const locales = i18n.LOCALES;
+    switchTo(locales[(locales.indexOf(i18n.lang()) + 1) % locales.length]);
+  });
 
-  // Initial language: URL override (?lang=es) > saved > default en
-  const params = new URLSearchParams(location.search);
-  const urlLang = params.get("lang");
-  const saved = (localStorage.getItem(LANG_KEY) || "en").toLowerCase();
-  applyLang(urlLang === "es" || urlLang === "en" ? urlLang : saved);
+  // Initial language: URL override (?lang=es) > saved > default
+  const urlLang = new URLSearchParams(location.search).get("lang");
+  switchTo(urlLang ? i18n.resolve(urlLang) : i18n.saved());
 })();
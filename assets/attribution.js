@@ -0,0 +1,112 @@
+/* assets/attribution.js
+    Marketing attribution for the hidden form fields — exposed as window.QuirkAttribution
+    - Reads utm_*, gclid/fbclid and document.referrer on landing
+    - Keeps first-touch and last-touch in localStorage, each with its own expiry
+    - Writes last touch into the utm*, referrer and landingPage fields; first touch into first* fields
+*/
+(function (root) {
+  "use strict";
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const FIRST_KEY = "quirk_attr_first";
+  const LAST_KEY  = "quirk_attr_last";
+  const FIRST_TTL_MS = 90 * DAY_MS;
+  const LAST_TTL_MS  = 30 * DAY_MS;
+
+  // URL param -> touch property (also the hidden-field suffix)
+  const PARAMS = {
+    utm_source: "utmSource",
+    utm_medium: "utmMedium",
+    utm_campaign: "utmCampaign",
+    utm_term: "utmTerm",
+    utm_content: "utmContent",
+    gclid: "gclid",
+    fbclid: "fbclid"
+  };
+  const TOUCH_FIELDS = [...Object.values(PARAMS), "referrer", "landingPage", "touchedAt"];
+
+  function readStored(key, now) {
+    try {
+      const raw = localStorage.getItem(key);
+      if (!raw) return null;
+      const rec = JSON.parse(raw);
+      if (!rec || !rec.expires || rec.expires <= now) {
+        localStorage.removeItem(key);
+        return null;
+      }
+      return rec.touch || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function writeStored(key, touch, ttlMs, now) {
+    try {
+      localStorage.setItem(key, JSON.stringify({ touch, expires: now + ttlMs }));
+    } catch (_) { /* private mode / storage full: attribution is best effort */ }
+  }
+
+  /** Builds the touch for this page view from the URL and referrer */
+  function currentTouch(loc = location, referrer = document.referrer, now = Date.now()) {
+    const params = new URLSearchParams(loc.search);
+    const touch = { referrer: referrer || "", landingPage: loc.href, touchedAt: new Date(now).toISOString() };
+    Object.entries(PARAMS).forEach(([param, prop]) => {
+      touch[prop] = (params.get(param) || "").trim().slice(0, 200);
+    });
+    return touch;
+  }
+
+  /** A touch "counts" when it carries campaign data or came from another site */
+  function isCampaignTouch(touch, loc = location) {
+    if (Object.values(PARAMS).some((prop) => touch[prop])) return true;
+    if (!touch.referrer) return false;
+    try {
+      return new URL(touch.referrer).hostname !== loc.hostname;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Records this visit and returns { first, last }.
+   * First touch is only set once per TTL; last touch is replaced by any new
+   * campaign/external visit and otherwise kept until it expires.
+   */
+  function capture({ loc = location, referrer = document.referrer, now = Date.now() } = {}) {
+    const touch = currentTouch(loc, referrer, now);
+    const counts = isCampaignTouch(touch, loc);
+
+    let first = readStored(FIRST_KEY, now);
+    if (!first) {
+      first = touch;
+      writeStored(FIRST_KEY, first, FIRST_TTL_MS, now);
+    }
+
+    let last = readStored(LAST_KEY, now);
+    if (!last || counts) {
+      last = touch;
+      writeStored(LAST_KEY, last, LAST_TTL_MS, now);
+    }
+
+    return { first, last };
+  }
+
+  function setField(form, name, value) {
+    const el = form.querySelector(`[name="${name}"]`);
+    if (el) el.value = value || "";
+  }
+
+  /** Writes last touch into the plain fields and first touch into first* fields */
+  function apply(form, attribution = capture()) {
+    if (!form) return attribution;
+    const { first, last } = attribution;
+    TOUCH_FIELDS.forEach((prop) => {
+      const cap = prop.charAt(0).toUpperCase() + prop.slice(1);
+      if (prop !== "touchedAt") setField(form, prop, last[prop]);
+      setField(form, `first${cap}`, first[prop]);
+    });
+    return attribution;
+  }
+
+  root.QuirkAttribution = { capture, apply, currentTouch, isCampaignTouch };
+})(typeof window !== "undefined" ? window : globalThis);
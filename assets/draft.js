@@ -0,0 +1,229 @@
+/* assets/draft.js
+    Autosave + resume — exposed as window.QuirkDraft
+    - Typed answers (never photos) saved to localStorage 'quirk_draft' as you go
+    - On load, offers "Restore your previous answers?" when a recent draft exists
+    - "Email me a link to finish later" saves the draft server-side (/api/draft)
+      and ?draft=<token> restores it on any device
+*/
+(function (root) {
+  "use strict";
+
+  const STORAGE_KEY = "quirk_draft";
+  const MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+  const SAVE_DELAY_MS = 800;
+
+  // Plumbing, attribution and consent are never saved; phoneRaw is recomputed
+  const SKIP = new Set(["form-name", "subject", "company", "phoneRaw", "agree"]);
+
+  function lang() {
+    return document.documentElement.getAttribute("lang") || "en";
+  }
+
+  /** Localized message by key (assets/i18n.js) */
+  function i18nText(key, vars) {
+    return root.QuirkI18n ? root.QuirkI18n.t(key, vars) : key;
+  }
+
+  /** Keyed message in an element, re-rendered on language change */
+  function i18nSet(el, key, vars) {
+    if (root.QuirkI18n) root.QuirkI18n.set(el, key, vars);
+    else el.textContent = key;
+  }
+
+  /** Settles once the page's language is loaded, for one-off messages at startup */
+  const i18nReady = () => (root.QuirkI18n ? root.QuirkI18n.ready : Promise.resolve());
+
+  const savable = (el) =>
+    el.name && !SKIP.has(el.name) && el.type !== "file" && el.type !== "hidden" &&
+    el.type !== "submit" && el.type !== "button";
+
+  /** Current typed answers as { name: value } (empty values left out) */
+  function collect(form) {
+    const values = {};
+    Array.from(form.elements).filter(savable).forEach((el) => {
+      if (el.type === "checkbox" || el.type === "radio") {
+        if (el.checked) values[el.name] = el.value;
+      } else if (String(el.value || "").trim()) {
+        values[el.name] = el.value;
+      }
+    });
+    return values;
+  }
+
+  function read() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+      if (!draft || !draft.values || Date.now() - draft.savedAt > MAX_AGE_MS) return null;
+      return draft;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function write(values) {
+    try {
+      if (Object.keys(values).length) localStorage.setItem(STORAGE_KEY, JSON.stringify({ savedAt: Date.now(), values }));
+      else localStorage.removeItem(STORAGE_KEY);
+    } catch (_) { /* storage full or blocked (private mode) */ }
+  }
+
+  function clear() {
+    try { localStorage.removeItem(STORAGE_KEY); } catch (_) {}
+  }
+
+  /** Selects still on their initial option (Title "Clean", Tires "New"…) aren't answers */
+  function isDefaultSelect(el) {
+    if (!el || el.tagName !== "SELECT") return false;
+    const def = Array.from(el.options).findIndex((o) => o.defaultSelected);
+    return el.selectedIndex === (def >= 0 ? def : 0);
+  }
+
+  /** Whether the customer has started typing (don't offer to overwrite it) */
+  const hasAnswers = (form) => Object.keys(collect(form)).some((name) => !isDefaultSelect(form.elements[name]));
+
+  /**
+   * @param {{form: HTMLFormElement, apply: (values: object) => (void|Promise<void>), notify?: (message: string) => void,
+   *          linkButton?: HTMLButtonElement, endpoint?: string}} options
+   *   apply() writes values into the form (the app knows about dependent selects);
+   *   notify() shows a short status message.
+   * @returns {{save: () => void, clear: () => void}}
+   */
+  function init({ form, apply, notify = () => {}, linkButton, endpoint = "/api/draft" }) {
+    let timer = null;
+    let paused = false;
+    let promptOpen = false;
+
+    const save = () => {
+      clearTimeout(timer);
+      if (paused) return;
+      // An untouched form must not overwrite the draft we're offering to restore
+      if (promptOpen && !hasAnswers(form)) return;
+      write(collect(form));
+    };
+    const scheduleSave = () => {
+      clearTimeout(timer);
+      timer = setTimeout(save, SAVE_DELAY_MS);
+    };
+
+    form.addEventListener("input", scheduleSave);
+    form.addEventListener("change", scheduleSave);
+    form.addEventListener("quirk:cleared", () => { clearTimeout(timer); clear(); });
+    form.addEventListener("quirk:restored", scheduleSave);
+    root.addEventListener("pagehide", save);
+
+    async function restore(values, message) {
+      paused = true;
+      try {
+        await apply(values);
+      } finally {
+        paused = false;
+      }
+      save();
+      if (message) notify(message);
+    }
+
+    /* ---- Banner prompt for a local draft ---- */
+    function showPrompt(draft) {
+      const banner = document.createElement("div");
+      banner.className = "draft-banner";
+      banner.setAttribute("role", "region");
+      // Shown before the bundles load: keyed so the text fills in when they do
+      banner.setAttribute("data-i18n-aria-label", "draftPrompt");
+      banner.setAttribute("aria-label", i18nText("draftPrompt"));
+
+      const text = document.createElement("span");
+      i18nSet(text, "draftPrompt");
+      const yes = document.createElement("button");
+      yes.type = "button";
+      yes.className = "spanish-btn";
+      i18nSet(yes, "draftRestore");
+      const no = document.createElement("button");
+      no.type = "button";
+      no.className = "ghost-btn";
+      i18nSet(no, "draftDiscard");
+      banner.append(text, yes, no);
+
+      yes.addEventListener("click", () => {
+        promptOpen = false;
+        banner.remove();
+        restore(draft.values, i18nText("draftRestored"));
+      });
+      no.addEventListener("click", () => {
+        promptOpen = false;
+        banner.remove();
+        clear();
+      });
+
+      promptOpen = true;
+      const bar = form.querySelector(".utilitybar");
+      form.insertBefore(banner, bar ? bar.nextSibling : form.firstElementChild);
+    }
+
+    /* ---- ?draft=<token>: server-side draft from an emailed link ---- */
+    async function restoreFromLink(token) {
+      const url = new URL(location.href);
+      url.searchParams.delete("draft");
+      history.replaceState(history.state, "", url.pathname + url.search + url.hash);
+
+      try {
+        const [res] = await Promise.all([
+          fetch(`${endpoint}?token=${encodeURIComponent(token)}`, { headers: { Accept: "application/json" } }),
+          i18nReady()
+        ]);
+        if (res.status === 410) return notify(i18nText("draftLinkExpired"));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        await restore(data.values || {}, i18nText("draftRestored"));
+      } catch (err) {
+        console.warn("Draft link restore failed:", err);
+        await i18nReady();
+        notify(i18nText("draftLinkFailed"));
+      }
+    }
+
+    /* ---- "Email me a link to finish later" ---- */
+    if (linkButton) {
+      linkButton.addEventListener("click", async () => {
+        const values = collect(form);
+        const emailEl = form.elements.email;
+        if (!values.email || (emailEl && !emailEl.checkValidity())) {
+          notify(i18nText("draftNeedEmail"));
+          if (emailEl) emailEl.focus();
+          return;
+        }
+
+        linkButton.disabled = true;
+        i18nSet(linkButton, "draftSending");
+        try {
+          const res = await fetch(endpoint, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ email: values.email, values, lang: lang() })
+          });
+          if (res.status === 429) return notify(i18nText("draftSendLimited"));
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          save();
+          notify(i18nText("draftSent", { email: values.email }));
+        } catch (err) {
+          console.warn("Draft link request failed:", err);
+          notify(i18nText("draftSendFailed"));
+        } finally {
+          linkButton.disabled = false;
+          i18nSet(linkButton, "draftEmailLink");
+        }
+      });
+    }
+
+    const token = new URLSearchParams(location.search).get("draft");
+    if (token) {
+      restoreFromLink(token);
+    } else {
+      const draft = read();
+      if (draft && !hasAnswers(form)) showPrompt(draft);
+    }
+
+    return { save, clear };
+  }
+
+  root.QuirkDraft = { init, collect, clear, STORAGE_KEY };
+})(window);
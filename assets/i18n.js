@@ -0,0 +1,273 @@
+/* assets/i18n.js
+    Key-based translations — exposed as window.QuirkI18n
+    - Locale bundles are JSON files in assets/i18n/<lang>.json ({ "key": "message" });
+      English is the reference and the fallback for any key a locale lacks
+    - Messages use an ICU MessageFormat subset: {name}, {n, number},
+      {n, plural, =0 {…} one {# item} other {# items}} and {x, select, a {…} other {…}}
+    - Markup opts in by key: data-i18n (text), data-i18n-placeholder,
+      data-i18n-aria-label, data-i18n-title; data-i18n-vars holds JSON arguments
+    - Scripts that build UI at startup should use set() (re-rendered once the
+      bundles arrive) or wait for `ready` before showing one-off text
+    - Adding a language: drop in assets/i18n/<lang>.json and list it in LOCALES
+      (scripts/check-i18n.mjs reports keys it's missing)
+*/
+(function (root) {
+  "use strict";
+
+  const LOCALES = ["en", "es"];
+  const DEFAULT_LOCALE = "en";
+  const STORAGE_KEY = "quirk_lang";
+  const BASE_URL = "/assets/i18n/";
+  const ATTRS = ["placeholder", "aria-label", "title"];
+
+  const bundles = {};   // lang -> { key: message }
+  const loading = {};   // lang -> Promise
+  const parsed = new Map();
+  const warned = new Set();
+  let current = DEFAULT_LOCALE;
+  let markReady;
+  const ready = new Promise((resolve) => { markReady = resolve; });
+
+  /* ---- ICU subset: parse once, render many ---- */
+
+  /**
+   * Parses a message into text runs and arguments.
+   * @returns {Array<string|{name?: string, type?: string, options?: object}>}
+   * @throws {SyntaxError} On unbalanced braces or a malformed plural/select.
+   */
+  function parse(message) {
+    const src = String(message);
+    let pos = 0;
+
+    function parts(inPlural) {
+      const out = [];
+      let text = "";
+      while (pos < src.length) {
+        const c = src[pos];
+        if (c === "}") break;
+        if (c === "{") {
+          if (text) { out.push(text); text = ""; }
+          pos += 1;
+          out.push(argument());
+          continue;
+        }
+        if (c === "#" && inPlural) {
+          if (text) { out.push(text); text = ""; }
+          out.push({ type: "count" });
+          pos += 1;
+          continue;
+        }
+        text += c;
+        pos += 1;
+      }
+      if (text) out.push(text);
+      return out;
+    }
+
+    function until(stops) {
+      const start = pos;
+      while (pos < src.length && !stops.includes(src[pos])) pos += 1;
+      return src.slice(start, pos).trim();
+    }
+
+    function argument() {
+      const name = until(",}");
+      if (!name) throw new SyntaxError(`Empty argument at ${pos} in "${src}"`);
+      if (src[pos] === "}") { pos += 1; return { name }; }
+      pos += 1; // ,
+      const type = until(",}");
+      if (src[pos] === "}") { pos += 1; return { name, type }; }
+      if (type !== "plural" && type !== "select") throw new SyntaxError(`Unknown argument type "${type}" in "${src}"`);
+      pos += 1; // ,
+
+      const options = {};
+      for (;;) {
+        until("{}");
+        if (src[pos] !== "{") break;
+        // The selector is the last word before "{" ("offset:1 one" -> "one")
+        const head = src.slice(0, pos).trim().split(/[\s,]+/).pop();
+        pos += 1;
+        options[head] = parts(type === "plural");
+        if (src[pos] !== "}") throw new SyntaxError(`Unclosed "${head}" option in "${src}"`);
+        pos += 1;
+      }
+      if (src[pos] !== "}") throw new SyntaxError(`Unclosed argument "${name}" in "${src}"`);
+      if (!options.other) throw new SyntaxError(`"${name}" needs an "other" option in "${src}"`);
+      pos += 1;
+      return { name, type, options };
+    }
+
+    const out = parts(false);
+    if (pos < src.length) throw new SyntaxError(`Unexpected "}" at ${pos} in "${src}"`);
+    return out;
+  }
+
+  const number = (n, lang) => {
+    try { return new Intl.NumberFormat(lang).format(n); } catch (_) { return String(n); }
+  };
+
+  function render(nodes, vars, lang, count) {
+    return nodes.map((node) => {
+      if (typeof node === "string") return node;
+      if (node.type === "count") return number(count, lang);
+      const value = vars[node.name];
+      if (node.type === "plural") {
+        const n = Number(value);
+        let category = "other";
+        try { category = new Intl.PluralRules(lang).select(n); } catch (_) {}
+        const branch = node.options[`=${n}`] || node.options[category] || node.options.other;
+        return render(branch, vars, lang, n);
+      }
+      if (node.type === "select") return render(node.options[String(value)] || node.options.other, vars, lang, count);
+      if (node.type === "number") return number(value, lang);
+      return value === undefined || value === null ? "" : String(value);
+    }).join("");
+  }
+
+  /**
+   * Formats one ICU message.
+   * @param {string} message
+   * @param {object} [vars]
+   * @param {string} [lang]
+   */
+  function format(message, vars = {}, lang = current) {
+    let nodes = parsed.get(message);
+    if (!nodes) {
+      try {
+        nodes = parse(message);
+      } catch (err) {
+        console.warn("i18n:", err.message);
+        nodes = [String(message)];
+      }
+      parsed.set(message, nodes);
+    }
+    return render(nodes, vars, lang);
+  }
+
+  /* ---- Lookup ---- */
+
+  /**
+   * Translates a key in the current language (falls back to English, then the key).
+   * Empty until the first bundles have loaded.
+   * @param {string} key
+   * @param {object} [vars]
+   */
+  function t(key, vars) {
+    if (!bundles[DEFAULT_LOCALE]) return "";
+    const own = bundles[current] && bundles[current][key];
+    const message = own !== undefined ? own : bundles[DEFAULT_LOCALE] && bundles[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+      // The bundles are in, so a missing key is a bug worth seeing in the console
+      if (!warned.has(key)) {
+        warned.add(key);
+        console.warn(`i18n: missing key "${key}"`);
+      }
+      return key;
+    }
+    return format(message, vars, current);
+  }
+
+  function readVars(el) {
+    const raw = el.getAttribute("data-i18n-vars");
+    if (!raw) return undefined;
+    try { return JSON.parse(raw); } catch (_) { return undefined; }
+  }
+
+  /** Re-renders every keyed element and attribute in scope (default: the whole page) */
+  function apply(scope = document) {
+    scope.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = t(el.getAttribute("data-i18n"), readVars(el));
+    });
+    ATTRS.forEach((attr) => {
+      scope.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+        el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+      });
+    });
+  }
+
+  /**
+   * Shows a keyed message in an element and remembers the key, so it follows
+   * later language changes. A falsy key empties the element.
+   * @param {Element} el
+   * @param {string|null} key
+   * @param {object} [vars]
+   */
+  function set(el, key, vars) {
+    if (!el) return;
+    if (!key) {
+      el.removeAttribute("data-i18n");
+      el.removeAttribute("data-i18n-vars");
+      el.textContent = "";
+      return;
+    }
+    el.setAttribute("data-i18n", key);
+    if (vars) el.setAttribute("data-i18n-vars", JSON.stringify(vars));
+    else el.removeAttribute("data-i18n-vars");
+    el.textContent = t(key, vars);
+  }
+
+  /* ---- Loading + switching ---- */
+
+  function load(lang) {
+    if (bundles[lang]) return Promise.resolve(bundles[lang]);
+    if (!loading[lang]) {
+      loading[lang] = fetch(`${BASE_URL}${lang}.json`, { headers: { Accept: "application/json" } })
+        .then((res) => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then((bundle) => (bundles[lang] = bundle))
+        .finally(() => { delete loading[lang]; });
+    }
+    return loading[lang];
+  }
+
+  /** Closest supported locale for "es", "es-MX", "PT_br", … */
+  function resolve(lang) {
+    const base = String(lang || "").trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(base) ? base : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Loads a language, translates the page, sets <html lang> and remembers the choice.
+   * @param {string} lang
+   * @returns {Promise<string>} The language now shown.
+   */
+  async function setLang(lang) {
+    const next = resolve(lang);
+    try {
+      await Promise.all([load(DEFAULT_LOCALE), load(next)]);
+    } catch (err) {
+      console.warn(`i18n: could not load "${next}":`, err);
+      markReady(current);
+      return current;
+    }
+    current = next;
+    document.documentElement.setAttribute("lang", next);
+    apply();
+    try { localStorage.setItem(STORAGE_KEY, next); } catch (_) {}
+    markReady(next);
+    return next;
+  }
+
+  /** Saved choice, else DEFAULT_LOCALE */
+  function saved() {
+    try { return resolve(localStorage.getItem(STORAGE_KEY)); } catch (_) { return DEFAULT_LOCALE; }
+  }
+
+  root.QuirkI18n = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    t,
+    format,
+    parse,
+    apply,
+    set,
+    setLang,
+    resolve,
+    saved,
+    lang: () => current,
+    // Settles after the first setLang(), loaded or not
+    ready
+  };
+})(window);
@@ -0,0 +1,100 @@
+/* assets/phone.js
+    NANP phone helpers — exposed as window.QuirkPhone
+    - As-you-type (###) ###-#### formatting that keeps the caret in place
+    - NANP rules: area code and exchange start 2–9, no N11, no 555-01xx fakes
+    - E.164 (+1XXXXXXXXXX) for the hidden phoneRaw field
+*/
+(function (root) {
+  "use strict";
+
+  /** Localized message by key (assets/i18n.js); the key itself until the bundles load,
+      so a setCustomValidity() message is never "" (which would mark the field valid) */
+  function i18nText(key) {
+    return (root.QuirkI18n && root.QuirkI18n.t(key)) || key;
+  }
+
+  /** Inline error text for a validation code, in the page's language */
+  function message(code) {
+    if (code === "required") return i18nText("phoneRequired");
+    if (code === "length") return i18nText("phoneLength");
+    if (code === "areaCode") return i18nText("phoneAreaCode");
+    if (code === "exchange") return i18nText("phoneExchange");
+    if (code === "fictional") return i18nText("phoneFictional");
+    return "";
+  }
+
+  /** Digits only, with a leading US country code "1" dropped, capped at 10 */
+  function nationalDigits(v) {
+    let d = String(v || "").replace(/\D/g, "");
+    if (d.length > 10 && d[0] === "1") d = d.slice(1);
+    return d.slice(0, 10);
+  }
+
+  /** Progressive (###) ###-#### formatting for 0–10 digits */
+  function format(digits) {
+    const d = nationalDigits(digits);
+    if (!d) return "";
+    if (d.length <= 3) return `(${d}`;
+    if (d.length <= 6) return `(${d.slice(0, 3)}) ${d.slice(3)}`;
+    return `(${d.slice(0, 3)}) ${d.slice(3, 6)}-${d.slice(6)}`;
+  }
+
+  /**
+   * Validates a NANP number. Returns { ok: true, e164 } or { ok: false, code, message }.
+   */
+  function validate(v) {
+    const d = nationalDigits(v);
+    const fail = (code) => ({ ok: false, code, message: message(code) });
+
+    if (!d) return fail("required");
+    if (d.length !== 10) return fail("length");
+    if (!/^[2-9][0-8]\d$/.test(d.slice(0, 3)) || /^\d11$/.test(d.slice(0, 3))) return fail("areaCode");
+    if (!/^[2-9]\d\d$/.test(d.slice(3, 6)) || /^\d11$/.test(d.slice(3, 6))) return fail("exchange");
+    if (d.slice(3, 6) === "555" && d.slice(6, 8) === "01") return fail("fictional");
+    return { ok: true, e164: `+1${d}` };
+  }
+
+  /**
+   * Formats an <input> in place, keeping the caret after the same digit it
+   * followed before formatting. Backspacing over ")", " " or "-" removes the
+   * digit in front of it instead of getting stuck.
+   */
+  function attach(input, { onChange } = {}) {
+    if (!input) return;
+    let prevDigits = nationalDigits(input.value);
+
+    input.addEventListener("input", (e) => {
+      const raw = input.value;
+      let caret = input.selectionStart == null ? raw.length : input.selectionStart;
+      let digits = raw.replace(/\D/g, "");
+      let digitsBeforeCaret = raw.slice(0, caret).replace(/\D/g, "").length;
+
+      if (e.inputType === "deleteContentBackward" && digits === prevDigits && digitsBeforeCaret > 0) {
+        digits = digits.slice(0, digitsBeforeCaret - 1) + digits.slice(digitsBeforeCaret);
+        digitsBeforeCaret -= 1;
+      }
+
+      // A pasted "+1 …" shifts everything by the dropped country code
+      const national = nationalDigits(digits);
+      if (national.length < digits.length && digits[0] === "1") digitsBeforeCaret = Math.max(0, digitsBeforeCaret - 1);
+
+      const formatted = format(national);
+      input.value = formatted;
+      prevDigits = national;
+
+      caret = formatted ? 1 : 0; // just after "("
+      if (digitsBeforeCaret > 0) {
+        let seen = 0;
+        caret = formatted.length;
+        for (let i = 0; i < formatted.length; i++) {
+          if (/\d/.test(formatted[i]) && ++seen === digitsBeforeCaret) { caret = i + 1; break; }
+        }
+      }
+      if (document.activeElement === input) input.setSelectionRange(caret, caret);
+
+      if (onChange) onChange(national);
+    });
+  }
+
+  root.QuirkPhone = { format, validate, nationalDigits, attach, message };
+})(typeof window !== "undefined" ? window : globalThis);
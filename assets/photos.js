@@ -0,0 +1,281 @@
+/* assets/photos.js
+    Photo uploads — exposed as window.QuirkPhotos
+    - Thumbnail previews with per-photo remove buttons
+    - Limits: 10MB per original file, per-input caps, 24 photos across the form
+    - HEIC/HEIF decoded where the browser can (Safari); otherwise a clear error
+    - EXIF orientation respected, then resized/re-encoded to JPEG in a canvas so
+      the upload fits the email attachment budget (also strips GPS/EXIF data)
+*/
+(function (root) {
+  "use strict";
+
+  const MB = 1024 * 1024;
+  const LIMITS = {
+    maxOriginalBytes: 10 * MB,   // matches the "Max 10MB per file" hint
+    maxTotalFiles: 24,           // matches "24 files total"
+    maxPerInput: 12,             // single-file inputs are capped at 1
+    maxEdgePx: 1600,
+    targetBytes: 800 * 1024,     // 24 × 800KB stays under the 20MB email budget
+    minQuality: 0.5
+  };
+
+  /** Localized message by key (assets/i18n.js) */
+  function i18nText(key, vars) {
+    return root.QuirkI18n ? root.QuirkI18n.t(key, vars) : key;
+  }
+
+  const isHeic = (file) => /image\/hei[cf]/i.test(file.type) || /\.hei[cf]$/i.test(file.name);
+  const isImage = (file) => /^image\//i.test(file.type) || isHeic(file);
+
+  /* -------------------- EXIF orientation -------------------- */
+  /** Reads the EXIF Orientation tag (1–8) from a JPEG; 1 when absent */
+  async function readOrientation(file) {
+    try {
+      const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+      if (view.getUint16(0) !== 0xffd8) return 1;
+      let offset = 2;
+      while (offset + 4 < view.byteLength) {
+        const marker = view.getUint16(offset);
+        const size = view.getUint16(offset + 2);
+        if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+          const tiff = offset + 10;
+          const little = view.getUint16(tiff) === 0x4949;
+          const ifd = tiff + view.getUint32(tiff + 4, little);
+          const entries = view.getUint16(ifd, little);
+          for (let i = 0; i < entries; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little);
+          }
+          return 1;
+        }
+        if ((marker & 0xff00) !== 0xff00) break;
+        offset += 2 + size;
+      }
+    } catch (_) { /* not a JPEG or truncated EXIF */ }
+    return 1;
+  }
+
+  // Browsers that support image-orientation already rotate decoded images
+  const AUTO_ORIENTS = typeof CSS !== "undefined" && CSS.supports && CSS.supports("image-orientation", "from-image");
+
+  /* -------------------- Decode + re-encode -------------------- */
+  async function decode(file) {
+    if (typeof createImageBitmap === "function") {
+      try {
+        return { source: await createImageBitmap(file, { imageOrientation: "from-image" }), oriented: true };
+      } catch (_) { /* fall back to <img>, e.g. HEIC in Safari or older engines */ }
+    }
+    const url = URL.createObjectURL(file);
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+      return { source: img, oriented: AUTO_ORIENTS };
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  function toBlob(canvas, quality) {
+    return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+  }
+
+  /** Resizes/re-encodes one photo to a JPEG File within LIMITS.targetBytes (best effort) */
+  async function compress(file) {
+    const { source, oriented } = await decode(file);
+    const orientation = oriented ? 1 : await readOrientation(file);
+    const swap = orientation >= 5 && orientation <= 8;
+
+    const w = source.width;
+    const h = source.height;
+    const scale = Math.min(1, LIMITS.maxEdgePx / Math.max(w, h));
+    const dw = Math.round(w * scale);
+    const dh = Math.round(h * scale);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = swap ? dh : dw;
+    canvas.height = swap ? dw : dh;
+    const ctx = canvas.getContext("2d");
+
+    // Standard EXIF orientation transforms
+    switch (orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, dw, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, dw, dh); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, dh); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, dh, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, dh, dw); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, dw); break;
+      default: break;
+    }
+    ctx.drawImage(source, 0, 0, dw, dh);
+    if (source.close) source.close();
+
+    let quality = 0.85;
+    let blob = await toBlob(canvas, quality);
+    while (blob && blob.size > LIMITS.targetBytes && quality > LIMITS.minQuality) {
+      quality = Math.max(LIMITS.minQuality, quality - 0.1);
+      blob = await toBlob(canvas, quality);
+    }
+    if (!blob) throw new Error("Canvas encode failed");
+
+    const name = file.name.replace(/\.[^.]+$/, "") + ".jpg";
+    return new File([blob], name, { type: "image/jpeg", lastModified: file.lastModified });
+  }
+
+  /* -------------------- Per-form state -------------------- */
+  /**
+   * Wires previews/limits for a set of inputs.
+   * @param {{form: HTMLFormElement, fields: Array<{input: HTMLInputElement, grid: HTMLElement}>, errorEl?: HTMLElement}} opts
+   */
+  function init({ form, fields, errorEl }) {
+    const state = new Map(); // input -> [{ file, original, status, url }]
+    let pending = 0;
+
+    const totalCount = () => Array.from(state.values()).reduce((n, list) => n + list.length, 0);
+    const capFor = (input) => (input.multiple ? LIMITS.maxPerInput : 1);
+
+    function showErrors(errors) {
+      if (!errorEl) return;
+      errorEl.textContent = errors.join(" ");
+      errorEl.hidden = !errors.length;
+    }
+
+    /** Writes the processed files back into the real <input> so the native post uploads them */
+    function sync(input) {
+      const list = state.get(input) || [];
+      try {
+        const dt = new DataTransfer();
+        list.forEach((item) => dt.items.add(item.file));
+        input.files = dt.files;
+      } catch (_) { /* no DataTransfer constructor: originals are uploaded as-is */ }
+    }
+
+    function render(input, grid) {
+      const list = state.get(input) || [];
+      grid.innerHTML = "";
+      list.forEach((item) => {
+        const fig = document.createElement("div");
+        fig.className = "thumb" + (item.status === "processing" ? " is-processing" : "");
+
+        const img = document.createElement("img");
+        img.alt = item.original.name;
+        img.src = item.url;
+        fig.appendChild(img);
+
+        const meta = document.createElement("div");
+        meta.className = "meta";
+        meta.textContent = item.status === "processing"
+          ? i18nText("photoProcessing")
+          : `${Math.max(1, Math.round(item.file.size / 1024))} KB`;
+        fig.appendChild(meta);
+
+        const rm = document.createElement("button");
+        rm.type = "button";
+        rm.className = "thumb-remove";
+        rm.setAttribute("aria-label", i18nText("photoRemove"));
+        rm.textContent = "×";
+        rm.addEventListener("click", () => {
+          URL.revokeObjectURL(item.url);
+          list.splice(list.indexOf(item), 1);
+          sync(input);
+          render(input, grid);
+          showErrors([]);
+        });
+        fig.appendChild(rm);
+
+        grid.appendChild(fig);
+      });
+    }
+
+    async function addFiles(input, grid, incoming) {
+      const list = state.get(input) || [];
+      state.set(input, list);
+      if (!input.multiple) {
+        list.forEach((item) => URL.revokeObjectURL(item.url));
+        list.length = 0;
+      }
+
+      const errors = [];
+      const accepted = [];
+      for (const file of incoming) {
+        if (!isImage(file)) { errors.push(i18nText("photoNotImage", { name: file.name })); continue; }
+        if (file.size > LIMITS.maxOriginalBytes) { errors.push(i18nText("photoTooBig", { name: file.name })); continue; }
+        if (list.length + accepted.length >= capFor(input)) { errors.push(i18nText("photoPerInput", { max: capFor(input) })); break; }
+        if (totalCount() + accepted.length >= LIMITS.maxTotalFiles) { errors.push(i18nText("photoTotal", { max: LIMITS.maxTotalFiles })); break; }
+        accepted.push(file);
+      }
+
+      const items = accepted.map((file) => ({ file, original: file, status: "processing", url: URL.createObjectURL(file) }));
+      list.push(...items);
+      sync(input);
+      render(input, grid);
+      showErrors(errors);
+
+      pending += items.length;
+      await Promise.all(items.map(async (item) => {
+        try {
+          item.file = await compress(item.original);
+          URL.revokeObjectURL(item.url);
+          item.url = URL.createObjectURL(item.file);
+          item.status = "ready";
+        } catch (err) {
+          console.warn("Photo processing failed:", err);
+          if (isHeic(item.original)) {
+            // Unconvertible HEIC: drop it rather than send something staff can't open
+            URL.revokeObjectURL(item.url);
+            if (list.includes(item)) list.splice(list.indexOf(item), 1);
+            errors.push(i18nText("photoHeic", { name: item.original.name }));
+          } else {
+            // Keep the original; the server still has its own size caps
+            item.status = "ready";
+          }
+        } finally {
+          pending--;
+        }
+      }));
+
+      sync(input);
+      render(input, grid);
+      showErrors(errors);
+    }
+
+    fields.forEach(({ input, grid }) => {
+      if (!input || !grid) return;
+      state.set(input, []);
+      input.addEventListener("change", () => {
+        // The native picker replaces the selection; we accumulate instead
+        const incoming = Array.from(input.files || []);
+        if (!incoming.length) {
+          sync(input);
+          return;
+        }
+        addFiles(input, grid, incoming);
+      });
+    });
+
+    // Clear Form / Undo in app.js
+    form?.addEventListener("quirk:cleared", () => {
+      state.forEach((list) => list.forEach((item) => URL.revokeObjectURL(item.url)));
+      fields.forEach(({ input }) => input && state.set(input, []));
+      showErrors([]);
+    });
+    form?.addEventListener("quirk:restored", () => {
+      fields.forEach(({ input, grid }) => {
+        if (!input || !grid) return;
+        state.set(input, Array.from(input.files || []).map((file) => ({
+          file, original: file, status: "ready", url: URL.createObjectURL(file)
+        })));
+        render(input, grid);
+      });
+    });
+
+    return {
+      isBusy: () => pending > 0,
+      busyMessage: () => i18nText("photoBusy"),
+      count: totalCount
+    };
+  }
+
+  root.QuirkPhotos = { init, compress, readOrientation, LIMITS };
+})(typeof window !== "undefined" ? window : globalThis);
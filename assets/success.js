@@ -0,0 +1,145 @@
+/* assets/success.js
+    Confirmation page
+    - Personalized from what the form saved at submit (sessionStorage 'quirk_confirmation'):
+      reference number, vehicle, masked VIN, photo count and the instant estimate
+    - Falls back to the generic thank-you when there's nothing saved (private mode, new tab)
+    - Print / Save as PDF (print styles keep just the summary)
+    - Clears the autosaved draft (assets/draft.js) now that the form went through
+    - Follows the form's language choice (localStorage 'quirk_lang'); text is
+      keyed in the markup and assets/i18n/<lang>.json
+*/
+(function () {
+  "use strict";
+
+  const i18n = window.QuirkI18n;
+
+  /** Localized message by key (assets/i18n.js) */
+  function i18nText(key, vars) {
+    return i18n ? i18n.t(key, vars) : key;
+  }
+
+  function storage(kind) {
+    try { return window[kind]; } catch (_) { return null; }
+  }
+
+  const local = storage("localStorage");
+  const session = storage("sessionStorage");
+
+  try { local && local.removeItem("quirk_draft"); } catch (_) {}
+
+  const byId = (id) => document.getElementById(id);
+  const set = (id, text) => {
+    const el = byId(id);
+    if (el) el.textContent = text;
+  };
+  const show = (id) => {
+    const el = byId(id);
+    if (el) el.hidden = false;
+  };
+
+  const printBtn = byId("printBtn");
+  if (printBtn && typeof window.print === "function") {
+    printBtn.hidden = false;
+    printBtn.addEventListener("click", () => window.print());
+  }
+  // The printout should include the estimate breakdown even if it was left collapsed
+  window.addEventListener("beforeprint", () => {
+    document.querySelectorAll("#estimate details").forEach((d) => { d.open = true; });
+  });
+
+  let data = null;
+  try { data = JSON.parse((session && session.getItem("quirk_confirmation")) || "null"); } catch (_) {}
+
+  // Static text is translated by key; the personalized parts need the bundles first
+  (i18n ? i18n.setLang(i18n.saved()) : Promise.resolve("en")).then((lang) => {
+    if (data) personalize(data, lang === "es" ? "es-US" : "en-US");
+  });
+
+  function personalize(data, locale) {
+    const money = (n) => Number(n).toLocaleString(locale, {
+      style: "currency", currency: "USD", maximumFractionDigits: 0
+    });
+
+    /* ---- Reference + summary ---- */
+    const v = data.vehicle || {};
+    const vehicle = [v.year, v.make, v.model, v.trim].filter(Boolean).join(" ");
+
+    if (vehicle) set("confirmIntro", i18nText("confirmIntroNamed", { vehicle }));
+
+    if (data.leadId) {
+      set("referenceId", data.leadId);
+      show("reference");
+    }
+
+    if (vehicle) {
+      const n = Number(data.photos) || 0;
+      const photos = i18nText("summaryPhotos", { n });
+      const submitted = data.submittedAt ? new Date(data.submittedAt) : null;
+
+      set("summaryVehicle", vehicle);
+      set("summaryPhotos", photos);
+      set("summaryDate", submitted && !isNaN(submitted)
+        ? submitted.toLocaleString(locale, { dateStyle: "long", timeStyle: "short" })
+        : "");
+      if (data.vin) set("summaryVin", data.vin);
+      else {
+        // No VIN entered: drop the row rather than show a blank
+        ["summaryVinLabel", "summaryVin"].forEach((id) => byId(id)?.remove());
+      }
+      show("summary");
+    }
+
+    /* ---- Instant estimate ---- */
+    const estimate = data.estimate;
+    if (!estimate || !estimate.ok) return;
+
+    set("estimateRange", `${money(estimate.low)} – ${money(estimate.high)}`);
+    set("estimateVehicle", vehicle);
+
+    const list = byId("estimateBreakdown");
+    if (list) {
+      const book = estimate.base.book;
+      const rows = [
+        [i18nText("estimateBase", { book: [book.year, book.make, book.model, book.trim].filter(Boolean).join(" ") }), estimate.base.value],
+        ...estimate.adjustments.map((a) => [adjustmentLabel(a, locale), a.amount])
+      ];
+      rows.forEach(([label, amount], i) => {
+        const li = document.createElement("li");
+        const name = document.createElement("span");
+        name.textContent = label;
+        const value = document.createElement("span");
+        value.textContent = (i > 0 && amount > 0 ? "+" : "") + money(amount);
+        li.append(name, value);
+        list.appendChild(li);
+      });
+    }
+
+    show("estimate");
+  }
+
+  /** Breakdown line for one adjustment from lib/valuation.js ({ id, answer | miles }) */
+  function adjustmentLabel(a, locale) {
+    const answer = answerText(a.answer);
+    if (a.id === "mileage") return i18nText("estimateMileage", { miles: Number(a.miles).toLocaleString(locale) });
+    if (a.id === "title") return i18nText("estimateTitleStatus", { answer });
+    if (a.id === "accident") return i18nText("estimateAccident", { answer });
+    if (a.id === "warnings") return i18nText("estimateWarnings", { answer });
+    if (a.id === "tires") return i18nText("estimateTires", { answer });
+    if (a.id === "brakes") return i18nText("estimateBrakes", { answer });
+    if (a.id === "keys") return i18nText("estimateKeys", { answer });
+    if (a.id === "owners") return i18nText("estimateOwners", { answer });
+    // A rule added in VALUATION_RULES that the bundles don't know yet
+    return answer ? `${a.id}: ${answer}` : a.id;
+  }
+
+  /** The form's own wording for a condition answer (values are the English option values) */
+  function answerText(answer) {
+    if (answer === "Yes") return i18nText("optYes");
+    if (answer === "No") return i18nText("optNo");
+    if (answer === "Rebuilt") return i18nText("titleRebuilt");
+    if (answer === "Salvage") return i18nText("titleSalvage");
+    if (answer === "Worn") return i18nText("wearWorn");
+    if (answer === "Needs Replacement") return i18nText("wearReplace");
+    return answer || "";
+  }
+})();
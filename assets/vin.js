@@ -0,0 +1,171 @@
+/* assets/vin.js
+    Offline VIN helpers (no network) — exposed as window.QuirkVin
+    - ISO 3779 / 49 CFR 565 position-9 check digit
+    - WMI (positions 1–3) → manufacturer + country
+    - Model-year code (position 10) on the 30-year cycle
+    - Specific validation messages for inline errors (assets/i18n/*.json)
+*/
+(function (root) {
+  "use strict";
+
+  /* -------------------- Check digit -------------------- */
+  const TRANSLIT = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+  };
+  const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+  function normalize(v) {
+    return String(v || "").replace(/\s+/g, "").toUpperCase();
+  }
+
+  function charValue(c) {
+    if (c >= "0" && c <= "9") return Number(c);
+    return TRANSLIT[c];
+  }
+
+  /** Returns the expected check digit ("0"–"9" or "X") for a 17-char VIN */
+  function computeCheckDigit(vin) {
+    const s = normalize(vin);
+    let sum = 0;
+    for (let i = 0; i < 17; i++) {
+      const val = charValue(s[i]);
+      if (val === undefined) return null;
+      sum += val * WEIGHTS[i];
+    }
+    const r = sum % 11;
+    return r === 10 ? "X" : String(r);
+  }
+
+  /* -------------------- Model year (position 10) -------------------- */
+  // 30 codes; index 0 = 1980, repeating every 30 years (I, O, Q, U, Z, 0 unused)
+  const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+  /**
+   * Decodes position 10. For North American passenger vehicles a numeric
+   * position 7 means 1980–2009 and a letter means 2010–2039; otherwise the
+   * most recent cycle that is not in the future (allowing next model year) wins.
+   */
+  function modelYear(vin, now = new Date()) {
+    const s = normalize(vin);
+    const idx = YEAR_CODES.indexOf(s[9]);
+    if (idx < 0) return null;
+
+    const maxYear = now.getFullYear() + 1;
+    const candidates = [1980 + idx, 2010 + idx, 2040 + idx].filter((y) => y <= maxYear);
+    if (!candidates.length) return null;
+
+    if (/^[1-5]/.test(s) && s[6]) {
+      const wantNew = /[A-Z]/.test(s[6]);
+      const match = candidates.filter((y) => (wantNew ? y >= 2010 : y < 2010));
+      if (match.length) return match[match.length - 1];
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /* -------------------- WMI (positions 1–3) -------------------- */
+  // Makes match COMMON_MAKES spelling in app.js
+  const WMI_MAKES = {
+    "1G1": "Chevrolet", "1GC": "Chevrolet", "1GN": "Chevrolet", "2G1": "Chevrolet", "3GN": "Chevrolet", "3GC": "Chevrolet", "KL7": "Chevrolet", "KL8": "Chevrolet",
+    "1GT": "GMC", "1GK": "GMC", "2GT": "GMC", "3GT": "GMC", "3GK": "GMC",
+    "1G4": "Buick", "2G4": "Buick", "KL4": "Buick",
+    "1G6": "Cadillac", "1GY": "Cadillac",
+    "1FA": "Ford", "1FB": "Ford", "1FC": "Ford", "1FD": "Ford", "1FM": "Ford", "1FT": "Ford", "2FA": "Ford", "2FM": "Ford", "3FA": "Ford", "3FM": "Ford", "MAJ": "Ford",
+    "1LN": "Lincoln", "2LM": "Lincoln", "5LM": "Lincoln",
+    "1C3": "Chrysler", "2C3": "Chrysler", "2C4": "Chrysler",
+    "1C4": "Jeep", "1J4": "Jeep", "1J8": "Jeep", "ZAC": "Jeep",
+    "1C6": "RAM", "3C6": "RAM", "3C7": "RAM", "2C7": "RAM",
+    "1B3": "Dodge", "2B3": "Dodge", "2D3": "Dodge", "1D7": "Dodge",
+    "1HG": "Honda", "2HG": "Honda", "5FN": "Honda", "5J6": "Honda", "7FA": "Honda", "JHM": "Honda", "SHH": "Honda", "SHS": "Honda",
+    "19U": "Acura", "5J8": "Acura", "JH4": "Acura",
+    "1N4": "Nissan", "1N6": "Nissan", "3N1": "Nissan", "3N6": "Nissan", "5N1": "Nissan", "JN1": "Nissan", "JN8": "Nissan",
+    "JNK": "Infiniti", "JNR": "Infiniti", "5N3": "Infiniti",
+    "4T1": "Toyota", "4T3": "Toyota", "5TD": "Toyota", "5TF": "Toyota", "2T3": "Toyota", "JTD": "Toyota", "JTE": "Toyota", "JTM": "Toyota", "JTN": "Toyota",
+    "JTH": "Lexus", "JTJ": "Lexus", "2T2": "Lexus", "58A": "Lexus",
+    "4S3": "Subaru", "4S4": "Subaru", "JF1": "Subaru", "JF2": "Subaru",
+    "JM1": "Mazda", "JM3": "Mazda", "3MZ": "Mazda", "3MV": "Mazda",
+    "KMH": "Hyundai", "5NP": "Hyundai", "5NM": "Hyundai", "KM8": "Hyundai",
+    "KMT": "Genesis",
+    "KNA": "Kia", "KND": "Kia", "5XX": "Kia", "5XY": "Kia",
+    "WBA": "BMW", "WBS": "BMW", "WBX": "BMW", "5UX": "BMW", "5YM": "BMW",
+    "WMW": "MINI",
+    "WDD": "Mercedes-Benz", "WDC": "Mercedes-Benz", "W1K": "Mercedes-Benz", "W1N": "Mercedes-Benz", "4JG": "Mercedes-Benz", "55S": "Mercedes-Benz",
+    "WAU": "Audi", "WA1": "Audi",
+    "WVW": "Volkswagen", "WVG": "Volkswagen", "1VW": "Volkswagen", "3VW": "Volkswagen",
+    "WP0": "Porsche", "WP1": "Porsche",
+    "YV1": "Volvo", "YV4": "Volvo", "7JR": "Volvo",
+    "SAL": "Land Rover",
+    "5YJ": "Tesla", "7SA": "Tesla"
+  };
+
+  // First character (sometimes first two) → country of manufacture
+  const WMI_COUNTRIES = [
+    [/^[1457]/, "United States"],
+    [/^2/, "Canada"],
+    [/^3/, "Mexico"],
+    [/^6/, "Australia"],
+    [/^9[A-E]/, "Brazil"],
+    [/^J/, "Japan"],
+    [/^K[L-R]/, "South Korea"],
+    [/^L/, "China"],
+    [/^MA/, "India"],
+    [/^S[A-M]/, "United Kingdom"],
+    [/^V[F-R]/, "France"],
+    [/^VS/, "Spain"],
+    [/^W/, "Germany"],
+    [/^Y[S-W]/, "Sweden"],
+    [/^Z/, "Italy"]
+  ];
+
+  function decodeWmi(vin) {
+    const s = normalize(vin);
+    const wmi = s.slice(0, 3);
+    const make = WMI_MAKES[wmi] || "";
+    const hit = WMI_COUNTRIES.find(([re]) => re.test(s));
+    return { wmi, make, country: hit ? hit[1] : "" };
+  }
+
+  /* -------------------- Validation -------------------- */
+  /** Localized message by key (assets/i18n.js); the key itself until the bundles load,
+      so a setCustomValidity() message is never "" (which would mark the field valid) */
+  function i18nText(key, vars) {
+    return (root.QuirkI18n && root.QuirkI18n.t(key, vars)) || key;
+  }
+
+  /** Inline error text for a validation code, in the page's language */
+  function message(code, vars) {
+    if (code === "required") return i18nText("vinRequired");
+    if (code === "length") return i18nText("vinLength", vars);
+    if (code === "ioq") return i18nText("vinIoq");
+    if (code === "chars") return i18nText("vinChars");
+    if (code === "checkDigit") return i18nText("vinCheckDigit");
+    if (code === "year") return i18nText("vinYear");
+    return "";
+  }
+
+  /**
+   * Validates a VIN. Returns { ok: true, vin } or { ok: false, code, message }.
+   */
+  function validate(v) {
+    const vin = normalize(v);
+    const fail = (code, vars) => ({ ok: false, vin, code, message: message(code, vars) });
+
+    if (!vin) return fail("required");
+    if (/[^A-Z0-9]/.test(vin)) return fail("chars");
+    if (/[IOQ]/.test(vin)) return fail("ioq");
+    if (vin.length !== 17) return fail("length", { n: vin.length });
+    if (computeCheckDigit(vin) !== vin[8]) return fail("checkDigit");
+    if (YEAR_CODES.indexOf(vin[9]) < 0) return fail("year");
+    return { ok: true, vin };
+  }
+
+  /** Everything we can learn without the network */
+  function decodeLocal(v, now = new Date()) {
+    const vin = normalize(v);
+    const { wmi, make, country } = decodeWmi(vin);
+    return { vin, wmi, make, country, year: modelYear(vin, now) };
+  }
+
+  root.QuirkVin = { normalize, computeCheckDigit, modelYear, decodeWmi, validate, decodeLocal, message };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,260 @@
+/* assets/wizard.js
+    Step-by-step mode — exposed as window.QuirkWizard
+    - One fieldset.section per step, plus a final review step that summarizes
+      every answer above the disclaimer and submit button
+    - Next/Back buttons and a progress bar; Next validates the current step
+    - Each step gets a browser history entry (#step-N) so the Back button works
+    - Opt-in per form: data-wizard="mobile" (narrow screens), "always" or "off";
+      ?steps=1 / ?steps=0 overrides for testing
+*/
+(function (root) {
+  "use strict";
+
+  const MOBILE_QUERY = "(max-width: 640px)";
+
+  /** Localized message by key (assets/i18n.js) */
+  function i18nText(key, vars) {
+    return root.QuirkI18n ? root.QuirkI18n.t(key, vars) : key;
+  }
+
+  /** Whether step mode should run for this form on this device */
+  function isEnabled(form) {
+    const forced = new URLSearchParams(location.search).get("steps");
+    if (forced === "1") return true;
+    if (forced === "0") return false;
+    const mode = (form.getAttribute("data-wizard") || "off").toLowerCase();
+    if (mode === "always") return true;
+    if (mode === "mobile") return !!(root.matchMedia && root.matchMedia(MOBILE_QUERY).matches);
+    return false;
+  }
+
+  const el = (tag, className, text) => {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  };
+
+  function labelFor(control) {
+    const label = (control.labels && control.labels[0]) ||
+      (control.previousElementSibling && control.previousElementSibling.tagName === "LABEL" ? control.previousElementSibling : null);
+    return label ? label.textContent.replace(/\s+/g, " ").trim() : control.name;
+  }
+
+  /** Human-readable answer for one control ("" when unanswered) */
+  function displayValue(control) {
+    if (control.type === "file") {
+      const count = control.files ? control.files.length : 0;
+      return count ? i18nText("wizardPhotos", { count }) : "";
+    }
+    if (control.tagName === "SELECT") {
+      const opt = control.options[control.selectedIndex];
+      return opt && opt.value ? opt.textContent.trim() : "";
+    }
+    if (control.type === "checkbox" || control.type === "radio") return control.checked ? "✓" : "";
+    return String(control.value || "").trim();
+  }
+
+  /**
+   * @param {{form: HTMLFormElement, validateStep?: Function, canLeaveStep?: Function, onBlocked?: Function}} options
+   *   validateStep(step, {quiet}) runs app-level checks (VIN, phone) before the native ones;
+   *   canLeaveStep(step) returns a message to hold the customer on a step without
+   *   marking fields (e.g. photos still processing), which is passed to onBlocked(message).
+   * @returns {{goTo: (index: number) => void, current: () => number} | null} null when step mode is off
+   */
+  function init({ form, validateStep, canLeaveStep, onBlocked }) {
+    if (!form || !isEnabled(form)) return null;
+
+    const sections = Array.from(form.querySelectorAll("fieldset.section"));
+    if (sections.length < 2) return null;
+
+    const tail = Array.from(form.querySelectorAll(".agreement-card, button[type=submit], .smallprint"));
+    const anchor = tail[0] || null;
+
+    // Review step, inserted just above the disclaimer
+    const review = el("section", "section wizard-review");
+    const reviewTitle = el("h2");
+    reviewTitle.tabIndex = -1;
+    const reviewHint = el("p", "hint");
+    const reviewBody = el("div", "wizard-summary");
+    review.append(reviewTitle, reviewHint, reviewBody);
+    form.insertBefore(review, anchor);
+
+    // Progress bar above the first step
+    const progress = el("div", "wizard-progress");
+    const progressLabel = el("div", "wizard-progress-label");
+    progressLabel.setAttribute("aria-live", "polite");
+    const bar = el("div", "wizard-progress-bar");
+    bar.setAttribute("role", "progressbar");
+    bar.setAttribute("aria-valuemin", "1");
+    const fill = el("div", "wizard-progress-fill");
+    bar.appendChild(fill);
+    progress.append(progressLabel, bar);
+    form.insertBefore(progress, sections[0]);
+
+    // Back / Next below the steps
+    const nav = el("div", "wizard-nav");
+    const backBtn = el("button", "ghost-btn wizard-back");
+    const nextBtn = el("button", "spanish-btn wizard-next");
+    backBtn.type = nextBtn.type = "button";
+    nav.append(backBtn, nextBtn);
+    form.insertBefore(nav, review);
+
+    const steps = [...sections, review];
+    const total = steps.length;
+    const reviewIndex = total - 1;
+    bar.setAttribute("aria-valuemax", String(total));
+    form.classList.add("wizard");
+
+    let index = 0;
+
+    const titleOf = (step) => {
+      const h = step.querySelector("h2");
+      return h ? h.textContent.trim() : "";
+    };
+
+    function stepControls(step) {
+      return Array.from(step.querySelectorAll("input, select, textarea"))
+        .filter((c) => c.name && c.type !== "hidden" && !c.disabled);
+    }
+
+    let checking = false; // checkValidity() fires "invalid" too; see the submit handler below
+
+    /** Runs app + native checks for a step; reports the first problem unless quiet */
+    function isStepValid(step, { quiet = false } = {}) {
+      const appOk = validateStep ? validateStep(step, { quiet }) !== false : true;
+      checking = true;
+      const invalid = stepControls(step).find((c) => !c.checkValidity());
+      checking = false;
+      if (appOk && !invalid) return true;
+      if (!quiet && invalid) invalid.reportValidity();
+      return false;
+    }
+
+    function renderReview() {
+      reviewTitle.textContent = i18nText("wizardReviewTitle");
+      reviewHint.textContent = i18nText("wizardReviewHint");
+      reviewBody.innerHTML = "";
+
+      sections.forEach((step, i) => {
+        const group = el("div", "wizard-summary-group");
+        const head = el("div", "wizard-summary-head");
+        head.appendChild(el("h3", "", titleOf(step)));
+        const edit = el("button", "ghost-btn wizard-edit", i18nText("wizardEdit"));
+        edit.type = "button";
+        edit.addEventListener("click", () => goTo(i));
+        head.appendChild(edit);
+        group.appendChild(head);
+
+        const rows = stepControls(step)
+          .map((c) => [labelFor(c), displayValue(c)])
+          .filter(([, value]) => value);
+        if (rows.length) {
+          const dl = el("dl");
+          rows.forEach(([label, value]) => dl.append(el("dt", "", label), el("dd", "", value)));
+          group.appendChild(dl);
+        } else {
+          group.appendChild(el("p", "hint", i18nText("wizardEmpty")));
+        }
+        reviewBody.appendChild(group);
+      });
+    }
+
+    function render({ focus = true } = {}) {
+      steps.forEach((step, i) => { step.hidden = i !== index; });
+      tail.forEach((node) => { node.hidden = index !== reviewIndex; });
+
+      const title = index === reviewIndex ? i18nText("wizardReviewTitle") : titleOf(steps[index]);
+      progressLabel.textContent = i18nText("wizardProgress", { n: index + 1, total, title });
+      bar.setAttribute("aria-valuenow", String(index + 1));
+      fill.style.width = `${((index + 1) / total) * 100}%`;
+
+      backBtn.textContent = i18nText("wizardBack");
+      backBtn.hidden = index === 0;
+      nextBtn.textContent = index === reviewIndex - 1 ? i18nText("wizardReviewNext") : i18nText("wizardNext");
+      nextBtn.hidden = index === reviewIndex;
+
+      if (index === reviewIndex) renderReview();
+
+      if (focus) {
+        form.scrollIntoView({ behavior: "smooth", block: "start" });
+        const heading = steps[index].querySelector("h2");
+        if (heading) {
+          if (!heading.hasAttribute("tabindex")) heading.tabIndex = -1;
+          heading.focus({ preventScroll: true });
+        }
+      }
+    }
+
+    /** Shows step i; forward moves must pass every step in between */
+    function goTo(i, { push = true } = {}) {
+      const target = Math.max(0, Math.min(reviewIndex, i));
+      for (let s = index; s < target; s++) {
+        const blocked = canLeaveStep && canLeaveStep(steps[s]);
+        if (blocked || !isStepValid(steps[s])) {
+          if (s !== index) { index = s; render(); }
+          if (blocked && onBlocked) onBlocked(blocked);
+          if (!push) history.replaceState({ wizardStep: index }, "", `#step-${index + 1}`);
+          return false;
+        }
+      }
+      index = target;
+      if (push) history.pushState({ wizardStep: index }, "", `#step-${index + 1}`);
+      render();
+      return true;
+    }
+
+    backBtn.addEventListener("click", () => {
+      if (history.state && typeof history.state.wizardStep === "number" && history.state.wizardStep > 0) history.back();
+      else goTo(index - 1);
+    });
+    nextBtn.addEventListener("click", () => goTo(index + 1));
+
+    root.addEventListener("popstate", (e) => {
+      const step = e.state && typeof e.state.wizardStep === "number" ? e.state.wizardStep : 0;
+      goTo(step, { push: false });
+    });
+
+    // Enter in a field means "Next" until the review step
+    form.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter" || index === reviewIndex) return;
+      const target = e.target;
+      if (!target || target.tagName !== "INPUT" || /^(button|submit|file|checkbox|radio)$/.test(target.type)) return;
+      e.preventDefault();
+      goTo(index + 1);
+    });
+
+    // Final submit: if a field in another step went invalid (e.g. after Edit),
+    // show that step so the browser can point at the field
+    let jumping = false;
+    form.addEventListener("invalid", (e) => {
+      if (jumping || checking) return;
+      const i = sections.findIndex((step) => step.contains(e.target));
+      if (i < 0 || i === index) return;
+      jumping = true;
+      setTimeout(() => { jumping = false; }, 0);
+      index = i;
+      history.pushState({ wizardStep: index }, "", `#step-${index + 1}`);
+      render({ focus: false });
+    }, true);
+
+    form.addEventListener("quirk:cleared", () => {
+      index = 0;
+      history.replaceState({ wizardStep: 0 }, "", "#step-1");
+      render({ focus: false });
+    });
+    form.addEventListener("quirk:restored", () => { if (index === reviewIndex) renderReview(); });
+
+    // Re-label when the language toggle flips <html lang>
+    new MutationObserver(() => render({ focus: false }))
+      .observe(document.documentElement, { attributes: true, attributeFilter: ["lang"] });
+
+    // Always start at step 1; answers from a reload aren't guaranteed to be there
+    history.replaceState({ wizardStep: 0 }, "", `${location.pathname}${location.search}#step-1`);
+    render({ focus: false });
+
+    return { goTo, current: () => index };
+  }
+
+  root.QuirkWizard = { init, isEnabled };
+})(window);
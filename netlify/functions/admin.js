@@ -0,0 +1,187 @@
+// netlify/functions/admin.js
+// API behind the staff lead inbox (admin/index.html). Every route except
+// login needs `Authorization: Bearer <token>` (lib/admin-auth.js).
+//   POST  /api/admin/login             { email, password } -> { token, user, expiresAt }
+//   GET   /api/admin/me                -> { user, staff, statuses }
+//   GET   /api/admin/leads?q=&from=&to=&make=&title=&utmSource=&status=&owner=&offset=&limit=
+//                                      -> { total, leads: [summary], facets }
+//   GET   /api/admin/leads?…&format=csv -> text/csv of every match
+//   GET   /api/admin/leads/:id         -> { lead, sections, nextStatuses, gallery }
+//   PATCH /api/admin/leads/:id         { status?, owner? } -> same as GET
+//   POST  /api/admin/leads/:id/notes   { text } -> same as GET
+//
+// Environment:
+// ADMIN_SECRET / ADMIN_USERS / ADMIN_TOKEN / ADMIN_SESSION_HOURS: See lib/admin-auth.js.
+// ADMIN_LOGIN_LIMIT_IP: Sign-in attempts per IP per 15 minutes (default 20).
+// ADMIN_LOGIN_LIMIT_EMAIL: Sign-in attempts per account per 15 minutes (default 5).
+// RATE_LIMIT_DRIVER: See lib/rate-limit.js.
+// STORE_DRIVER: Lead store; see lib/store.js.
+// GALLERY_SECRET: Photo gallery links; see lib/photo-store.js.
+import { authenticate, loadAdminUsers, login } from "./lib/admin-auth.js";
+import { openStore } from "./lib/store.js";
+import { LEAD_STATUSES, getLead, listLeads, nextStatuses, updateLead } from "./lib/leads.js";
+import { filterLeads, leadFacets, leadsToCsv, summarizeLead } from "./lib/lead-inbox.js";
+import { emitLeadEvent } from "./lib/deliveries.js";
+import { groupRows } from "./lib/lead-email.js";
+import { galleryLink, loadLeadPhotos } from "./lib/photo-store.js";
+import { checkRateLimit, clientIp, openCounters } from "./lib/rate-limit.js";
+
+const FILTERS = ["q", "from", "to", "make", "title", "utmSource", "status", "owner"];
+const MAX_PAGE = 200;
+const LOGIN_WINDOW_SECONDS = 15 * 60;
+
+/** A fresh gallery link for the lead's stored photos (null when there are none) */
+async function leadGallery(id, event) {
+  if (!process.env.GALLERY_SECRET) return null;
+  try {
+    const photos = await loadLeadPhotos(id, { event });
+    return photos.length ? { ...galleryLink(id), count: photos.length } : null;
+  } catch (error) {
+    console.error("Photo index unavailable:", error.message);
+    return null;
+  }
+}
+
+/** Counts a sign-in attempt per IP and per account (a broken counter store lets it through) */
+async function loginLimit(event, email) {
+  try {
+    return await checkRateLimit(openCounters({ event }), { ip: clientIp(event), email: String(email || "").trim() || undefined }, {
+      bucket: "login",
+      limits: {
+        ip: { max: Number(process.env.ADMIN_LOGIN_LIMIT_IP) || 20, windowSeconds: LOGIN_WINDOW_SECONDS },
+        email: { max: Number(process.env.ADMIN_LOGIN_LIMIT_EMAIL) || 5, windowSeconds: LOGIN_WINDOW_SECONDS },
+      },
+    });
+  } catch (error) {
+    console.error("Rate limit error (allowing):", error.message);
+    return { ok: true };
+  }
+}
+
+export async function handler(event) {
+  const headers = { "Content-Type": "application/json", "Cache-Control": "no-store" };
+  const json = (statusCode, body, extra = {}) => ({ statusCode, headers: { ...headers, ...extra }, body: JSON.stringify(body) });
+
+  if (!process.env.ADMIN_SECRET) return json(404, { error: "Not Found" });
+
+  const path = (event.path || "").replace(/\/+$/, "");
+  const method = event.httpMethod;
+
+  let body = {};
+  if (method === "POST" || method === "PATCH") {
+    try {
+      body = JSON.parse(event.body || "{}");
+    } catch {
+      return json(400, { error: "Invalid JSON" });
+    }
+  }
+
+  if (/\/login$/.test(path)) {
+    if (method !== "POST") return json(405, { error: "Method Not Allowed" });
+    const limit = await loginLimit(event, body.email);
+    if (!limit.ok) {
+      console.warn(JSON.stringify({ event: "admin.login_limited", scope: limit.scope }));
+      const minutes = Math.ceil(limit.retryAfter / 60);
+      return json(429, { error: `Too many sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.` }, { "Retry-After": String(limit.retryAfter) });
+    }
+    const session = await login(body.email, body.password);
+    if (!session.ok) {
+      console.warn(JSON.stringify({ event: "admin.login_failed", email: String(body.email || "").slice(0, 254) }));
+      return json(401, { error: "Invalid email or password" });
+    }
+    return json(200, { token: session.token, user: session.user, expiresAt: session.expiresAt });
+  }
+
+  const auth = authenticate(event);
+  if (!auth.ok) return json(401, { error: "Unauthorized", reason: auth.reason });
+  const { user } = auth;
+
+  if (/\/me$/.test(path)) {
+    const staff = loadAdminUsers().map(({ email, name }) => ({ email, name }));
+    return json(200, { user, staff, statuses: LEAD_STATUSES });
+  }
+
+  const store = openStore("leads", { event });
+
+  // /leads
+  if (/\/leads$/.test(path)) {
+    if (method !== "GET") return json(405, { error: "Method Not Allowed" });
+    const query = event.queryStringParameters || {};
+    const filters = Object.fromEntries(FILTERS.filter((k) => query[k]).map((k) => [k, String(query[k])]));
+    const records = await listLeads(store);
+    const matches = filterLeads(records, filters);
+
+    if (query.format === "csv") {
+      const stamp = new Date().toISOString().slice(0, 10);
+      return {
+        statusCode: 200,
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="quirk-leads-${stamp}.csv"`,
+          "Cache-Control": "no-store",
+        },
+        // BOM so Excel opens accented names correctly
+        body: `\uFEFF${leadsToCsv(matches)}`,
+      };
+    }
+
+    const offset = Math.max(0, Number(query.offset) || 0);
+    const limit = Math.min(MAX_PAGE, Math.max(1, Number(query.limit) || 50));
+    return json(200, {
+      total: matches.length,
+      offset,
+      leads: matches.slice(offset, offset + limit).map(summarizeLead),
+      facets: leadFacets(records),
+    });
+  }
+
+  // /leads/:id and /leads/:id/notes
+  const match = path.match(/\/leads\/([^/]+)(\/notes)?$/);
+  if (!match) return json(404, { error: "Not Found" });
+  const id = decodeURIComponent(match[1]);
+  // Same labelled sections as the lead email
+  const view = async (record) => json(200, {
+    lead: record,
+    sections: groupRows({ ...record.data, submittedAt: undefined }),
+    nextStatuses: nextStatuses(record.status),
+    gallery: await leadGallery(record.id, event),
+  });
+
+  if (!match[2] && method === "GET") {
+    const record = await getLead(store, id);
+    return record ? view(record) : json(404, { error: "Not Found" });
+  }
+
+  let changes;
+  if (match[2] && method === "POST") changes = { note: body.text ?? "" };
+  else if (!match[2] && method === "PATCH") changes = { status: body.status, owner: body.owner };
+  else return json(405, { error: "Method Not Allowed" });
+
+  // Owners are staff members (or nobody)
+  if (changes.owner && !loadAdminUsers().some((u) => u.email === String(changes.owner).toLowerCase())) {
+    return json(422, { ok: false, errors: [{ field: "owner", code: "unknown_owner", message: "Owner must be a staff member." }] });
+  }
+  if (changes.owner) changes.owner = String(changes.owner).toLowerCase();
+
+  const result = await updateLead(store, id, changes, { by: user.email });
+  if (!result.ok) {
+    if (result.code === "not_found") return json(404, { error: "Not Found" });
+    const field = result.code === "invalid_note" ? "text" : "status";
+    return json(422, { ok: false, errors: [{ field, code: result.code, message: result.message }] });
+  }
+
+  const { record, changed } = result;
+  if (changed.length) {
+    console.log(JSON.stringify({ event: "lead.changed", leadId: record.id, by: user.email, changed }));
+  }
+  // CRM / sheets stay in step with the desk's status and owner
+  if (changed.includes("status") || changed.includes("owner")) {
+    await emitLeadEvent({
+      event,
+      type: "lead.updated",
+      lead: { ...record.data, id: record.id, status: record.status, owner: record.owner },
+      createdAt: record.updatedAt,
+    });
+  }
+  return view(record);
+}
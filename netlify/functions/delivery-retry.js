@@ -0,0 +1,78 @@
+// netlify/functions/delivery-retry.js
+// Scheduled (see netlify.toml): retries queued deliveries whose backoff has
+// elapsed and reports new dead letters once, so no lead is lost silently. Also
+// hands lead photos that failed to store back to lead-photos-background.
+//
+// Environment:
+// DELIVERY_ALERT_EMAIL: Comma-separated recipients for dead-letter reports
+//   (default TO_EMAIL). Reports are always logged as "delivery.dead_letter".
+// FROM_EMAIL: Sender for the report.
+// DELIVERY_* / WEBHOOK_TARGETS: See lib/deliveries.js and lib/webhooks.js.
+// GALLERY_SECRET: See lib/photo-store.js; photo retries are off when unset.
+import { openStore } from "./lib/store.js";
+import { listDead, markReported, retryDue } from "./lib/deliveries.js";
+import { sendMail } from "./lib/mailer.js";
+import { retryStagedPhotos } from "./lib/photo-store.js";
+
+/** Plain-text report; failed lead emails are included so the desk can still act on them */
+function renderReport(jobs) {
+  const blocks = jobs.map((job) => {
+    const lines = [
+      `${job.key} (${job.kind})`,
+      `  Attempts: ${job.attempts}, first queued ${job.createdAt}`,
+      `  Last error: ${job.lastError}`,
+    ];
+    if (job.kind === "email" && job.payload?.message) {
+      const { subject, to, text } = job.payload.message;
+      lines.push(`  Was going to: ${[].concat(to || []).join(", ")}`, `  Subject: ${subject}`, "", text || "");
+    }
+    return lines.join("\n");
+  });
+
+  return {
+    subject: `Trade-in deliveries failed: ${jobs.length} dead letter${jobs.length === 1 ? "" : "s"}`,
+    text: [
+      "These deliveries ran out of retry attempts and were moved to the dead-letter store.",
+      "",
+      blocks.join("\n\n----\n\n"),
+    ].join("\n"),
+  };
+}
+
+export async function handler(event) {
+  const store = openStore("deliveries", { event });
+
+  const counts = await retryDue(store);
+  console.log(JSON.stringify({ event: "delivery.retry_run", ...counts }));
+
+  if (process.env.GALLERY_SECRET) {
+    try {
+      const leads = await retryStagedPhotos({ event });
+      if (leads) console.log(JSON.stringify({ event: "photos.retry_run", leads }));
+    } catch (error) {
+      console.error("Photo retry failed:", error.message);
+    }
+  }
+
+  const fresh = (await listDead(store)).filter((job) => !job.reportedAt);
+  if (!fresh.length) return { statusCode: 200, body: JSON.stringify(counts) };
+
+  for (const job of fresh) {
+    console.error(JSON.stringify({ event: "delivery.dead_letter", key: job.key, kind: job.kind, attempts: job.attempts, error: job.lastError }));
+  }
+
+  const to = process.env.DELIVERY_ALERT_EMAIL || process.env.TO_EMAIL;
+  if (to && process.env.FROM_EMAIL) {
+    const report = renderReport(fresh);
+    try {
+      await sendMail({ to: to.split(",").map((s) => s.trim()).filter(Boolean), from: process.env.FROM_EMAIL, ...report });
+    } catch (error) {
+      // Leave them unreported; the next run tries again
+      console.error("Dead-letter report failed:", error.message);
+      return { statusCode: 200, body: JSON.stringify({ ...counts, reported: 0 }) };
+    }
+  }
+
+  await Promise.all(fresh.map((job) => markReported(store, job)));
+  return { statusCode: 200, body: JSON.stringify({ ...counts, reported: fresh.length }) };
+}
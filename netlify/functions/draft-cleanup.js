@@ -0,0 +1,23 @@
+// netlify/functions/draft-cleanup.js
+// Scheduled (see netlify.toml): deletes saved drafts (draft.js) whose resume
+// link has expired, so customer answers aren't kept after the link is dead.
+//
+// Environment:
+// STORE_DRIVER: Draft store; see lib/store.js.
+import { openStore } from "./lib/store.js";
+
+export async function handler(event) {
+  const store = openStore("drafts", { event });
+  const now = Date.now();
+
+  let deleted = 0;
+  for (const key of await store.list("draft/")) {
+    const draft = await store.getJSON(key);
+    if (draft && Date.parse(draft.expiresAt) > now) continue;
+    await store.delete(key);
+    deleted += 1;
+  }
+
+  console.log(JSON.stringify({ event: "draft.cleanup", deleted }));
+  return { statusCode: 200, body: JSON.stringify({ deleted }) };
+}
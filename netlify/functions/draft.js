@@ -0,0 +1,146 @@
+// netlify/functions/draft.js
+// "Email me a link to finish later": saves form answers (never photos) under a
+// signed, expiring token and emails the customer a resume link.
+//   POST /api/draft  { email, values, lang }  -> { ok, expiresAt }
+//   GET  /api/draft?token=…                   -> { ok, values, lang }
+// A link works once: the draft is deleted when it is read (the page keeps the
+// answers locally from then on), and unread ones are swept after they expire
+// (draft-cleanup.js). Sending is limited per IP and per address so the endpoint
+// can't be used to mail strangers.
+//
+// Environment:
+// DRAFT_SECRET: Required; signs resume tokens. The endpoint is disabled when unset.
+// DRAFT_TTL_HOURS: How long a resume link works (default 72).
+// DRAFT_RATE_LIMIT_IP: Links emailed per IP per hour (default 5).
+// DRAFT_RATE_LIMIT_EMAIL: Links emailed per address per day (default 3).
+// ALLOWED_ORIGINS / RATE_LIMIT_DRIVER: See lib/cors.js and lib/rate-limit.js.
+// URL / SITE_URL: Site origin for the link (Netlify sets URL).
+// FROM_EMAIL + MAIL_TRANSPORT: See lib/mailer.js.
+import { randomUUID } from "node:crypto";
+import { LEAD_FIELDS, isValidEmail } from "./lib/lead-schema.js";
+import { openStore } from "./lib/store.js";
+import { signToken, verifyToken } from "./lib/tokens.js";
+import { htmlEscape } from "./lib/lead-email.js";
+import { sendMail } from "./lib/mailer.js";
+import { cors } from "./lib/cors.js";
+import { checkRateLimit, clientIp, openCounters } from "./lib/rate-limit.js";
+
+// Only what the customer typed; attribution, plumbing and files are left out
+const DRAFT_FIELDS = Object.entries(LEAD_FIELDS)
+  .filter(([, spec]) => spec.section && !["file", "hidden", "checkbox", "honeypot"].includes(spec.type))
+  .map(([name, spec]) => [name, spec.maxLength || 2000]);
+
+const COPY = {
+  en: {
+    subject: "Finish your Quirk trade-in appraisal",
+    intro: "You asked us to save your trade-in answers. Pick up where you left off:",
+    button: "Finish my appraisal",
+    expires: (when) => `This link works until ${when}. Photos aren't saved, so please add them when you finish.`,
+  },
+  es: {
+    subject: "Termine su tasación de intercambio de Quirk",
+    intro: "Nos pidió guardar sus respuestas. Continúe donde lo dejó:",
+    button: "Terminar mi tasación",
+    expires: (when) => `Este enlace funciona hasta el ${when}. Las fotos no se guardan; agréguelas al terminar.`,
+  },
+};
+
+/** Keeps known string fields, trimmed to their schema length */
+function cleanValues(values = {}) {
+  const out = {};
+  for (const [name, max] of DRAFT_FIELDS) {
+    const v = values[name];
+    if (typeof v === "string" && v.trim()) out[name] = v.slice(0, max);
+  }
+  return out;
+}
+
+export async function handler(event) {
+  const access = cors(event, { methods: "GET, POST, OPTIONS" });
+  const headers = { ...access.headers, "Content-Type": "application/json", "Cache-Control": "no-store" };
+  const json = (statusCode, body, extra = {}) => ({ statusCode, headers: { ...headers, ...extra }, body: JSON.stringify(body) });
+
+  const secret = process.env.DRAFT_SECRET;
+  if (!secret) return json(404, { error: "Not Found" });
+  if (!access.allowed) {
+    console.warn(JSON.stringify({ event: "draft.origin_blocked", origin: access.origin }));
+    return json(403, { error: "Forbidden" });
+  }
+  if (event.httpMethod === "OPTIONS") return { statusCode: 200, headers, body: "ok" };
+
+  const store = openStore("drafts", { event });
+
+  // Resume: token -> saved answers, once
+  if (event.httpMethod === "GET") {
+    const check = verifyToken(event.queryStringParameters?.token, secret);
+    if (!check.ok) return json(check.reason === "expired" ? 410 : 400, { ok: false, error: check.reason });
+    const draft = await store.getJSON(check.payload.sub);
+    if (!draft) return json(410, { ok: false, error: "expired" });
+    await store.delete(check.payload.sub);
+    return json(200, { ok: true, values: draft.values, lang: draft.lang });
+  }
+
+  if (event.httpMethod !== "POST") return json(405, { error: "Method Not Allowed" });
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { error: "Invalid JSON" });
+  }
+
+  const email = String(body.email || "").trim().toLowerCase();
+  if (!isValidEmail(email)) return json(422, { ok: false, errors: [{ field: "email", code: "invalid_email", message: "Email address is not valid." }] });
+
+  // Per IP and per address (a broken counter store must not block customers)
+  try {
+    const limit = await checkRateLimit(openCounters({ event }), { ip: clientIp(event), email }, {
+      bucket: "draft",
+      limits: {
+        ip: { max: Number(process.env.DRAFT_RATE_LIMIT_IP) || 5, windowSeconds: 3600 },
+        email: { max: Number(process.env.DRAFT_RATE_LIMIT_EMAIL) || 3, windowSeconds: 86400 },
+      },
+    });
+    if (!limit.ok) {
+      console.warn(JSON.stringify({ event: "draft.rate_limited", scope: limit.scope }));
+      return json(429, { ok: false, error: "rate_limited" }, { "Retry-After": String(limit.retryAfter) });
+    }
+  } catch (e) {
+    console.error("Rate limit error (allowing):", e.message);
+  }
+
+  const values = cleanValues(body.values);
+  const lang = body.lang === "es" ? "es" : "en";
+  const ttlHours = Number(process.env.DRAFT_TTL_HOURS) || 72;
+  const now = Date.now();
+  const expiresAt = new Date(now + ttlHours * 3600 * 1000).toISOString();
+
+  const key = `draft/${randomUUID()}`;
+  await store.setJSON(key, { values: { ...values, email }, lang, createdAt: new Date(now).toISOString(), expiresAt });
+
+  const token = signToken({ sub: key }, secret, { ttlSeconds: ttlHours * 3600, now });
+  const origin = (process.env.SITE_URL || process.env.URL || "").replace(/\/$/, "");
+  const link = `${origin}/?draft=${encodeURIComponent(token)}${lang === "es" ? "&lang=es" : ""}`;
+
+  const copy = COPY[lang];
+  const when = new Date(expiresAt).toLocaleString(lang === "es" ? "es-US" : "en-US", {
+    dateStyle: "long", timeStyle: "short", timeZone: "America/New_York",
+  });
+  try {
+    await sendMail({
+      to: email,
+      from: process.env.FROM_EMAIL,
+      subject: copy.subject,
+      text: `${copy.intro}\n\n${link}\n\n${copy.expires(when)}\n`,
+      html: `<p>${htmlEscape(copy.intro)}</p>
+<p><a href="${htmlEscape(link)}" style="display:inline-block;background:#007b4a;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none;font-weight:600;">${htmlEscape(copy.button)}</a></p>
+<p style="font-size:12px;color:#6B7280;">${htmlEscape(copy.expires(when))}</p>`,
+    });
+  } catch (e) {
+    console.error("Draft link email failed:", e.message);
+    await store.delete(key);
+    return json(502, { ok: false, error: "send_failed" });
+  }
+
+  return json(200, { ok: true, expiresAt });
+}
@@ -0,0 +1,19 @@
+// netlify/functions/form-token.js
+// Issues the time-to-fill token when the form page loads. It rides along in the
+// hidden formToken field, and lib/spam.js reads how long the visitor took.
+//   GET /api/form-token  -> { token }
+//
+// Environment:
+// FORM_TOKEN_SECRET: Required; the endpoint (and the check) is disabled when unset.
+import { issueFormToken } from "./lib/spam.js";
+
+export async function handler(event) {
+  const headers = { "Content-Type": "application/json", "Cache-Control": "no-store" };
+  const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  const secret = process.env.FORM_TOKEN_SECRET;
+  if (!secret) return json(404, { error: "Not Found" });
+  if (event.httpMethod !== "GET") return json(405, { error: "Method Not Allowed" });
+
+  return json(200, { token: issueFormToken(secret) });
+}
@@ -0,0 +1,102 @@
+// netlify/functions/gallery.js
+// The photo gallery linked from the lead email: every photo of a lead, grouped
+// by category, behind a signed, expiring token (lib/photo-store.js).
+//   GET /api/gallery?token=…                              -> HTML page
+//   GET /api/gallery?token=…&photo=<id>&size=thumb|web|original -> the image
+//
+// Environment:
+// GALLERY_SECRET: Required; the gallery is disabled when unset.
+// STORE_DRIVER: Photo store; see lib/store.js.
+import { htmlEscape, photoGroups } from "./lib/lead-email.js";
+import { loadLeadPhotos, readLeadPhoto, verifyGalleryToken } from "./lib/photo-store.js";
+
+const SIZES = new Set(["thumb", "web", "original"]);
+// Base64 adds a third; Netlify caps function responses at 6MB
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// The token is in the URL: keep it out of caches, referrers and search indexes
+const PAGE_HEADERS = {
+  "Cache-Control": "private, no-store",
+  "Referrer-Policy": "no-referrer",
+  "X-Robots-Tag": "noindex, nofollow",
+};
+
+const page = (statusCode, title, body) => ({
+  statusCode,
+  headers: { ...PAGE_HEADERS, "Content-Type": "text/html; charset=utf-8" },
+  body: `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${htmlEscape(title)}</title>
+<style>
+  body { margin: 0; padding: 24px; font-family: system-ui, Segoe UI, Roboto, Helvetica, Arial; color: #0c1b16; background: #f9fbf9; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  h2 { margin: 28px 0 10px; font-size: 16px; color: #004a2f; border-bottom: 1px solid #d9efe4; padding-bottom: 4px; }
+  .hint { color: #6B7280; font-size: 13px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 12px; }
+  figure { margin: 0; background: #fff; border: 1px solid #e3e7e5; border-radius: 8px; overflow: hidden; }
+  figure img { display: block; width: 100%; aspect-ratio: 4 / 3; object-fit: cover; background: #eef2f0; }
+  figcaption { padding: 6px 8px; font-size: 12px; color: #374151; overflow-wrap: anywhere; }
+  figcaption a { color: #007b4a; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`,
+});
+
+const notice = (statusCode, text) => page(statusCode, "Trade-in photos", `<h1>Trade-in photos</h1><p class="hint">${htmlEscape(text)}</p>`);
+
+export async function handler(event) {
+  if (!process.env.GALLERY_SECRET) return { statusCode: 404, body: "Not Found" };
+  if (event.httpMethod !== "GET") return { statusCode: 405, body: "Method Not Allowed" };
+
+  const query = event.queryStringParameters || {};
+  const check = verifyGalleryToken(query.token);
+  if (!check.ok) {
+    return check.reason === "expired"
+      ? notice(410, "This gallery link has expired. Open the lead in the staff inbox for a new one.")
+      : notice(400, "This gallery link isn't valid.");
+  }
+  const { leadId } = check;
+  const photos = await loadLeadPhotos(leadId, { event });
+
+  // One image
+  if (query.photo) {
+    const photo = photos.find((p) => p.id === query.photo);
+    const size = SIZES.has(query.size) ? query.size : "web";
+    const image = photo && await readLeadPhoto(leadId, photo, size, { event });
+    if (!image) return { statusCode: 404, headers: PAGE_HEADERS, body: "Not Found" };
+    if (image.content.byteLength > MAX_IMAGE_BYTES) return { statusCode: 413, headers: PAGE_HEADERS, body: "Too large to view here" };
+    return {
+      statusCode: 200,
+      headers: {
+        ...PAGE_HEADERS,
+        "Content-Type": image.type,
+        "Cache-Control": "private, max-age=86400",
+        ...(size === "original" ? { "Content-Disposition": `inline; filename="${photo.filename.replace(/["\\\r\n]/g, "")}"` } : {}),
+      },
+      body: image.content.toString("base64"),
+      isBase64Encoded: true,
+    };
+  }
+
+  // The page
+  if (!photos.length) return notice(404, `No photos are stored for lead ${leadId}.`);
+  const src = (photo, size) => `?token=${encodeURIComponent(query.token)}&photo=${encodeURIComponent(photo.id)}&size=${size}`;
+  const sections = photoGroups(photos).map(({ label, files }) => `
+<h2>${htmlEscape(label)} <span class="hint">(${files.length})</span></h2>
+<div class="grid">
+  ${files.map((p) => `<figure>
+    <a href="${htmlEscape(src(p, "web"))}" target="_blank" rel="noopener"><img src="${htmlEscape(src(p, "thumb"))}" alt="${htmlEscape(p.filename)}" loading="lazy"></a>
+    <figcaption>${htmlEscape(p.filename)}${p.size <= MAX_IMAGE_BYTES ? ` · <a href="${htmlEscape(src(p, "original"))}" target="_blank" rel="noopener">original</a>` : ""}</figcaption>
+  </figure>`).join("\n  ")}
+</div>`).join("");
+
+  return page(200, `Photos — ${leadId}`, `<h1>Trade-in photos</h1>
+<p class="hint">Lead ${htmlEscape(leadId)} · ${photos.length} photo${photos.length === 1 ? "" : "s"}</p>
+${sections}`);
+}
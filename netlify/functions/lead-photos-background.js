@@ -0,0 +1,30 @@
+// netlify/functions/lead-photos-background.js
+// Background function (the -background suffix: Netlify answers 202 at once and
+// lets it run for up to 15 minutes): stores a lead's staged photos with their
+// thumbnails and web sizes, then sends the lead email held for them.
+//   POST { token }  -- signed by handOffLeadPhotos() in lib/photo-store.js
+//
+// Environment:
+// GALLERY_SECRET: Required; signs the token. Disabled when unset.
+// STORE_DRIVER / PHOTO_MAX_MB: See lib/store.js and lib/photo-store.js.
+import { processStagedPhotos, verifyPhotosToken } from "./lib/photo-store.js";
+
+export async function handler(event) {
+  if (!process.env.GALLERY_SECRET) return { statusCode: 404, body: "Not Found" };
+  if (event.httpMethod !== "POST") return { statusCode: 405, body: "Method Not Allowed" };
+
+  let token;
+  try {
+    token = JSON.parse(event.body || "{}").token;
+  } catch (_) {
+    token = null;
+  }
+  const check = verifyPhotosToken(token);
+  if (!check.ok) {
+    console.warn(JSON.stringify({ event: "photos.rejected", reason: check.reason }));
+    return { statusCode: 401, body: "Unauthorized" };
+  }
+
+  await processStagedPhotos(check.leadId, { event, releaseEmail: check.releaseEmail });
+  return { statusCode: 200, body: "ok" };
+}
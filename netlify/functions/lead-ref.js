@@ -0,0 +1,24 @@
+// netlify/functions/lead-ref.js
+// Reserves a lead reference number just before the form posts, so the
+// confirmation page can show it. The signed ref rides along in the hidden
+// leadRef field and the submission handlers save the lead under that ID.
+//   POST /api/lead-ref  -> { leadId, ref }
+//
+// Environment:
+// LEAD_REF_SECRET: Required; the endpoint is disabled when unset (no reference shown).
+import { newLeadId } from "./lib/leads.js";
+import { signToken } from "./lib/tokens.js";
+
+const REF_TTL_SECONDS = 24 * 60 * 60;
+
+export async function handler(event) {
+  const headers = { "Content-Type": "application/json", "Cache-Control": "no-store" };
+  const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  const secret = process.env.LEAD_REF_SECRET;
+  if (!secret) return json(404, { error: "Not Found" });
+  if (event.httpMethod !== "POST") return json(405, { error: "Method Not Allowed" });
+
+  const leadId = newLeadId();
+  return json(200, { leadId, ref: signToken({ sub: leadId }, secret, { ttlSeconds: REF_TTL_SECONDS }) });
+}
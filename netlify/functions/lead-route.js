@@ -0,0 +1,48 @@
+// netlify/functions/lead-route.js
+// Dry run for lead routing: POST a sample lead, get back the route it would take.
+//   POST /api/lead-route[?source=api|netlifyForms]   Authorization: Bearer <ROUTING_PREVIEW_TOKEN>
+// `source` picks the handler whose fallback recipients apply: api
+// (trade-appraisal.js, the default) or netlifyForms (submission-created.js).
+//
+// Environment:
+// ROUTING_PREVIEW_TOKEN: Required; the endpoint is disabled when unset.
+// LEAD_ROUTES / LEAD_ROUTES_FILE / TO_EMAIL: See lib/routing.js.
+import { validateLead } from "./lib/lead-schema.js";
+import { FALLBACK_TO, loadRoutingConfig, resolveRoute } from "./lib/routing.js";
+import { safeEqual } from "./lib/admin-auth.js";
+
+export async function handler(event) {
+  const headers = { "Content-Type": "application/json" };
+  const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  const token = process.env.ROUTING_PREVIEW_TOKEN;
+  if (!token) return json(404, { error: "Not Found" });
+
+  const auth = event.headers?.authorization || event.headers?.Authorization || "";
+  if (!safeEqual(auth, `Bearer ${token}`)) return json(401, { error: "Unauthorized" });
+  if (event.httpMethod !== "POST") return json(405, { error: "Method Not Allowed" });
+
+  const source = event.queryStringParameters?.source || "api";
+  if (!Object.hasOwn(FALLBACK_TO, source)) {
+    return json(400, { error: `Unknown source (expected ${Object.keys(FALLBACK_TO).join(" or ")})` });
+  }
+
+  let sample;
+  try {
+    sample = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { error: "Invalid JSON" });
+  }
+
+  // Normalize the way the real handlers do; a partial sample is fine here
+  const { lead, errors } = validateLead(sample);
+  const config = loadRoutingConfig(process.env, { fallbackTo: FALLBACK_TO[source] });
+  const route = resolveRoute({ ...sample, ...lead }, config);
+
+  return json(200, {
+    source,
+    route,
+    rulesEvaluated: config.routes.map((r) => r.name),
+    validationWarnings: errors,
+  });
+}
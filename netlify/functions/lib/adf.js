@@ -0,0 +1,168 @@
+// netlify/functions/lib/adf.js
+// ADF 1.0 (Auto-lead Data Format) export so leads land in a CRM/DMS with
+// structured fields. The XML can ride along as an email attachment and/or be
+// POSTed to a CRM endpoint.
+//
+// Environment:
+// ADF_ATTACH: "false" to stop attaching the .xml to the dealership email (default on).
+// ADF_CRM_URL: If set, each lead's ADF is POSTed here as application/xml.
+// ADF_CRM_TOKEN: Optional bearer token for ADF_CRM_URL.
+// ADF_VENDOR_NAME: Dealership name in <vendor> (default "Quirk Auto Dealers").
+// ADF_PROVIDER_NAME / ADF_PROVIDER_URL: Lead source in <provider>.
+
+export const xmlEscape = (s) => String(s)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+const has = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+
+/** <tag attrs>value</tag>, or "" when value is empty */
+function el(tag, value, attrs = {}) {
+  if (!has(value)) return "";
+  const a = Object.entries(attrs)
+    .filter(([, v]) => has(v))
+    .map(([k, v]) => ` ${k}="${xmlEscape(v)}"`)
+    .join("");
+  return `<${tag}${a}>${xmlEscape(String(value).trim())}</${tag}>`;
+}
+
+/**
+ * Maps the condition answers onto ADF's excellent|good|fair|poor|unknown scale.
+ * @param {object} lead
+ * @returns {string}
+ */
+export function adfCondition(lead) {
+  if (lead.title === "Salvage") return "poor";
+  const concerns = [
+    lead.title === "Rebuilt",
+    lead.accident === "Yes",
+    lead.warnings === "Yes",
+    lead.tires === "Needs Replacement",
+    lead.brakes === "Needs Replacement",
+    has(lead.mech),
+  ].filter(Boolean).length;
+  if (concerns >= 3) return "poor";
+  if (concerns >= 1) return "fair";
+  if (has(lead.title) || has(lead.tires) || has(lead.brakes)) return "good";
+  return "unknown";
+}
+
+/** Condition notes flattened into one comments block */
+function conditionNotes(lead) {
+  return [
+    ["Title", lead.title],
+    ["Keys", lead.keys],
+    ["Owners", lead.owners],
+    ["Accident", lead.accident],
+    ["Accident repair", lead.accidentRepair],
+    ["Warning lights", lead.warnings],
+    ["Mechanical", lead.mech],
+    ["Cosmetic", lead.cosmetic],
+    ["Interior", lead.interior],
+    ["Modifications", lead.mods],
+    ["Smells", lead.smells],
+    ["Service up to date", lead.service],
+    ["Tires", lead.tires],
+    ["Brakes", lead.brakes],
+    ["Other wear", lead.wear],
+  ]
+    .filter(([, v]) => has(v))
+    .map(([k, v]) => `${k}: ${String(v).trim()}`)
+    .join("; ");
+}
+
+/**
+ * Builds an ADF 1.0 document for a trade-in lead.
+ * @param {object} lead - Normalized lead (lib/lead-schema.js) incl. submittedAt.
+ * @param {{id?: string, files?: Array<{url: string}>, galleryUrl?: string, env?: object}} [options] -
+ *   `galleryUrl` (lib/photo-store.js) stands in for the individual file URLs.
+ * @returns {string} XML
+ */
+export function buildAdf(lead, { id, files = [], galleryUrl, env = process.env } = {}) {
+  const vendorName = env.ADF_VENDOR_NAME || "Quirk Auto Dealers";
+  const providerName = env.ADF_PROVIDER_NAME || "Quirk Sight Unseen Trade Tool";
+  const providerUrl = env.ADF_PROVIDER_URL || lead.landingPage || "";
+
+  const customerComments = [
+    lead.utmSource && `Source: ${[lead.utmSource, lead.utmMedium, lead.utmCampaign].filter(has).join(" / ")}`,
+    galleryUrl ? `Photos: ${galleryUrl}` : files.length && `Photos: ${files.map((f) => f.url).join(" ")}`,
+  ].filter(Boolean).join("\n");
+
+  const xml = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<?adf version="1.0"?>`,
+    `<adf>`,
+    `<prospect status="new">`,
+    el("id", id, { sequence: "1", source: providerName }),
+    el("requestdate", lead.submittedAt || new Date().toISOString()),
+    `<vehicle interest="trade-in" status="used">`,
+    el("vin", lead.vin),
+    el("year", lead.year),
+    el("make", lead.make),
+    el("model", lead.model),
+    el("trim", lead.trim),
+    el("odometer", lead.mileage, { status: "original", units: "mi" }),
+    has(lead.extColor) || has(lead.intColor)
+      ? `<colorcombination>${el("interiorcolor", lead.intColor)}${el("exteriorcolor", lead.extColor)}<preference>1</preference></colorcombination>`
+      : "",
+    el("condition", adfCondition(lead)),
+    el("comments", conditionNotes(lead)),
+    `</vehicle>`,
+    `<customer>`,
+    `<contact>`,
+    el("name", lead.name, { part: "full" }),
+    el("email", lead.email),
+    el("phone", lead.phone, { type: "voice" }),
+    `</contact>`,
+    el("comments", customerComments),
+    `</customer>`,
+    `<vendor>`,
+    el("vendorname", vendorName),
+    `<contact>${el("name", vendorName, { part: "full" })}</contact>`,
+    `</vendor>`,
+    `<provider>`,
+    el("name", providerName, { part: "full" }),
+    el("service", "Sight Unseen Trade-In Appraisal"),
+    el("url", providerUrl),
+    `</provider>`,
+    `</prospect>`,
+    `</adf>`,
+  ].filter(Boolean);
+
+  return xml.join("\n") + "\n";
+}
+
+/**
+ * Email attachment for the ADF document, or null when ADF_ATTACH=false.
+ * @param {string} xml
+ * @param {object} lead
+ * @param {object} [env]
+ */
+export function adfAttachment(xml, lead, env = process.env) {
+  if (env.ADF_ATTACH === "false") return null;
+  return {
+    content: Buffer.from(xml, "utf8").toString("base64"),
+    filename: `trade-lead-${lead.vin || "unknown"}.xml`,
+    type: "application/xml",
+    disposition: "attachment",
+  };
+}
+
+/**
+ * POSTs the ADF document to ADF_CRM_URL (no-op when unset). Throws on HTTP errors.
+ * @param {string} xml
+ * @param {object} [env]
+ * @returns {Promise<boolean>} true when a POST was made
+ */
+export async function postAdf(xml, env = process.env) {
+  if (!env.ADF_CRM_URL) return false;
+  const headers = { "Content-Type": "application/xml; charset=utf-8" };
+  if (env.ADF_CRM_TOKEN) headers.Authorization = `Bearer ${env.ADF_CRM_TOKEN}`;
+
+  const res = await fetch(env.ADF_CRM_URL, { method: "POST", headers, body: xml });
+  if (!res.ok) throw new Error(`CRM responded HTTP ${res.status}`);
+  return true;
+}
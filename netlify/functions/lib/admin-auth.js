@@ -0,0 +1,113 @@
+// netlify/functions/lib/admin-auth.js
+// Staff sign-in for the admin lead inbox. Staff log in with email + password
+// and get a signed session token (lib/tokens.js) to send as a Bearer token;
+// scripts can use the static ADMIN_TOKEN instead. Passwords are kept only as
+// scrypt hashes ("scrypt:<salt>:<key>", base64url); make one with
+// `npm run hash-password`.
+//
+// Environment:
+// ADMIN_SECRET: Required; signs session tokens. The admin API is disabled when unset.
+// ADMIN_USERS: JSON list of staff, e.g.
+//   [{ "email": "steve@quirkcars.com", "name": "Steve", "passwordHash": "scrypt:…" }]
+//   Entries with a plaintext "password" instead are ignored (and logged).
+// ADMIN_TOKEN: Optional static Bearer token (acts as "api@admin", e.g. for scheduled CSV pulls).
+// ADMIN_SESSION_HOURS: How long a sign-in lasts (default 12).
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { signToken, verifyToken } from "./tokens.js";
+
+const scryptAsync = promisify(scrypt);
+
+const digest = (s) => createHash("sha256").update(String(s)).digest();
+/** Compares digests so neither length nor content leaks through timing */
+export const safeEqual = (a, b) => timingSafeEqual(digest(a), digest(b));
+
+// Node's scrypt defaults (N=16384, r=8, p=1): ~50ms and 16MB per check
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+// Checked against when the email is unknown, so timing doesn't reveal which exist
+const DUMMY_HASH = `scrypt:${Buffer.alloc(SALT_BYTES).toString("base64url")}:${Buffer.alloc(KEY_LENGTH).toString("base64url")}`;
+
+const warnedPlaintext = new Set(); // log each once per instance, not per request
+
+/**
+ * Hashes a password for ADMIN_USERS.
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt:<salt>:<key>"
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES);
+  const key = await scryptAsync(String(password), salt, KEY_LENGTH);
+  return `scrypt:${salt.toString("base64url")}:${key.toString("base64url")}`;
+}
+
+/**
+ * Checks a password against a hashPassword() result; false for anything malformed.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, hash) {
+  const [scheme, salt, key] = String(hash || "").split(":");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+  const expected = Buffer.from(key, "base64url");
+  if (expected.length !== KEY_LENGTH) return false;
+  const actual = await scryptAsync(String(password), Buffer.from(salt, "base64url"), KEY_LENGTH);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Staff accounts from ADMIN_USERS (invalid JSON -> none, logged).
+ * @returns {Array<{email: string, name: string, passwordHash: string}>}
+ */
+export function loadAdminUsers(env = process.env) {
+  let raw = [];
+  try {
+    raw = JSON.parse(env.ADMIN_USERS || "[]");
+  } catch (error) {
+    console.error("Invalid ADMIN_USERS:", error.message);
+  }
+  return (Array.isArray(raw) ? raw : [])
+    .filter((u) => {
+      if (!u || !u.email) return false;
+      if (!u.passwordHash && u.password && !warnedPlaintext.has(u.email)) {
+        warnedPlaintext.add(u.email);
+        console.error(`ADMIN_USERS: ${u.email} has a plaintext password and can't sign in; replace it with a passwordHash (npm run hash-password)`);
+      }
+      return !!u.passwordHash;
+    })
+    .map((u) => ({ email: String(u.email).trim().toLowerCase(), name: u.name || u.email, passwordHash: String(u.passwordHash) }));
+}
+
+/**
+ * Checks credentials and issues a session token.
+ * @returns {Promise<{ok: true, token: string, user: {email: string, name: string}, expiresAt: string} | {ok: false}>}
+ */
+export async function login(email, password, env = process.env, now = Date.now()) {
+  const wanted = String(email || "").trim().toLowerCase();
+  const user = loadAdminUsers(env).find((u) => u.email === wanted);
+  const ok = await verifyPassword(password || "", user ? user.passwordHash : DUMMY_HASH) && !!user;
+  if (!ok) return { ok: false };
+
+  const hours = Number(env.ADMIN_SESSION_HOURS) || 12;
+  const token = signToken({ sub: user.email, name: user.name }, env.ADMIN_SECRET, { ttlSeconds: hours * 3600, now });
+  return { ok: true, token, user: { email: user.email, name: user.name }, expiresAt: new Date(now + hours * 3600 * 1000).toISOString() };
+}
+
+/**
+ * Who is making this request, from its Authorization header.
+ * @param {object} event - Netlify function event.
+ * @returns {{ok: true, user: {email: string, name: string}} | {ok: false, reason: string}}
+ */
+export function authenticate(event, env = process.env) {
+  const auth = event.headers?.authorization || event.headers?.Authorization || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+  if (!token) return { ok: false, reason: "missing_token" };
+
+  if (env.ADMIN_TOKEN && safeEqual(token, env.ADMIN_TOKEN)) return { ok: true, user: { email: "api@admin", name: "API" } };
+
+  const check = verifyToken(token, env.ADMIN_SECRET);
+  if (!check.ok) return { ok: false, reason: check.reason };
+  // Removing someone from ADMIN_USERS ends their sessions
+  const user = loadAdminUsers(env).find((u) => u.email === check.payload.sub);
+  if (!user) return { ok: false, reason: "unknown_user" };
+  return { ok: true, user: { email: user.email, name: user.name } };
+}
@@ -0,0 +1,48 @@
+// netlify/functions/lib/cors.js
+// Origin allow-list for the endpoints the form page calls, instead of
+// `Access-Control-Allow-Origin: *`. Requests without an Origin header (curl,
+// server-to-server) aren't cross-origin browser calls and pass through.
+//
+// Environment:
+// ALLOWED_ORIGINS: Comma-separated origins, e.g. "https://trade.quirkcars.com,https://www.quirkcars.com".
+//   Defaults to the site's own URL, DEPLOY_PRIME_URL and DEPLOY_URL (set by Netlify),
+//   plus http://localhost:8888 under `netlify dev`.
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+/** Origins allowed to call the API */
+export function allowedOrigins(env = process.env) {
+  const listed = String(env.ALLOWED_ORIGINS || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const defaults = [env.URL, env.DEPLOY_PRIME_URL, env.DEPLOY_URL, env.NETLIFY_DEV === "true" && "http://localhost:8888"];
+  return new Set((listed.length ? listed : defaults.filter(Boolean)).map(originOf).filter(Boolean));
+}
+
+/**
+ * CORS verdict for a request.
+ * @param {object} event - Netlify function event.
+ * @param {{methods?: string, headers?: string}} [options] - Preflight allowances.
+ * @returns {{allowed: boolean, origin: string, headers: object}} `headers` go on every response.
+ */
+export function cors(event, { methods = "POST, OPTIONS", headers = "content-type" } = {}, env = process.env) {
+  const h = event.headers || {};
+  const origin = String(h.origin || h.Origin || "");
+  const base = { Vary: "Origin" };
+  if (!origin) return { allowed: true, origin, headers: base };
+  if (!allowedOrigins(env).has(originOf(origin))) return { allowed: false, origin, headers: base };
+  return {
+    allowed: true,
+    origin,
+    headers: {
+      ...base,
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": methods,
+      "Access-Control-Allow-Headers": headers,
+    },
+  };
+}
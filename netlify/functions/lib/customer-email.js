@@ -0,0 +1,214 @@
+// netlify/functions/lib/customer-email.js
+// Optional "we got it" email to the customer, in the language they used on
+// the form (the `lang` field set by the language toggle). It repeats their
+// vehicle details, the disclaimer they agreed to and the lead reference, and
+// replies go to the salesperson the lead was routed to. Field labels, answers
+// and the disclaimer come from the page's own locale bundles (assets/i18n/), so
+// the email says exactly what the customer read on the form.
+//
+// Environment:
+// CUSTOMER_EMAIL: "on" to send confirmations (default off).
+// CUSTOMER_EMAIL_FROM: Sender (default FROM_EMAIL); must be verified with the mail provider.
+// CUSTOMER_EMAIL_REPLY_TO: Reply-to when the route has neither replyTo nor a recipient.
+// CUSTOMER_EMAIL_BCC: Comma-separated copy recipients (e.g. an archive mailbox).
+// CUSTOMER_EMAIL_LANGS: Languages with their own copy, comma-separated (default "en,es");
+//   anything else gets English.
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { LEAD_FIELDS } from "./lead-schema.js";
+import { htmlEscape, vehicleTitle } from "./lead-email.js";
+
+// Relative to the site root (also the function's working directory on Netlify)
+const BUNDLE_DIR = resolve("assets/i18n");
+
+const FONT = "font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;";
+
+const hasVal = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+const list = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+const COPY = {
+  en: {
+    subject: (vehicle) => `We received your trade-in details${vehicle ? ` — ${vehicle}` : ""}`,
+    greeting: (name) => (name ? `Hi ${name},` : "Hi,"),
+    intro: "Thanks for sending us your trade-in. A Quirk specialist will review your details and photos and contact you shortly, usually within one business day.",
+    reference: "Your reference number",
+    referenceHint: "Mention it when you call or visit so we can find your appraisal quickly.",
+    details: "Your vehicle details",
+    disclaimerTitle: "What you agreed to",
+    reply: "Questions? Just reply to this email and it will reach your Quirk specialist.",
+    signoff: "Quirk Auto Dealers",
+    miles: "mi",
+  },
+  es: {
+    subject: (vehicle) => `Recibimos los datos de su vehículo${vehicle ? ` — ${vehicle}` : ""}`,
+    greeting: (name) => (name ? `Hola, ${name}:` : "Hola:"),
+    intro: "Gracias por enviarnos su vehículo de intercambio. Un especialista de Quirk revisará sus datos y fotos y se comunicará con usted pronto, normalmente en un día hábil.",
+    reference: "Su número de referencia",
+    referenceHint: "Menciónelo cuando llame o nos visite para encontrar su tasación rápidamente.",
+    details: "Datos de su vehículo",
+    disclaimerTitle: "Lo que usted aceptó",
+    reply: "¿Preguntas? Responda a este correo y le llegará a su especialista de Quirk.",
+    signoff: "Quirk Auto Dealers",
+    miles: "millas",
+  },
+};
+
+// Bundle keys for the form's label of each vehicle field
+const LABEL_KEYS = {
+  vin: "vinLabel",
+  mileage: "mileageLabel",
+  year: "yearLabel",
+  make: "makeLabel",
+  model: "modelLabel",
+  trim: "trimLabel",
+  extColor: "extColorLabel",
+  intColor: "intColorLabel",
+  keys: "keysLabel",
+  title: "titleStatus",
+  owners: "ownersLabel",
+  accident: "accidentLabel",
+  accidentRepair: "accidentRepair",
+};
+
+// Bundle keys for normalized enum values (lib/lead-schema.js) as the options read
+const VALUE_KEYS = {
+  Clean: "titleClean",
+  Lien: "titleLien",
+  Rebuilt: "titleRebuilt",
+  Salvage: "titleSalvage",
+  Yes: "optYes",
+  No: "optNo",
+};
+
+const bundles = {};
+
+/** A locale bundle from assets/i18n/; empty (labels fall back) when it can't be read */
+function loadBundle(code) {
+  if (bundles[code]) return bundles[code];
+  try {
+    bundles[code] = JSON.parse(readFileSync(resolve(BUNDLE_DIR, `${code}.json`), "utf8"));
+  } catch (error) {
+    console.error(`Locale bundle unavailable (${code}):`, error.message);
+    return {};
+  }
+  return bundles[code];
+}
+
+/** A form string in the customer's language, then English; null if neither has it */
+function formText(code, key) {
+  return loadBundle(code)[key] || loadBundle("en")[key] || null;
+}
+
+/**
+ * Picks the copy language for a submitted `lang` value ("es", "es-MX", …).
+ * @param {string} lang
+ * @param {object} [env]
+ * @returns {"en"|"es"}
+ */
+export function customerLang(lang, env = process.env) {
+  const enabled = list(env.CUSTOMER_EMAIL_LANGS || "en,es").filter((l) => COPY[l]);
+  const base = String(lang || "").trim().toLowerCase().split(/[-_]/)[0];
+  return enabled.includes(base) ? base : "en";
+}
+
+/** The customer's answers from the Vehicle Details section, labelled in their language */
+function vehicleRows(data, code) {
+  return Object.entries(LEAD_FIELDS)
+    .filter(([field, spec]) => spec.section === "vehicle" && hasVal(data[field]))
+    .map(([field, spec]) => {
+      let value = String(data[field]).trim();
+      if (field === "mileage" && /^\d+$/.test(value)) value = `${Number(value).toLocaleString("en-US")} ${COPY[code].miles}`;
+      else if (VALUE_KEYS[value]) value = formText(code, VALUE_KEYS[value]) || value;
+      // Drop the form's input hints: "VIN (required)" -> "VIN"
+      const label = (LABEL_KEYS[field] && formText(code, LABEL_KEYS[field])) || spec.label;
+      return [label.replace(/\s*\([^)]*\)$/, ""), value];
+    });
+}
+
+/**
+ * Builds the customer confirmation email.
+ * @param {object} data - Normalized lead (lib/lead-schema.js).
+ * @param {{leadId?: string, lang?: string}} [options]
+ * @returns {{subject: string, text: string, html: string, lang: "en"|"es"}}
+ */
+export function renderCustomerEmail(data, { leadId, lang = data.lang } = {}) {
+  const code = customerLang(lang);
+  const copy = COPY[code];
+  const vehicle = vehicleTitle(data);
+  const rows = vehicleRows(data, code);
+  const disclaimer = formText(code, "finalDisclaimer");
+  const name = String(data.name || "").trim().split(/\s+/)[0];
+
+  const subject = copy.subject(vehicle) + (leadId ? ` [${leadId}]` : "");
+
+  // ---- Plain text ----
+  const text = [
+    copy.greeting(name),
+    "",
+    copy.intro,
+    ...(leadId ? ["", `${copy.reference}: ${leadId}`, copy.referenceHint] : []),
+    "",
+    copy.details.toUpperCase(),
+    ...rows.map(([k, v]) => (k.endsWith("?") ? `${k} ${v}` : `${k}: ${v}`)),
+    ...(disclaimer ? ["", copy.disclaimerTitle.toUpperCase(), disclaimer] : []),
+    "",
+    copy.reply,
+    "",
+    copy.signoff,
+  ].join("\n");
+
+  // ---- HTML ----
+  const html = `
+    <p style="${FONT}font-size:15px;color:#111827;">${htmlEscape(copy.greeting(name))}</p>
+    <p style="${FONT}font-size:15px;color:#111827;">${htmlEscape(copy.intro)}</p>
+    ${leadId ? `
+    <div style="margin:16px 0;padding:12px 14px;background:#f9fbf9;border:1px solid #d9efe4;border-left:6px solid #007b4a;border-radius:8px;${FONT}">
+      <div style="font-size:13px;color:#374151;">${htmlEscape(copy.reference)}</div>
+      <div style="font-size:22px;font-weight:700;letter-spacing:.04em;color:#004a2f;">${htmlEscape(leadId)}</div>
+      <div style="font-size:12px;color:#6B7280;margin-top:4px;">${htmlEscape(copy.referenceHint)}</div>
+    </div>` : ""}
+    <h3 style="margin:20px 0 6px 0;${FONT}font-size:15px;color:#004a2f;border-bottom:1px solid #d9efe4;padding-bottom:4px;">${htmlEscape(copy.details)}</h3>
+    ${vehicle ? `<div style="${FONT}font-size:17px;font-weight:700;color:#0c1b16;margin-bottom:6px;">${htmlEscape(vehicle)}</div>` : ""}
+    <table cellpadding="6" cellspacing="0" border="0" style="border-collapse:collapse;${FONT}font-size:14px;">
+      ${rows.map(([k, v]) => `
+        <tr>
+          <th align="left" style="vertical-align:top;color:#374151;font-weight:600;padding:4px 12px 4px 0;white-space:nowrap;">${htmlEscape(k)}</th>
+          <td style="vertical-align:top;color:#111827;padding:4px 0;white-space:pre-line;">${htmlEscape(v)}</td>
+        </tr>`).join("")}
+    </table>
+    ${disclaimer ? `
+    <h3 style="margin:20px 0 6px 0;${FONT}font-size:15px;color:#004a2f;border-bottom:1px solid #d9efe4;padding-bottom:4px;">${htmlEscape(copy.disclaimerTitle)}</h3>
+    <p style="${FONT}font-size:13px;color:#374151;">${htmlEscape(disclaimer)}</p>` : ""}
+    <p style="${FONT}font-size:14px;color:#111827;margin-top:20px;">${htmlEscape(copy.reply)}</p>
+    <p style="${FONT}font-size:14px;color:#111827;font-weight:600;">${htmlEscape(copy.signoff)}</p>
+  `;
+
+  return { subject, text, html, lang: code };
+}
+
+/**
+ * The confirmation message for a lead, or null when confirmations are off or
+ * there's no address to send to.
+ * @param {object} data - Normalized lead.
+ * @param {{leadId?: string, route: {to: string[], replyTo?: string}}} options - `route` from lib/routing.js.
+ * @param {object} [env]
+ * @returns {object|null} Mail message for lib/mailer.js.
+ */
+export function customerConfirmation(data, { leadId, route }, env = process.env) {
+  if (String(env.CUSTOMER_EMAIL || "").toLowerCase() !== "on") return null;
+  const from = env.CUSTOMER_EMAIL_FROM || env.FROM_EMAIL;
+  if (!hasVal(data.email) || !from) return null;
+
+  const email = renderCustomerEmail(data, { leadId });
+  const bcc = list(env.CUSTOMER_EMAIL_BCC);
+  return {
+    to: data.email,
+    from,
+    // The routed salesperson answers the customer directly
+    replyTo: route.replyTo || route.to[0] || env.CUSTOMER_EMAIL_REPLY_TO || undefined,
+    bcc: bcc.length ? bcc : undefined,
+    subject: email.subject,
+    text: email.text,
+    html: email.html,
+  };
+}
@@ -0,0 +1,310 @@
+// netlify/functions/lib/deliveries.js
+// Outbound deliveries (dealership email, CRM, signed webhooks) as queued jobs.
+// Each job runs once inline; failures are retried with exponential backoff by
+// the scheduled delivery-retry function, and jobs that run out of attempts are
+// moved to a dead-letter record.
+//
+// Environment:
+// DELIVERY_MAX_ATTEMPTS: Attempts before a job is dead-lettered (default 8, about four hours of retries).
+// DELIVERY_BACKOFF_SECONDS: Delay before the first retry; doubles each attempt (default 60).
+// DELIVERY_BACKOFF_MAX_SECONDS: Longest delay between attempts (default 21600 = 6h).
+// DELIVERY_HOLD_MINUTES: Longest a lead email waits for its photos before it is sent anyway (default 15).
+// WEBHOOK_TARGETS / SHEETS_WEBHOOK_URL: Webhook targets; see lib/webhooks.js.
+// CUSTOMER_EMAIL*: Customer confirmation email; see lib/customer-email.js.
+//
+// Store keys ("deliveries" store):
+//   job/<key>   Pending job waiting for its next attempt (or held until released)
+//   done/<key>  Idempotency marker; a key that is done never sends again
+//   dead/<key>  Job that exhausted its attempts
+import { sendMail } from "./mailer.js";
+import { postAdf } from "./adf.js";
+import { openStore } from "./store.js";
+import { buildEnvelope, loadWebhookTargets, sendWebhook } from "./webhooks.js";
+
+// kind -> async (payload) => void; throw to retry
+const RUNNERS = {
+  email: (payload) => sendMail(payload.message),
+  crm: (payload) => postAdf(payload.xml),
+  // Secrets stay in the environment; the job only names its target
+  webhook(payload) {
+    const target = loadWebhookTargets().find((t) => t.name === payload.target);
+    if (!target) throw new Error(`Webhook target "${payload.target}" is no longer configured`);
+    return sendWebhook(target, payload.body);
+  },
+};
+
+const jobKey = (key) => `job/${key}`;
+const doneKey = (key) => `done/${key}`;
+const deadKey = (key) => `dead/${key}`;
+
+/**
+ * Delay before the next attempt.
+ * @param {number} attempts - Attempts made so far (>= 1).
+ * @param {object} [env]
+ * @returns {number} Milliseconds
+ */
+export function backoffMs(attempts, env = process.env) {
+  const base = (Number(env.DELIVERY_BACKOFF_SECONDS) || 60) * 1000;
+  const max = (Number(env.DELIVERY_BACKOFF_MAX_SECONDS) || 6 * 60 * 60) * 1000;
+  return Math.min(base * 2 ** (attempts - 1), max);
+}
+
+function log(event, job, extra = {}) {
+  console.log(JSON.stringify({ event, key: job.key, kind: job.kind, attempts: job.attempts, ...extra }));
+}
+
+/**
+ * Makes one attempt at a job and records the outcome.
+ * @returns {Promise<"sent"|"retrying"|"dead"|"duplicate">}
+ * @throws Only before the attempt, or when a failed attempt can't be queued for
+ *   retry; the latter error has `attempted: true`.
+ */
+async function attempt(store, job, now = new Date()) {
+  if (await store.getJSON(doneKey(job.key))) {
+    await store.delete(jobKey(job.key));
+    return "duplicate";
+  }
+
+  const runner = RUNNERS[job.kind];
+  try {
+    if (!runner) throw new Error(`Unknown delivery kind "${job.kind}"`);
+    job.attempts += 1;
+    await runner(job.payload);
+  } catch (error) {
+    job.lastError = error.response?.body ? JSON.stringify(error.response.body) : error.message;
+    job.updatedAt = now.toISOString();
+
+    try {
+      if (!runner || job.attempts >= job.maxAttempts) {
+        job.status = "dead";
+        await store.setJSON(deadKey(job.key), job);
+        await store.delete(jobKey(job.key));
+        log("delivery.dead", job, { error: job.lastError });
+        return "dead";
+      }
+
+      job.status = "retrying";
+      job.nextAttemptAt = new Date(now.getTime() + backoffMs(job.attempts)).toISOString();
+      await store.setJSON(jobKey(job.key), job);
+      log("delivery.retrying", job, { error: job.lastError, nextAttemptAt: job.nextAttemptAt });
+      return "retrying";
+    } catch (storeError) {
+      throw Object.assign(new Error(`${job.lastError} (and not queued for retry: ${storeError.message})`), { attempted: true });
+    }
+  }
+
+  // It went out: failing to record that must not get it sent again. The job
+  // record goes first so the retry schedule can't pick it up.
+  try {
+    await store.delete(jobKey(job.key));
+    await store.setJSON(doneKey(job.key), { kind: job.kind, attempts: job.attempts, at: now.toISOString() });
+  } catch (error) {
+    log("delivery.unrecorded", job, { error: error.message });
+  }
+  if (job.attempts > 1) log("delivery.recovered", job);
+  return "sent";
+}
+
+/**
+ * Queues a delivery and makes the first attempt right away.
+ * @param {object} store - From lib/store.js openStore("deliveries").
+ * @param {{key: string, kind: "email"|"crm"|"webhook", payload: object}} job -
+ *   `key` is the idempotency key, e.g. `${leadId}:email`.
+ * @param {{now?: Date, maxAttempts?: number, holdUntil?: Date}} [options] -
+ *   With `holdUntil` the job is only queued: releaseDelivery() makes the first
+ *   attempt, or the retry schedule does once that time has passed.
+ * @returns {Promise<"sent"|"retrying"|"dead"|"duplicate"|"held">}
+ */
+export async function deliver(store, { key, kind, payload }, {
+  now = new Date(),
+  maxAttempts = Number(process.env.DELIVERY_MAX_ATTEMPTS) || 8,
+  holdUntil,
+} = {}) {
+  if (await store.getJSON(doneKey(key))) return "duplicate";
+
+  const job = {
+    key,
+    kind,
+    payload,
+    attempts: 0,
+    maxAttempts,
+    status: "pending",
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+  if (holdUntil) {
+    await store.setJSON(jobKey(key), { ...job, status: "held", nextAttemptAt: holdUntil.toISOString() });
+    log("delivery.held", job, { until: holdUntil.toISOString() });
+    return "held";
+  }
+  return attempt(store, job, now);
+}
+
+/**
+ * Makes the first attempt at a held job now.
+ * @returns {Promise<"sent"|"retrying"|"dead"|"duplicate"|null>} null when the
+ *   job isn't held (already attempted, or never queued).
+ */
+export async function releaseDelivery(store, key, { now = new Date() } = {}) {
+  const job = await store.getJSON(jobKey(key));
+  if (!job || job.status !== "held") return null;
+  return attempt(store, job, now);
+}
+
+/**
+ * Sends a lead email that was held for its photos (lib/photo-store.js). Never
+ * throws: an email left held still goes out on the retry schedule.
+ * @param {{event?: object, leadId: string}} options
+ */
+export async function releaseLeadEmail({ event, leadId }) {
+  try {
+    return await releaseDelivery(openStore("deliveries", { event }), `${leadId}:email`);
+  } catch (error) {
+    console.warn("Held lead email not released (sent on the retry schedule):", error.message);
+    return null;
+  }
+}
+
+/**
+ * Retries every queued job whose backoff has elapsed.
+ * @returns {Promise<Record<string, number>>} Count per outcome.
+ */
+export async function retryDue(store, { now = new Date() } = {}) {
+  const counts = { sent: 0, retrying: 0, dead: 0, duplicate: 0, waiting: 0 };
+  for (const key of await store.list("job/")) {
+    const job = await store.getJSON(key);
+    if (!job) continue;
+    if (new Date(job.nextAttemptAt) > now) {
+      counts.waiting += 1;
+      continue;
+    }
+    counts[await attempt(store, job, now)] += 1;
+  }
+  return counts;
+}
+
+/**
+ * Where a delivery stands.
+ * @returns {Promise<"done"|"retrying"|"dead"|null>} null when nothing was
+ *   recorded: never attempted, or the request attempting it died first. A held
+ *   job counts as "retrying".
+ */
+export async function deliveryStatus(store, key) {
+  if (await store.getJSON(doneKey(key))) return "done";
+  if (await store.getJSON(jobKey(key))) return "retrying";
+  if (await store.getJSON(deadKey(key))) return "dead";
+  return null;
+}
+
+/**
+ * Whether a lead's dealership email went out, is queued, or was reported as a
+ * dead letter. The handlers ask on a repeat submission: false means the first
+ * request never got the email sent or queued, so the repeat delivers it. An
+ * unreadable queue counts as false; a second email beats a lost lead.
+ * @param {{event?: object, leadId: string}} options
+ * @returns {Promise<boolean>}
+ */
+export async function isLeadEmailHandled({ event, leadId }) {
+  try {
+    return (await deliveryStatus(openStore("deliveries", { event }), `${leadId}:email`)) !== null;
+  } catch (error) {
+    console.warn("Delivery queue unreadable, treating the lead email as unsent:", error.message);
+    return false;
+  }
+}
+
+/** Dead-lettered jobs (oldest first) */
+export async function listDead(store) {
+  const jobs = await Promise.all((await store.list("dead/")).map((k) => store.getJSON(k)));
+  return jobs.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/** Marks a dead letter as reported so alerts go out once */
+export async function markReported(store, job, { now = new Date() } = {}) {
+  await store.setJSON(deadKey(job.key), { ...job, reportedAt: now.toISOString() });
+}
+
+/** One webhook job per target subscribed to `type` */
+function webhookJobs(type, lead, createdAt) {
+  const envelope = buildEnvelope(type, lead, createdAt);
+  const body = JSON.stringify(envelope);
+  return loadWebhookTargets()
+    .filter((t) => t.events.includes(type))
+    .map((t) => ({ key: `${lead.id}:${t.name}:${envelope.id}`, kind: "webhook", payload: { target: t.name, body } }));
+}
+
+/** Queues jobs that may fail without failing the request */
+async function deliverQuietly(store, jobs, outcome = {}) {
+  for (const job of jobs) {
+    try {
+      outcome[`${job.kind}:${job.payload.target || job.key}`] = await deliver(store, job);
+    } catch (error) {
+      console.warn(`Delivery ${job.key} not queued:`, error.message);
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Runs the standard deliveries for a new lead: dealership email, CRM (when
+ * ADF_CRM_URL is set), the customer's confirmation email (when given) and a
+ * signed "lead.created" webhook to each target.
+ * If the queue store is unavailable before the first attempt, the email is sent
+ * directly instead (never after an attempt, which could send it twice).
+ * @param {{event?: object, leadId: string, message: object, adf?: string, lead?: object, confirmation?: object,
+ *          holdEmail?: boolean}} options -
+ *   `lead` is the webhook payload (its `id` is set to leadId); `confirmation`
+ *   is the customer message from lib/customer-email.js. With `holdEmail` the
+ *   email is queued until releaseLeadEmail() (its photos are being stored) or
+ *   DELIVERY_HOLD_MINUTES, whichever comes first.
+ * @returns {Promise<{email: string}>} Outcome per delivery.
+ * @throws When the email could neither be sent nor queued.
+ */
+export async function deliverLead({ event, leadId, message, adf, lead, confirmation, holdEmail = false }, env = process.env) {
+  let store;
+  try {
+    store = openStore("deliveries", { event, env });
+  } catch (error) {
+    console.error("Delivery queue unavailable, sending email directly:", error.message);
+    await sendMail(message);
+    return { email: "sent" };
+  }
+
+  const outcome = {};
+  try {
+    const holdUntil = holdEmail ? new Date(Date.now() + (Number(env.DELIVERY_HOLD_MINUTES) || 15) * 60000) : undefined;
+    outcome.email = await deliver(store, { key: `${leadId}:email`, kind: "email", payload: { message } }, { holdUntil });
+  } catch (error) {
+    // Tried and failed, with no queue to retry from: sending again here could
+    // double up, so the caller reports the failure instead
+    if (error.attempted) throw error;
+    // The queue failed before the attempt: one direct attempt, and the caller reports failure
+    console.error("Delivery queue error, sending email directly:", error.message);
+    await sendMail(message);
+    outcome.email = "sent";
+  }
+
+  const rest = [
+    ...(adf && env.ADF_CRM_URL ? [{ key: `${leadId}:crm`, kind: "crm", payload: { xml: adf } }] : []),
+    ...(confirmation ? [{ key: `${leadId}:confirmation`, kind: "email", payload: { message: confirmation } }] : []),
+    ...(lead ? webhookJobs("lead.created", { ...lead, id: leadId }, lead.submittedAt) : []),
+  ];
+  return deliverQuietly(store, rest, outcome);
+}
+
+/**
+ * Sends a signed lead event (e.g. "lead.updated") to every subscribed target.
+ * Never throws; failures are queued for retry or logged.
+ * @param {{event?: object, type: string, lead: object, createdAt?: string}} options -
+ *   `lead.id` is required; pass a stable `createdAt` so retried handlers reuse the event id.
+ */
+export async function emitLeadEvent({ event, type, lead, createdAt }) {
+  try {
+    const jobs = webhookJobs(type, lead, createdAt);
+    if (!jobs.length) return {};
+    return await deliverQuietly(openStore("deliveries", { event }), jobs);
+  } catch (error) {
+    console.warn(`Lead event ${type} not sent:`, error.message);
+    return {};
+  }
+}
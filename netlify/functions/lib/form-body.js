@@ -0,0 +1,63 @@
+// netlify/functions/lib/form-body.js
+// Reads a submitted form from a function event: JSON, urlencoded or
+// multipart/form-data (the page's fetch submit sends photos this way).
+// Multipart is parsed with the runtime's own Request.formData(), so no parser
+// dependency is needed.
+
+// Netlify caps synchronous function requests at 6MB; stay just under it
+export const MAX_BODY_BYTES = 6 * 1024 * 1024 - 64 * 1024;
+
+const header = (event, name) => {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? String(headers[key]) : "";
+};
+
+/**
+ * Parses the request body.
+ * @param {object} event - Netlify function event.
+ * @returns {Promise<{ok: true, data: object, files: Array<{field: string, filename: string, type: string, size: number, content: Buffer}>}
+ *   | {ok: false, status: number, error: string}>} - `data` holds the text fields
+ *   (last value wins for repeated names); `files` the non-empty uploads.
+ */
+export async function parseFormBody(event) {
+  const type = header(event, "content-type").toLowerCase();
+  const raw = Buffer.from(event.body || "", event.isBase64Encoded ? "base64" : "utf8");
+  if (raw.byteLength > MAX_BODY_BYTES) return { ok: false, status: 413, error: "Payload Too Large" };
+
+  if (!type.startsWith("multipart/form-data") && !type.startsWith("application/x-www-form-urlencoded")) {
+    try {
+      return { ok: true, data: JSON.parse(raw.toString("utf8") || "{}"), files: [] };
+    } catch {
+      return { ok: false, status: 400, error: "Invalid JSON" };
+    }
+  }
+
+  let form;
+  try {
+    form = await new Request("http://localhost/", {
+      method: "POST",
+      headers: { "content-type": header(event, "content-type") },
+      body: raw,
+    }).formData();
+  } catch {
+    return { ok: false, status: 400, error: "Invalid form body" };
+  }
+
+  const data = {};
+  const files = [];
+  for (const [field, value] of form) {
+    if (typeof value === "string") {
+      data[field] = value;
+    } else if (value.size > 0) {
+      files.push({
+        field,
+        filename: value.name || "upload",
+        type: value.type || "application/octet-stream",
+        size: value.size,
+        content: Buffer.from(await value.arrayBuffer()),
+      });
+    }
+  }
+  return { ok: true, data, files };
+}
@@ -0,0 +1,187 @@
+// netlify/functions/lib/lead-email.js
+// Renders the dealership lead email (subject, plain text and HTML) for both
+// handlers, grouped by the form's sections with human-readable labels.
+import { LEAD_FIELDS, LEAD_SECTIONS } from "./lead-schema.js";
+
+// Never shown to staff, even when a client posts them
+const IGNORED = new Set(["form-name", "subject", "company", "bot-field", "honeypot", "phoneRaw"]);
+
+const FONT = "font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;";
+
+const hasVal = (v) => v !== undefined && v !== null && typeof v !== "object" && String(v).trim() !== "";
+
+export const htmlEscape = (s) => String(s)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+/** "userAgent" / "user_agent" -> "User Agent" */
+export function humanize(key) {
+  return String(key)
+    .replace(/[_-]+/g, " ")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/\b\w/g, (c) => c.toUpperCase())
+    .trim();
+}
+
+/** Display formatting per field type */
+function formatValue(field, value) {
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  const v = Array.isArray(value) ? value.join(", ") : String(value).trim();
+  if (field === "mileage" && /^\d+$/.test(v)) return `${Number(v).toLocaleString("en-US")} mi`;
+  if (field === "phone") {
+    const m = v.match(/^\+1(\d{3})(\d{3})(\d{4})$/);
+    if (m) return `(${m[1]}) ${m[2]}-${m[3]}`;
+  }
+  return v;
+}
+
+/** "2021 Honda Accord – EX Sport" */
+export function vehicleTitle(data) {
+  const base = [data.year, data.make, data.model].filter(hasVal).join(" ");
+  return hasVal(data.trim) ? `${base} – ${data.trim}`.trim() : base;
+}
+
+/**
+ * Groups the submission into labelled sections in page order, followed by
+ * any fields the schema doesn't know about ("Additional Fields").
+ * @param {object} data - Normalized lead merged over the raw submission.
+ * @returns {Array<{title: string, rows: Array<[string, string]>}>}
+ */
+export function groupRows(data) {
+  const sections = LEAD_SECTIONS.map((s) => ({ ...s, rows: [] }));
+  const byId = Object.fromEntries(sections.map((s) => [s.id, s]));
+
+  for (const [field, spec] of Object.entries(LEAD_FIELDS)) {
+    if (!spec.section || spec.type === "file" || IGNORED.has(field)) continue;
+    if (!hasVal(data[field])) continue;
+    byId[spec.section].rows.push([spec.label || humanize(field), formatValue(field, data[field])]);
+  }
+
+  const extras = Object.keys(data)
+    .filter((k) => !(k in LEAD_FIELDS) && !IGNORED.has(k) && hasVal(data[k]))
+    .sort()
+    .map((k) => [humanize(k), formatValue(k, data[k])]);
+  if (extras.length) sections.push({ id: "extras", title: "Additional Fields", rows: extras });
+
+  return sections
+    .filter((s) => s.rows.length)
+    .map(({ title, rows }) => ({ title, rows }));
+}
+
+// Photo categories in form order (exterior, interior, dash, damage)
+const PHOTO_LABELS = Object.values(LEAD_FIELDS).filter((spec) => spec.type === "file").map((spec) => spec.label);
+
+/**
+ * Groups uploaded files by photo category, in form order; files from an
+ * unknown input land in a trailing "Photos" group.
+ * @returns {Array<{label: string, files: Array<object>}>}
+ */
+export function photoGroups(files) {
+  const groups = new Map([...PHOTO_LABELS, "Photos"].map((label) => [label, []]));
+  files.forEach((f) => {
+    const spec = LEAD_FIELDS[f.field];
+    groups.get(spec && spec.type === "file" ? spec.label : "Photos").push(f);
+  });
+  return Array.from(groups, ([label, list]) => ({ label, files: list })).filter((g) => g.files.length);
+}
+
+/**
+ * Builds the lead email.
+ * @param {object} data - Normalized lead merged over the raw submission.
+ * @param {{files?: Array<{url?: string, filename?: string, type?: string, field?: string}>, submittedAt?: string,
+ *          leadId?: string, gallery?: {url: string, expiresAt: string},
+ *          flags?: Array<{field: string, message: string}>}} [options] -
+ *   With `gallery` (lib/photo-store.js) the photos section counts `files` per
+ *   category and links the gallery; otherwise it shows each file's URL.
+ *   `flags` are validation problems (validateLead errors) the desk should check
+ *   with the customer, listed above the answers.
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderLeadEmail(data, { files = [], submittedAt = data.submittedAt, leadId, gallery, flags = [] } = {}) {
+  const vehicle = vehicleTitle(data);
+  const sections = groupRows({ ...data, submittedAt: undefined });
+  const summaryBits = [
+    hasVal(data.vin) && `VIN ${data.vin}`,
+    hasVal(data.mileage) && formatValue("mileage", data.mileage),
+    hasVal(data.title) && `${data.title} title`,
+  ].filter(Boolean);
+
+  const subject = ["New Trade-In Lead", data.name, vehicle].filter(hasVal).join(" — ") + (leadId ? ` [${leadId}]` : "");
+
+  // ---- Plain text ----
+  const textParts = [
+    "NEW TRADE-IN LEAD",
+    vehicle,
+    summaryBits.join(" · "),
+    leadId ? `Reference: ${leadId}` : "",
+  ].filter(Boolean);
+  const flagRows = flags.map((f) => [LEAD_FIELDS[f.field]?.label || humanize(f.field), f.message]);
+  if (flagRows.length) textParts.push("", "CHECK THESE ANSWERS", ...flagRows.map(([k, v]) => `${k}: ${v}`));
+  sections.forEach(({ title, rows }) => {
+    textParts.push("", title.toUpperCase(), ...rows.map(([k, v]) => `${k}: ${v}`));
+  });
+  const expires = gallery && new Date(gallery.expiresAt).toLocaleString("en-US", {
+    dateStyle: "long", timeStyle: "short", timeZone: "America/New_York",
+  });
+  const count = (n) => `${n} photo${n === 1 ? "" : "s"}`;
+  textParts.push("", "PHOTOS");
+  if (files.length && gallery) {
+    photoGroups(files).forEach(({ label, files: list }) => textParts.push(`${label}: ${count(list.length)}`));
+    textParts.push(`View them: ${gallery.url}`, `(link works until ${expires})`);
+  } else if (files.length) {
+    photoGroups(files).forEach(({ label, files: list }) => {
+      textParts.push(`${label}:`, ...list.map((f) => `  ${f.url}`));
+    });
+  } else {
+    textParts.push("No photos uploaded.");
+  }
+  if (submittedAt) textParts.push("", `Submitted at ${submittedAt}`);
+  const text = textParts.join("\n");
+
+  // ---- HTML ----
+  const sectionHtml = sections.map(({ title, rows }) => `
+    <h3 style="margin:20px 0 6px 0;${FONT}font-size:15px;color:#004a2f;border-bottom:1px solid #d9efe4;padding-bottom:4px;">${htmlEscape(title)}</h3>
+    <table cellpadding="6" cellspacing="0" border="0" style="border-collapse:collapse;${FONT}font-size:14px;">
+      ${rows.map(([k, v]) => `
+        <tr>
+          <th align="left" style="vertical-align:top;color:#374151;font-weight:600;padding:4px 12px 4px 0;white-space:nowrap;">${htmlEscape(k)}</th>
+          <td style="vertical-align:top;color:#111827;padding:4px 0;white-space:pre-line;">${htmlEscape(v)}</td>
+        </tr>`).join("")}
+    </table>`).join("");
+
+  let photosHtml = `<p style="${FONT}font-size:14px;color:#6B7280;">No photos uploaded.</p>`;
+  if (files.length && gallery) {
+    photosHtml = `
+      <p style="margin:6px 0;${FONT}font-size:14px;color:#111827;">${photoGroups(files).map(({ label, files: list }) => `${htmlEscape(label)}: ${count(list.length)}`).join(" · ")}</p>
+      <p style="margin:10px 0;"><a href="${htmlEscape(gallery.url)}" style="display:inline-block;background:#007b4a;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none;font-weight:600;${FONT}">View ${count(files.length)}</a></p>
+      <p style="margin:0;${FONT}font-size:12px;color:#6B7280;">The link works until ${htmlEscape(expires)}.</p>`;
+  } else if (files.length) {
+    photosHtml = photoGroups(files).map(({ label, files: list }) => `
+      <p style="margin:10px 0 4px 0;${FONT}font-size:13px;font-weight:600;color:#374151;">${htmlEscape(label)}</p>
+      <div>
+        ${list.map((f) => `<a href="${htmlEscape(f.url)}" style="display:inline-block;margin:0 6px 6px 0;"><img src="${htmlEscape(f.url)}" alt="${htmlEscape(f.filename || label)}" width="120" style="width:120px;height:90px;object-fit:cover;border:1px solid #e3e7e5;border-radius:6px;"></a>`).join("")}
+      </div>`).join("");
+  }
+
+  const html = `
+    <h2 style="margin:0 0 4px 0;${FONT}">New Trade-In Lead</h2>
+    <div style="margin:0 0 16px 0;padding:12px 14px;background:#f9fbf9;border:1px solid #d9efe4;border-left:6px solid #007b4a;border-radius:8px;${FONT}">
+      <div style="font-size:18px;font-weight:700;color:#0c1b16;">${htmlEscape(vehicle || "Vehicle not specified")}</div>
+      ${summaryBits.length ? `<div style="font-size:13px;color:#374151;margin-top:4px;">${htmlEscape(summaryBits.join(" · "))}</div>` : ""}
+      ${leadId ? `<div style="font-size:12px;color:#6B7280;margin-top:4px;">Reference ${htmlEscape(leadId)}</div>` : ""}
+    </div>
+    ${flagRows.length ? `
+    <div style="margin:0 0 16px 0;padding:10px 14px;background:#fff8e6;border:1px solid #f3d27a;border-left:6px solid #d97706;border-radius:8px;${FONT}font-size:13px;color:#374151;">
+      <div style="font-weight:700;color:#92400e;margin-bottom:4px;">Check these answers with the customer</div>
+      ${flagRows.map(([k, v]) => `<div><strong>${htmlEscape(k)}:</strong> ${htmlEscape(v)}</div>`).join("")}
+    </div>` : ""}
+    ${sectionHtml}
+    <h3 style="margin:20px 0 6px 0;${FONT}font-size:15px;color:#004a2f;border-bottom:1px solid #d9efe4;padding-bottom:4px;">Photos</h3>
+    ${photosHtml}
+    ${submittedAt ? `<p style="margin-top:16px;color:#6B7280;font-size:12px;${FONT}">Submitted at ${htmlEscape(submittedAt)}</p>` : ""}
+  `;
+
+  return { subject, text, html };
+}
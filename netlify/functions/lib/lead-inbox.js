@@ -0,0 +1,105 @@
+// netlify/functions/lib/lead-inbox.js
+// Search, filters and CSV export for the admin lead inbox (admin.js). Works on
+// the full list of records from lib/leads.js listLeads(); the lead volume of a
+// dealership desk is small enough to filter in memory.
+import { LEAD_FIELDS } from "./lead-schema.js";
+import { vehicleTitle } from "./lead-email.js";
+
+const norm = (v) => String(v ?? "").trim().toLowerCase();
+
+/** What the list view shows for one lead */
+export function summarizeLead(record) {
+  const d = record.data || {};
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    status: record.status,
+    owner: record.owner || null,
+    name: d.name || "",
+    email: d.email || "",
+    phone: d.phone || "",
+    vehicle: vehicleTitle(d),
+    vin: d.vin || "",
+    make: d.make || "",
+    mileage: d.mileage || "",
+    title: d.title || "",
+    utmSource: d.utmSource || "",
+    photos: (record.files || []).length,
+    notes: (record.notes || []).length,
+    submissions: (record.submissions || []).length,
+  };
+}
+
+/**
+ * Filters and sorts (newest first) lead records.
+ * @param {Array<object>} records
+ * @param {{q?: string, from?: string, to?: string, make?: string, title?: string,
+ *          utmSource?: string, status?: string, owner?: string}} [filters] -
+ *   `from`/`to` are inclusive YYYY-MM-DD dates (UTC); `q` matches ID, name,
+ *   email, phone, VIN or vehicle; `owner` "none" means unassigned; quarantined
+ *   leads only show up when `status` asks for them.
+ */
+export function filterLeads(records, filters = {}) {
+  const q = norm(filters.q);
+  const digits = q.replace(/\D/g, "");
+  const eq = (want, have) => !want || norm(want) === norm(have);
+
+  return records
+    .filter((r) => {
+      const d = r.data || {};
+      const day = String(r.createdAt || "").slice(0, 10);
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+      if (!eq(filters.make, d.make) || !eq(filters.title, d.title)) return false;
+      if (!eq(filters.utmSource, d.utmSource) || !eq(filters.status, r.status)) return false;
+      // Spam stays out of the working list unless asked for
+      if (!filters.status && r.status === "quarantined") return false;
+      if (filters.owner === "none" ? r.owner : !eq(filters.owner, r.owner)) return false;
+      if (!q) return true;
+      const haystack = [r.id, d.name, d.email, d.vin, vehicleTitle(d)].map(norm).join(" ");
+      return haystack.includes(q) || (digits.length >= 4 && String(d.phone || "").includes(digits));
+    })
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/** Distinct values for the filter dropdowns */
+export function leadFacets(records) {
+  const distinct = (pick) => [...new Set(records.map(pick).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  return {
+    make: distinct((r) => r.data?.make),
+    title: distinct((r) => r.data?.title),
+    utmSource: distinct((r) => r.data?.utmSource),
+    owner: distinct((r) => r.owner),
+  };
+}
+
+// Customer answers + attribution, in form order (plumbing and files left out)
+const CSV_FIELDS = Object.entries(LEAD_FIELDS).filter(([, spec]) => spec.section && spec.type !== "file");
+
+/** Quotes a cell; a leading = + - @ is neutralized so spreadsheets don't run it */
+function csvCell(value) {
+  let s = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Lead records as CSV (one row per lead, header first).
+ * @param {Array<object>} records
+ * @returns {string}
+ */
+export function leadsToCsv(records) {
+  const header = ["Lead ID", "Created", "Updated", "Status", "Owner",
+    ...CSV_FIELDS.map(([, spec]) => spec.label), "Photos", "Notes"];
+  const rows = records.map((r) => {
+    const d = r.data || {};
+    return [
+      r.id, r.createdAt, r.updatedAt, r.status, r.owner || "",
+      ...CSV_FIELDS.map(([field, spec]) => (spec.type === "checkbox" ? (d[field] ? "Yes" : "No") : d[field])),
+      (r.files || []).map((f) => f.url || f.filename).join(" "),
+      (r.notes || []).map((n) => `${n.at} ${n.by}: ${n.text}`).join("\n"),
+    ];
+  });
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,203 @@
+// netlify/functions/lib/lead-schema.js
+// Single source of truth for the trade-in form fields (index.html) and their
+// server-side validation. Both handlers run submissions through validateLead().
+import { normalizePhone } from "./phone.js";
+import { validateVin } from "./vin.js";
+
+const YES_NO = { values: ["No", "Yes"], aliases: { "sí": "Yes", si: "Yes" } };
+const WEAR = {
+  values: ["New", "Good", "Worn", "Needs Replacement"],
+  // Option text is translated by the Spanish toggle; older pages submit it as the value
+  aliases: { nuevos: "New", buenos: "Good", gastados: "Worn", "requieren reemplazo": "Needs Replacement" },
+};
+
+const text = (label, maxLength, extra = {}) => ({ type: "text", label, maxLength, ...extra });
+const hidden = (label, maxLength = 200) => ({ type: "hidden", label, maxLength, section: "attribution" });
+
+/** Form sections, in page order; used to group fields in emails and exports */
+export const LEAD_SECTIONS = [
+  { id: "aboutYou", title: "About You" },
+  { id: "vehicle", title: "Vehicle Details" },
+  { id: "condition", title: "Vehicle Condition" },
+  { id: "wearables", title: "Wearable Items" },
+  { id: "photos", title: "Photos" },
+  { id: "disclaimer", title: "Disclaimer" },
+  { id: "attribution", title: "Marketing Attribution" },
+];
+
+/**
+ * Every field the form can post, in page order. `type` drives normalization:
+ * text | email | phone | vin | int | enum | checkbox | hidden | file | honeypot
+ * Fields without a `section` are plumbing and never shown to staff.
+ */
+export const LEAD_FIELDS = {
+  // About you
+  name: text("Full Name", 100, { required: true, section: "aboutYou" }),
+  phone: { type: "phone", label: "Phone", required: true, section: "aboutYou" },
+  email: { type: "email", label: "Email", required: true, maxLength: 254, section: "aboutYou" },
+  lang: { type: "hidden", label: "Language", maxLength: 10, section: "aboutYou" }, // from the language toggle
+
+  // Vehicle details
+  vin: { type: "vin", label: "VIN", required: true, section: "vehicle" },
+  mileage: { type: "int", label: "Mileage", min: 0, max: 2000000, section: "vehicle" },
+  year: { type: "int", label: "Year", required: true, min: 1900, max: () => new Date().getFullYear() + 2, section: "vehicle" },
+  make: text("Make", 60, { required: true, section: "vehicle" }),
+  // Not required: the page asks for it only when the model list loads, and
+  // otherwise has the customer type the Trim instead (assets/app.js loadModels)
+  model: text("Model", 80, { section: "vehicle" }),
+  trim: text("Trim", 80, { section: "vehicle" }),
+  extColor: text("Exterior Color", 60, { section: "vehicle" }),
+  intColor: text("Interior Color", 60, { section: "vehicle" }),
+  keys: { type: "int", label: "Keys Included", min: 0, max: 10, section: "vehicle" },
+  title: {
+    type: "enum", label: "Title Status", section: "vehicle",
+    values: ["Clean", "Lien", "Rebuilt", "Salvage"],
+    aliases: { limpio: "Clean", gravamen: "Lien", reconstruido: "Rebuilt", "pérdida total": "Salvage" },
+  },
+  owners: { type: "int", label: "Number of Owners", min: 0, max: 20, section: "vehicle" },
+  accident: { type: "enum", label: "Accident History", section: "vehicle", ...YES_NO },
+  accidentRepair: text("Accident Repair Details", 2000, { section: "vehicle" }),
+
+  // Condition
+  warnings: { type: "enum", label: "Dashboard Warning Lights", section: "condition", ...YES_NO },
+  mech: text("Mechanical Issues", 2000, { section: "condition" }),
+  cosmetic: text("Cosmetic Issues", 2000, { section: "condition" }),
+  interior: text("Interior Condition", 2000, { section: "condition" }),
+  mods: text("Aftermarket Parts / Mods", 2000, { section: "condition" }),
+  smells: text("Unusual Smells", 2000, { section: "condition" }),
+  service: text("Routine Service Up to Date", 2000, { section: "condition" }),
+
+  // Wearables
+  tires: { type: "enum", label: "Tire Condition", section: "wearables", ...WEAR },
+  brakes: { type: "enum", label: "Brake Condition", section: "wearables", ...WEAR },
+  wear: text("Other Wear Items", 2000, { section: "wearables" }),
+
+  // Photos (Netlify uploads; validated client-side and by processAttachments)
+  photoExterior: { type: "file", label: "Exterior", section: "photos" },
+  photoInterior: { type: "file", label: "Interior", section: "photos" },
+  photoDash: { type: "file", label: "Dashboard / Odometer", section: "photos" },
+  photoDamage: { type: "file", label: "Damage / Flaws", section: "photos" },
+
+  // Disclaimer
+  agree: { type: "checkbox", label: "Agreed to Disclaimer", required: true, section: "disclaimer" },
+
+  // Hidden plumbing / attribution
+  "form-name": { type: "hidden", maxLength: 60 },
+  subject: { type: "hidden", maxLength: 200 },
+  company: { type: "honeypot" },
+  phoneRaw: { type: "hidden", maxLength: 16 },
+  leadRef: { type: "hidden", maxLength: 400 }, // signed reference from lead-ref.js
+  formToken: { type: "hidden", maxLength: 400 }, // signed page-load time from form-token.js
+  utmSource: hidden("UTM Source"),
+  utmMedium: hidden("UTM Medium"),
+  utmCampaign: hidden("UTM Campaign"),
+  utmTerm: hidden("UTM Term"),
+  utmContent: hidden("UTM Content"),
+  gclid: hidden("Google Click ID"),
+  fbclid: hidden("Facebook Click ID"),
+  referrer: hidden("Referrer", 2048),
+  landingPage: hidden("Landing Page", 2048),
+  firstUtmSource: hidden("First-Touch UTM Source"),
+  firstUtmMedium: hidden("First-Touch UTM Medium"),
+  firstUtmCampaign: hidden("First-Touch UTM Campaign"),
+  firstUtmTerm: hidden("First-Touch UTM Term"),
+  firstUtmContent: hidden("First-Touch UTM Content"),
+  firstGclid: hidden("First-Touch Google Click ID"),
+  firstFbclid: hidden("First-Touch Facebook Click ID"),
+  firstReferrer: hidden("First-Touch Referrer", 2048),
+  firstLandingPage: hidden("First-Touch Landing Page", 2048),
+  firstTouchedAt: hidden("First Touch At", 40),
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const CHECKED = new Set(["on", "true", "yes", "1", "checked"]);
+
+/** Same email check validateLead() applies */
+export const isValidEmail = (v) => EMAIL_RE.test(String(v || "").trim());
+
+const str = (v) => (v === undefined || v === null ? "" : Array.isArray(v) ? v.join(", ") : String(v)).trim();
+
+/** True when the honeypot field was filled in (bots) */
+export function isHoneypotTripped(data = {}) {
+  return Object.entries(LEAD_FIELDS).some(([k, spec]) => spec.type === "honeypot" && str(data[k]));
+}
+
+/**
+ * Validates and normalizes a submission.
+ * @param {object} data - Raw form fields (JSON body or Netlify `payload.data`).
+ * @returns {{lead: object, errors: Array<{field: string, code: string, message: string}>}}
+ *   `lead` holds normalized values for every declared field (files/honeypot excluded).
+ */
+export function validateLead(data = {}) {
+  const lead = {};
+  const errors = [];
+  const fail = (field, code, message) => errors.push({ field, code, message });
+
+  for (const [field, spec] of Object.entries(LEAD_FIELDS)) {
+    if (spec.type === "file" || spec.type === "honeypot") continue;
+    const label = spec.label || field;
+
+    // The form posts phoneRaw (E.164) alongside the formatted phone
+    const raw = field === "phone" ? str(data.phoneRaw) || str(data.phone) : str(data[field]);
+
+    if (!raw) {
+      if (spec.required) fail(field, "required", `${label} is required.`);
+      lead[field] = spec.type === "checkbox" ? false : "";
+      continue;
+    }
+
+    if (spec.maxLength && raw.length > spec.maxLength) {
+      fail(field, "too_long", `${label} must be at most ${spec.maxLength} characters.`);
+      lead[field] = raw.slice(0, spec.maxLength);
+      continue;
+    }
+
+    switch (spec.type) {
+      case "email":
+        if (!EMAIL_RE.test(raw)) fail(field, "invalid_email", "Email address is not valid.");
+        lead[field] = raw.toLowerCase();
+        break;
+
+      case "phone": {
+        const phone = normalizePhone(raw);
+        if (!phone.ok) fail(field, phone.code === "required" ? "required" : `invalid_phone_${phone.code}`, phone.message);
+        lead[field] = phone.ok ? phone.e164 : raw;
+        break;
+      }
+
+      case "vin": {
+        const vin = validateVin(raw);
+        if (!vin.ok) fail(field, vin.code, vin.message);
+        lead[field] = vin.ok ? vin.vin : raw.toUpperCase();
+        break;
+      }
+
+      case "int": {
+        const n = Number(raw.replace(/,/g, ""));
+        const max = typeof spec.max === "function" ? spec.max() : spec.max;
+        if (!Number.isInteger(n)) fail(field, "not_integer", `${label} must be a whole number.`);
+        else if (n < spec.min || n > max) fail(field, "out_of_range", `${label} must be between ${spec.min} and ${max}.`);
+        lead[field] = Number.isInteger(n) ? String(n) : raw;
+        break;
+      }
+
+      case "enum": {
+        const lower = raw.toLowerCase();
+        const hit = spec.values.find((v) => v.toLowerCase() === lower) || (spec.aliases && spec.aliases[lower]);
+        if (!hit) fail(field, "invalid_enum", `${label} must be one of: ${spec.values.join(", ")}.`);
+        lead[field] = hit || raw;
+        break;
+      }
+
+      case "checkbox":
+        lead[field] = CHECKED.has(raw.toLowerCase());
+        if (spec.required && !lead[field]) fail(field, "required", `${label} must be checked.`);
+        break;
+
+      default:
+        lead[field] = raw;
+    }
+  }
+
+  return { lead, errors };
+}
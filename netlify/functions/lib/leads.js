@@ -0,0 +1,201 @@
+// netlify/functions/lib/leads.js
+// Persists submissions under a generated lead ID and folds repeat submissions
+// (same VIN + email or VIN + phone inside the window) into the original lead.
+//
+// Environment:
+// LEAD_DEDUPE_WINDOW_MINUTES: How long a repeat counts as a duplicate (default 1440).
+// LEAD_REF_SECRET: Signs reference numbers handed out before submit (see lead-ref.js).
+import { createHash, randomBytes } from "node:crypto";
+import { verifyToken } from "./tokens.js";
+
+// Crockford base32 without I, L, O, U: easy to read back over the phone
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+/** e.g. "QT-261019-7K2M" (date + 4 random chars) */
+export function newLeadId(now = new Date()) {
+  const date = now.toISOString().slice(2, 10).replace(/-/g, "");
+  const rand = Array.from(randomBytes(4), (b) => ALPHABET[b % 32]).join("");
+  return `QT-${date}-${rand}`;
+}
+
+const ID_RE = /^QT-\d{6}-[0-9A-HJKMNP-TV-Z]{4}$/;
+
+/**
+ * The lead ID promised to the browser before submit, if its signed ref checks out.
+ * @param {string} ref - The form's hidden leadRef (lib/tokens.js token).
+ * @returns {string|null}
+ */
+export function leadIdFromRef(ref, env = process.env) {
+  if (!ref || !env.LEAD_REF_SECRET) return null;
+  const check = verifyToken(ref, env.LEAD_REF_SECRET);
+  return check.ok && ID_RE.test(check.payload.sub) ? check.payload.sub : null;
+}
+
+const leadKey = (id) => `lead/${id}`;
+const aliasKey = (id) => `alias/${id}`;
+const hash = (s) => createHash("sha256").update(s).digest("hex").slice(0, 32);
+
+/** Keys that identify "the same customer + vehicle" */
+function dedupeKeys(lead) {
+  const vin = String(lead.vin || "").toUpperCase();
+  if (!vin) return [];
+  return [
+    lead.email && `dedupe/${hash(`${vin}|email|${String(lead.email).toLowerCase()}`)}`,
+    lead.phone && `dedupe/${hash(`${vin}|phone|${String(lead.phone).replace(/\D/g, "")}`)}`,
+  ].filter(Boolean);
+}
+
+const nonEmpty = (obj) => Object.fromEntries(
+  Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== "")
+);
+
+/**
+ * Saves a lead, or merges it into a recent duplicate.
+ * @param {object} store - From lib/store.js openStore("leads").
+ * @param {object} lead - Normalized lead (lib/lead-schema.js).
+ * @param {{id?: string, files?: Array<object>, quarantine?: {score: number, reasons: string[]},
+ *          now?: Date, windowMinutes?: number}} [options] -
+ *   `id` is the reference already shown to the customer (leadIdFromRef); a new
+ *   lead takes it, a duplicate records it as an alias of the original.
+ *   `quarantine` (lib/spam.js) saves the lead as "quarantined" for staff review;
+ *   it is kept out of duplicate matching both ways.
+ * @returns {Promise<{record: object, duplicate: boolean}>}
+ */
+export async function saveLead(store, lead, {
+  id: preferredId,
+  files = [],
+  quarantine,
+  now = new Date(),
+  windowMinutes = Number(process.env.LEAD_DEDUPE_WINDOW_MINUTES) || 1440,
+} = {}) {
+  const at = now.toISOString();
+  const keys = quarantine ? [] : dedupeKeys(lead);
+
+  // 1. Recent duplicate? Merge and report it
+  for (const key of keys) {
+    const hit = await store.getJSON(key);
+    if (!hit || now - new Date(hit.at) > windowMinutes * 60 * 1000) continue;
+    const existing = await store.getJSON(leadKey(hit.leadId));
+    if (!existing) continue;
+
+    const record = {
+      ...existing,
+      updatedAt: at,
+      data: { ...existing.data, ...nonEmpty(lead) },
+      files: [...(existing.files || []), ...files],
+      submissions: [...(existing.submissions || [existing.createdAt]), at],
+    };
+    await store.setJSON(leadKey(record.id), record);
+    await Promise.all(keys.map((k) => store.setJSON(k, { leadId: record.id, at })));
+    if (preferredId && preferredId !== record.id) await store.setJSON(aliasKey(preferredId), { leadId: record.id, at });
+    return { record, duplicate: true };
+  }
+
+  // 2. New lead (retry on the unlikely ID collision)
+  let id = preferredId || newLeadId(now);
+  while (await store.getJSON(leadKey(id))) id = newLeadId(now);
+
+  const record = {
+    id,
+    createdAt: at,
+    updatedAt: at,
+    status: quarantine ? "quarantined" : "new",
+    data: lead,
+    files,
+    submissions: [at],
+    ...(quarantine ? { spam: quarantine } : {}),
+  };
+  await store.setJSON(leadKey(id), record);
+  await Promise.all(keys.map((k) => store.setJSON(k, { leadId: id, at })));
+  return { record, duplicate: false };
+}
+
+/** Loads one lead record by ID or alias (null when missing) */
+export async function getLead(store, id) {
+  const record = await store.getJSON(leadKey(id));
+  if (record) return record;
+  const alias = await store.getJSON(aliasKey(id));
+  return alias ? store.getJSON(leadKey(alias.leadId)) : null;
+}
+
+/* ---- Sales desk workflow (admin inbox) ---- */
+
+/** Lead statuses in pipeline order (quarantined: held back by lib/spam.js) */
+export const LEAD_STATUSES = ["new", "contacted", "appraised", "offer_made", "acquired", "lost", "quarantined"];
+
+// Forward one step, or lost from any open status; a lost lead can be reopened.
+// Releasing a quarantined lead puts it in the inbox (it isn't emailed then).
+const TRANSITIONS = {
+  quarantined: ["new", "lost"],
+  new: ["contacted", "lost"],
+  contacted: ["appraised", "lost"],
+  appraised: ["offer_made", "lost"],
+  offer_made: ["acquired", "lost"],
+  acquired: [],
+  lost: ["contacted"],
+};
+
+/** Statuses a lead can move to next */
+export const nextStatuses = (status) => TRANSITIONS[status] || [];
+
+const MAX_NOTE_LENGTH = 4000;
+
+/**
+ * Applies a staff change to a lead: status, owner and/or a new note. Every
+ * change is appended to the record's history.
+ * @param {object} store - From lib/store.js openStore("leads").
+ * @param {string} id - Lead ID or alias.
+ * @param {{status?: string, owner?: string|null, note?: string}} changes
+ * @param {{by: string, now?: Date}} options - `by` is the staff member's email.
+ * @returns {Promise<{ok: true, record: object, changed: string[]} |
+ *                   {ok: false, code: "not_found"|"invalid_status"|"invalid_transition"|"invalid_note", message: string}>}
+ */
+export async function updateLead(store, id, { status, owner, note } = {}, { by, now = new Date() }) {
+  const record = await getLead(store, id);
+  if (!record) return { ok: false, code: "not_found", message: `Lead ${id} not found.` };
+
+  const at = now.toISOString();
+  const history = [...(record.history || [])];
+  const changed = [];
+  const next = { ...record };
+
+  if (status !== undefined && status !== record.status) {
+    if (!LEAD_STATUSES.includes(status)) {
+      return { ok: false, code: "invalid_status", message: `Status must be one of: ${LEAD_STATUSES.join(", ")}.` };
+    }
+    if (!nextStatuses(record.status).includes(status)) {
+      return { ok: false, code: "invalid_transition", message: `A ${record.status} lead can't move to ${status}.` };
+    }
+    history.push({ at, by, type: "status", from: record.status, to: status });
+    next.status = status;
+    changed.push("status");
+  }
+
+  if (owner !== undefined && (owner || null) !== (record.owner || null)) {
+    history.push({ at, by, type: "owner", from: record.owner || null, to: owner || null });
+    next.owner = owner || null;
+    changed.push("owner");
+  }
+
+  if (note !== undefined) {
+    const text = String(note).trim();
+    if (!text || text.length > MAX_NOTE_LENGTH) {
+      return { ok: false, code: "invalid_note", message: `Notes must be 1–${MAX_NOTE_LENGTH} characters.` };
+    }
+    next.notes = [...(record.notes || []), { at, by, text }];
+    changed.push("notes");
+  }
+
+  if (!changed.length) return { ok: true, record, changed };
+
+  next.history = history;
+  next.updatedAt = at;
+  await store.setJSON(leadKey(record.id), next);
+  return { ok: true, record: next, changed };
+}
+
+/** Every stored lead record (aliases and dedupe markers skipped) */
+export async function listLeads(store) {
+  const records = await Promise.all((await store.list("lead/")).map((k) => store.getJSON(k)));
+  return records.filter(Boolean);
+}
@@ -0,0 +1,32 @@
+// netlify/functions/lib/phone.js
+// NANP phone validation shared by both handlers (mirrors assets/phone.js).
+
+const MESSAGES = {
+  required: "Phone number is required.",
+  length: "Phone number must have 10 digits (US/Canada).",
+  areaCode: "Phone number has an invalid area code.",
+  exchange: "Phone number has an invalid exchange.",
+  fictional: "555-01xx phone numbers are fictional.",
+};
+
+/**
+ * Validates a US/Canada number and returns its E.164 form.
+ * @param {string} value - Raw input; "+1", punctuation and spaces are ignored.
+ * @returns {{ok: true, e164: string} | {ok: false, code: string, message: string}}
+ */
+export function normalizePhone(value) {
+  let d = String(value || "").replace(/\D/g, "");
+  if (d.length === 11 && d[0] === "1") d = d.slice(1);
+
+  const fail = (code) => ({ ok: false, code, message: MESSAGES[code] });
+  if (!d) return fail("required");
+  if (d.length !== 10) return fail("length");
+
+  const npa = d.slice(0, 3);
+  const nxx = d.slice(3, 6);
+  if (!/^[2-9][0-8]\d$/.test(npa) || /^\d11$/.test(npa)) return fail("areaCode");
+  if (!/^[2-9]\d\d$/.test(nxx) || /^\d11$/.test(nxx)) return fail("exchange");
+  if (nxx === "555" && d.slice(6, 8) === "01") return fail("fictional");
+
+  return { ok: true, e164: `+1${d}` };
+}
@@ -0,0 +1,314 @@
+// netlify/functions/lib/photo-store.js
+// Keeps a lead's photos in our own store (lib/store.js "photos": Netlify Blobs,
+// or files locally) instead of mailing them: each upload is kept as sent, plus
+// a thumbnail and a web-sized copy. Staff get a signed, expiring gallery link
+// (gallery.js) in the lead email.
+//
+// Resizing two dozen photos takes longer than a request may run, so the
+// handlers only stage the uploads (stageLeadPhotos) and hand them to the
+// lead-photos-background function (handOffLeadPhotos), which stores them and
+// then sends the lead email that was held for them (lib/deliveries.js). An
+// upload that fails to store stays staged, and the scheduled delivery-retry
+// function hands it off again (retryStagedPhotos), up to PHOTO_ATTEMPTS times.
+//
+// Keys, per lead:
+//   <leadId>/index              JSON list of the lead's photos
+//   <leadId>/<photoId>/<size>   bytes (original | web | thumb)
+//   <leadId>/staged             JSON list of uploads waiting to be stored
+//   <leadId>/staged/<id>        bytes of a staged upload (Netlify uploads stay at their URL)
+//   retry/<leadId>              marks a lead with uploads left staged after a failed run
+//
+// Environment:
+// GALLERY_SECRET: Signs gallery links. When unset photos are attached to the email instead.
+// GALLERY_TTL_DAYS: How long a gallery link works (default 30).
+// PHOTO_MAX_MB: Largest upload copied, per photo (default 25).
+// URL / SITE_URL: Site origin for the link and the background function (Netlify
+//   sets URL). When unset the photos are stored within the request.
+import { randomBytes } from "node:crypto";
+import sharp from "sharp";
+import { openStore } from "./store.js";
+import { signToken, verifyToken } from "./tokens.js";
+import { releaseLeadEmail } from "./deliveries.js";
+
+// Longest side in px; both re-encoded as JPEG with EXIF (GPS etc.) stripped
+export const PHOTO_SIZES = {
+  thumb: { width: 400, quality: 70 },
+  web: { width: 1600, quality: 82 },
+};
+
+const indexKey = (leadId) => `${leadId}/index`;
+const bytesKey = (leadId, photoId, size) => `${leadId}/${photoId}/${size}`;
+const stagedKey = (leadId) => `${leadId}/staged`;
+const retryKey = (leadId) => `retry/${leadId}`;
+
+// Runs that may fail on the same upload before it is given up
+export const PHOTO_ATTEMPTS = 3;
+
+const BACKGROUND_PATH = "/.netlify/functions/lead-photos-background";
+const siteOrigin = (env) => (env.SITE_URL || env.URL || "").replace(/\/$/, "");
+
+/** Thumbnail + web copies of an image (null when it can't be decoded, e.g. HEIC) */
+async function resize(content) {
+  try {
+    const out = {};
+    for (const [size, { width, quality }] of Object.entries(PHOTO_SIZES)) {
+      // rotate() applies the EXIF orientation before it is dropped
+      const { data, info } = await sharp(content)
+        .rotate()
+        .resize({ width, height: width, fit: "inside", withoutEnlargement: true })
+        .jpeg({ quality, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+      out[size] = { content: data, width: info.width, height: info.height };
+    }
+    return out;
+  } catch (error) {
+    console.warn("Photo not resized (original kept):", error.message);
+    return null;
+  }
+}
+
+/** Bytes of a Netlify Forms upload, or of an upload we already hold or staged */
+async function uploadBytes(file, maxBytes, store) {
+  if (file.content) return file.content;
+  if (file.key) {
+    const content = await store.getBytes(file.key);
+    if (!content) throw new Error("staged copy missing");
+    return content;
+  }
+  const response = await fetch(file.url);
+  if (!response.ok) throw new Error(`fetch failed with status ${response.status}`);
+  if (Number(response.headers.get("content-length")) > maxBytes) throw new Error("too large");
+  const content = Buffer.from(await response.arrayBuffer());
+  if (content.byteLength > maxBytes) throw new Error("too large");
+  return content;
+}
+
+/**
+ * Copies a lead's uploads into the photo store, one at a time to keep memory flat.
+ * @param {Array<{field?: string, filename?: string, type?: string, url?: string, content?: Buffer, key?: string}>} files -
+ *   Netlify Forms uploads (`url`), parsed multipart uploads (`content`) or
+ *   staged uploads (`key`).
+ * @param {{leadId: string, event?: object, env?: object}} options
+ * @returns {Promise<{photos: Array<object>, failed: Array<object>}>} `photos` are
+ *   the stored entries (as listed in the index); `failed` the input files that
+ *   could not be stored, so the caller can stage them again.
+ */
+async function storeLeadPhotos(files, { leadId, event, env = process.env }) {
+  const store = openStore("photos", { event, env });
+  const maxBytes = (Number(env.PHOTO_MAX_MB) || 25) * 1024 * 1024;
+  const photos = [];
+  const failed = [];
+
+  for (const file of files) {
+    try {
+      const content = await uploadBytes(file, maxBytes, store);
+      const id = randomBytes(6).toString("hex");
+      const copies = await resize(content);
+      await store.setBytes(bytesKey(leadId, id, "original"), content);
+      for (const [size, copy] of Object.entries(copies || {})) {
+        await store.setBytes(bytesKey(leadId, id, size), copy.content);
+      }
+      photos.push({
+        id,
+        field: file.field || "",
+        filename: file.filename || "photo",
+        type: file.type || "application/octet-stream",
+        size: content.byteLength,
+        ...(file.url ? { url: file.url } : {}),
+        ...(copies ? { width: copies.web.width, height: copies.web.height, sizes: Object.keys(copies) } : { sizes: [] }),
+      });
+    } catch (error) {
+      console.error(`Photo ${file.filename || file.url} not stored:`, error.message);
+      failed.push(file);
+    }
+  }
+
+  // A repeat submission adds to the lead's gallery
+  if (photos.length) {
+    try {
+      const existing = (await store.getJSON(indexKey(leadId))) || { photos: [] };
+      await store.setJSON(indexKey(leadId), { leadId, photos: [...existing.photos, ...photos] });
+    } catch (error) {
+      console.error("Photo index not saved:", error.message);
+      return { photos: [], failed: files };
+    }
+  }
+  console.log(JSON.stringify({ event: "photos.stored", leadId, stored: photos.length, failed: failed.length }));
+  return { photos, failed };
+}
+
+/**
+ * Keeps a lead's uploads until they are stored: multipart bytes are written to
+ * the photo store as they are, Netlify uploads are noted by URL. Cheap enough
+ * for the request; a repeat submission adds to what is waiting, less any
+ * Netlify upload already staged or stored (a retried submission-created event).
+ * @param {Array<object>} files - As for storeLeadPhotos().
+ * @param {{leadId: string, event?: object, env?: object}} options
+ * @returns {Promise<boolean>} false when the photo store is unavailable.
+ */
+export async function stageLeadPhotos(files, { leadId, event, env = process.env }) {
+  try {
+    const store = openStore("photos", { event, env });
+    const existing = (await store.getJSON(stagedKey(leadId))) || { files: [] };
+    const stored = (await store.getJSON(indexKey(leadId)))?.photos || [];
+    const known = new Set([...existing.files, ...stored].map((f) => f.url).filter(Boolean));
+    const staged = [];
+    for (const file of files) {
+      if (file.url && known.has(file.url)) continue;
+      const entry = { field: file.field || "", filename: file.filename || "photo", type: file.type || "application/octet-stream" };
+      if (file.content) {
+        entry.key = `${stagedKey(leadId)}/${randomBytes(6).toString("hex")}`;
+        await store.setBytes(entry.key, file.content);
+      } else {
+        entry.url = file.url;
+      }
+      staged.push(entry);
+    }
+    await store.setJSON(stagedKey(leadId), { leadId, files: [...existing.files, ...staged] });
+    return true;
+  } catch (error) {
+    console.error("Photos not staged:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Stores a lead's staged uploads (storeLeadPhotos) and, with `releaseEmail`,
+ * then sends its held lead email. Run by lead-photos-background.js.
+ * @param {string} leadId
+ * @param {{event?: object, env?: object, releaseEmail?: boolean}} [options]
+ */
+export async function processStagedPhotos(leadId, { event, env = process.env, releaseEmail = false } = {}) {
+  try {
+    const store = openStore("photos", { event, env });
+    const staged = await store.getJSON(stagedKey(leadId));
+    if (staged && staged.files.length) {
+      // Taken off the list first, so a run started meanwhile doesn't store them twice
+      await store.delete(stagedKey(leadId));
+      const { failed } = await storeLeadPhotos(staged.files, { leadId, event, env });
+
+      // Failed uploads go back on the list (after anything staged meanwhile)
+      // until they have had PHOTO_ATTEMPTS runs
+      const retry = failed
+        .map((file) => ({ ...file, attempts: (file.attempts || 0) + 1 }))
+        .filter((file) => file.attempts < PHOTO_ATTEMPTS);
+      const kept = new Set(retry.map((file) => file.key).filter(Boolean));
+      if (retry.length) {
+        const current = (await store.getJSON(stagedKey(leadId))) || { files: [] };
+        await store.setJSON(stagedKey(leadId), { leadId, files: [...current.files, ...retry] });
+        await store.setJSON(retryKey(leadId), { leadId });
+      }
+      if (failed.length > retry.length) {
+        console.error(JSON.stringify({ event: "photos.dropped", leadId, count: failed.length - retry.length }));
+      }
+      for (const file of staged.files) {
+        if (file.key && !kept.has(file.key)) await store.delete(file.key);
+      }
+    }
+  } catch (error) {
+    console.error("Staged photos not stored:", error.message);
+  }
+  if (releaseEmail) await releaseLeadEmail({ event, leadId });
+}
+
+/**
+ * Starts processStagedPhotos() in the background function, or runs it here
+ * when that can't be reached (no site URL, e.g. locally).
+ * @param {string} leadId
+ * @param {{event?: object, env?: object, releaseEmail?: boolean}} [options] -
+ *   `releaseEmail` for the run that held the lead email (deliverLead holdEmail).
+ * @returns {Promise<boolean>} Whether it runs in the background.
+ */
+export async function handOffLeadPhotos(leadId, { event, env = process.env, releaseEmail = false } = {}) {
+  const origin = siteOrigin(env);
+  if (origin) {
+    try {
+      const token = signToken({ sub: leadId, scope: "photos", releaseEmail }, env.GALLERY_SECRET, { ttlSeconds: 3600 });
+      const response = await fetch(`${origin}${BACKGROUND_PATH}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token }),
+        signal: AbortSignal.timeout(5000),
+      });
+      if (response.status !== 202) throw new Error(`status ${response.status}`);
+      console.log(JSON.stringify({ event: "photos.handed_off", leadId }));
+      return true;
+    } catch (error) {
+      console.warn("Photo background function unavailable (storing here):", error.message);
+    }
+  }
+  await processStagedPhotos(leadId, { event, env, releaseEmail });
+  return false;
+}
+
+/**
+ * Hands off every lead with uploads left staged by a failed run. Run by the
+ * scheduled delivery-retry function.
+ * @param {{event?: object, env?: object}} [options]
+ * @returns {Promise<number>} Leads handed off.
+ */
+export async function retryStagedPhotos({ event, env = process.env } = {}) {
+  const store = openStore("photos", { event, env });
+  const keys = await store.list("retry/");
+  for (const key of keys) {
+    // Cleared first: a run that fails again marks the lead again
+    await store.delete(key);
+    await handOffLeadPhotos(key.slice("retry/".length), { event, env });
+  }
+  return keys.length;
+}
+
+/**
+ * Reads the token handOffLeadPhotos() sends the background function.
+ * @returns {{ok: true, leadId: string, releaseEmail: boolean} | {ok: false, reason: string}}
+ */
+export function verifyPhotosToken(token, { env = process.env, now = Date.now() } = {}) {
+  const check = verifyToken(token, env.GALLERY_SECRET, { now });
+  if (!check.ok) return check;
+  if (check.payload.scope !== "photos") return { ok: false, reason: "bad_signature" };
+  return { ok: true, leadId: String(check.payload.sub), releaseEmail: check.payload.releaseEmail === true };
+}
+
+/** The lead's stored photos, in upload order ([] when there are none) */
+export async function loadLeadPhotos(leadId, { event, env = process.env } = {}) {
+  const index = await openStore("photos", { event, env }).getJSON(indexKey(leadId));
+  return index ? index.photos : [];
+}
+
+/**
+ * One stored copy of a photo. A size that wasn't generated falls back to the original.
+ * @param {"original"|"web"|"thumb"} size
+ * @returns {Promise<{content: Buffer, type: string} | null>}
+ */
+export async function readLeadPhoto(leadId, photo, size, { event, env = process.env } = {}) {
+  const copy = size !== "original" && photo.sizes.includes(size) ? size : "original";
+  const content = await openStore("photos", { event, env }).getBytes(bytesKey(leadId, photo.id, copy));
+  if (!content) return null;
+  return { content, type: copy === "original" ? photo.type : "image/jpeg" };
+}
+
+/**
+ * Signed gallery link for a lead's photos.
+ * @returns {{url: string, expiresAt: string} | null} null when GALLERY_SECRET is unset.
+ */
+export function galleryLink(leadId, { env = process.env, now = Date.now() } = {}) {
+  if (!env.GALLERY_SECRET) return null;
+  const ttlSeconds = (Number(env.GALLERY_TTL_DAYS) || 30) * 86400;
+  const token = signToken({ sub: leadId, scope: "gallery" }, env.GALLERY_SECRET, { ttlSeconds, now });
+  return {
+    url: `${siteOrigin(env)}/api/gallery?token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+  };
+}
+
+/**
+ * Reads a gallery token.
+ * @returns {{ok: true, leadId: string} | {ok: false, reason: string}}
+ */
+export function verifyGalleryToken(token, { env = process.env, now = Date.now() } = {}) {
+  const check = verifyToken(token, env.GALLERY_SECRET, { now });
+  if (!check.ok) return check;
+  // Lead refs are signed the same way; only gallery tokens open a gallery
+  if (check.payload.scope !== "gallery") return { ok: false, reason: "bad_signature" };
+  return { ok: true, leadId: String(check.payload.sub) };
+}
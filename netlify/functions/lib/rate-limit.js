@@ -0,0 +1,102 @@
+// netlify/functions/lib/rate-limit.js
+// Fixed-window request limits per client IP and per email address, kept in
+// a pluggable counter store. IPs and emails are hashed before they are used as
+// keys, so the counters hold no contact details.
+//
+// Environment:
+// RATE_LIMIT_DRIVER: "store" (lib/store.js, shared by every function instance; default)
+//   | "memory" (per instance, for local runs) | "off".
+// RATE_LIMIT_IP: Submissions per IP per hour (default 10).
+// RATE_LIMIT_EMAIL: Submissions per email address per day (default 5).
+import { createHash } from "node:crypto";
+import { openStore } from "./store.js";
+
+/**
+ * Counter store interface (every driver):
+ *   hit(key, windowSeconds, now) -> hits on key in the current window, this one included
+ */
+
+// Never shared between instances; fine for `netlify dev` and tests
+function memoryCounters() {
+  const windows = new Map();
+  return {
+    driver: "memory",
+    async hit(key, windowSeconds, now) {
+      const window = Math.floor(now / 1000 / windowSeconds);
+      const cur = windows.get(key);
+      const count = cur && cur.window === window ? cur.count + 1 : 1;
+      windows.set(key, { window, count });
+      return count;
+    },
+  };
+}
+
+// One small record per key, overwritten when its window rolls over. Not atomic:
+// two racing requests can both count as the same hit, which is fine for a limit.
+function storeCounters(event, env) {
+  const store = openStore("rate-limits", { event, env });
+  return {
+    driver: "store",
+    async hit(key, windowSeconds, now) {
+      const window = Math.floor(now / 1000 / windowSeconds);
+      const cur = await store.getJSON(key);
+      const count = cur && cur.window === window ? cur.count + 1 : 1;
+      await store.setJSON(key, { window, count });
+      return count;
+    },
+  };
+}
+
+let memory; // survives between invocations of a warm instance
+
+/**
+ * Opens the configured counter store (null when rate limiting is off).
+ * @param {{event?: object, env?: object}} [options]
+ */
+export function openCounters({ event, env = process.env } = {}) {
+  const driver = (env.RATE_LIMIT_DRIVER || "store").toLowerCase();
+  if (driver === "off") return null;
+  if (driver === "memory") return (memory ||= memoryCounters());
+  if (driver === "store") return storeCounters(event, env);
+  throw new Error(`Unknown RATE_LIMIT_DRIVER "${driver}" (expected store, memory or off)`);
+}
+
+/** The caller's IP as Netlify reports it */
+export function clientIp(event) {
+  const h = event.headers || {};
+  const forwarded = String(h["x-forwarded-for"] || "").split(",")[0].trim();
+  return h["x-nf-client-connection-ip"] || forwarded || h["client-ip"] || "";
+}
+
+const hash = (s) => createHash("sha256").update(s).digest("hex").slice(0, 32);
+
+/**
+ * Counts this request against each limit that applies to it.
+ * @param {object|null} counters - From openCounters(); null skips the check.
+ * @param {{ip?: string, email?: string}} subject
+ * @param {{env?: object, now?: number, bucket?: string,
+ *          limits?: {ip?: {max: number, windowSeconds: number}, email?: {max: number, windowSeconds: number}}}} [options] -
+ *   `bucket` keeps another endpoint's counts apart from submissions (e.g. "draft");
+ *   `limits` replaces the submission limits for it.
+ * @returns {Promise<{ok: true} | {ok: false, scope: "ip"|"email", retryAfter: number}>}
+ *   retryAfter in seconds.
+ */
+export async function checkRateLimit(counters, { ip, email }, { env = process.env, now = Date.now(), bucket = "", limits = {} } = {}) {
+  if (!counters) return { ok: true };
+  const prefix = bucket ? `${bucket}/` : "";
+  const ipLimit = { max: Number(env.RATE_LIMIT_IP) || 10, windowSeconds: 3600, ...limits.ip };
+  const emailLimit = { max: Number(env.RATE_LIMIT_EMAIL) || 5, windowSeconds: 86400, ...limits.email };
+  const checks = [
+    ip && { scope: "ip", key: `${prefix}ip/${hash(ip)}`, ...ipLimit },
+    email && { scope: "email", key: `${prefix}email/${hash(String(email).toLowerCase())}`, ...emailLimit },
+  ].filter(Boolean);
+
+  for (const { scope, key, max, windowSeconds } of checks) {
+    const count = await counters.hit(key, windowSeconds, now);
+    if (count > max) {
+      const retryAfter = windowSeconds - Math.floor(now / 1000) % windowSeconds;
+      return { ok: false, scope, retryAfter };
+    }
+  }
+  return { ok: true };
+}
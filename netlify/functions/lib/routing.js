@@ -0,0 +1,142 @@
+// netlify/functions/lib/routing.js
+// Decides which desk receives a lead. Rules are evaluated top to bottom and
+// the first match wins; anything unmatched goes to the default route.
+//
+// Environment:
+// LEAD_ROUTES: JSON config (inline). Takes precedence over LEAD_ROUTES_FILE.
+// LEAD_ROUTES_FILE: Path to a JSON config file.
+// TO_EMAIL: Comma-separated recipients for the built-in default route. When unset,
+//   each handler keeps the recipients it had before routing existed (FALLBACK_TO).
+//
+// Config shape:
+// {
+//   "routes": [
+//     {
+//       "name": "chevy-gmc-desk",
+//       "match": {
+//         "make": ["Chevrolet", "GMC"],          // any-of, case-insensitive, "*" wildcards
+//         "yearMin": 2018, "yearMax": 2026,
+//         "title": ["Clean", "Lien"],
+//         "mileageMin": 0, "mileageMax": 120000,
+//         "utmCampaign": ["fall-trade-*"],
+//         "landingPage": ["*/chevy/*"]
+//       },
+//       "to": ["desk@quirkcars.com"], "cc": [], "bcc": [], "replyTo": "desk@quirkcars.com"
+//     }
+//   ],
+//   "default": { "to": ["steve@quirkcars.com"] }
+// }
+import { readFileSync } from "node:fs";
+
+// Default-route recipients when neither the config nor TO_EMAIL names any: the
+// page's API submit has always gone to one inbox, Netlify Forms to three.
+export const FALLBACK_TO = {
+  api: "steve@quirkcars.com",
+  netlifyForms: "steve@quirkcars.com,gmcintosh@quirkcars.com,lmendez@quirkcars.com",
+};
+
+// Fields matched as any-of string patterns
+const STRING_MATCHERS = ["make", "model", "title", "utmSource", "utmMedium", "utmCampaign", "landingPage", "referrer"];
+
+const list = (v) => (Array.isArray(v) ? v : String(v || "").split(","))
+  .map((s) => String(s).trim())
+  .filter(Boolean);
+
+/** Case-insensitive glob: "*" matches any run of characters */
+function globMatch(pattern, value) {
+  const re = new RegExp(`^${String(pattern).split("*").map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+  return re.test(String(value || "").trim());
+}
+
+function normalizeRoute(route, fallbackName) {
+  return {
+    name: route.name || fallbackName,
+    match: route.match || {},
+    to: list(route.to),
+    cc: list(route.cc),
+    bcc: list(route.bcc),
+    replyTo: route.replyTo || undefined,
+  };
+}
+
+/**
+ * Loads and normalizes routing config from the environment.
+ * @param {object} [env] - Defaults to process.env.
+ * @param {{fallbackTo?: string}} [options] - Recipients of last resort (FALLBACK_TO.api by default).
+ * @returns {{routes: Array<object>, default: object}}
+ */
+export function loadRoutingConfig(env = process.env, { fallbackTo = FALLBACK_TO.api } = {}) {
+  let raw = {};
+  try {
+    if (env.LEAD_ROUTES) raw = JSON.parse(env.LEAD_ROUTES);
+    else if (env.LEAD_ROUTES_FILE) raw = JSON.parse(readFileSync(env.LEAD_ROUTES_FILE, "utf8"));
+  } catch (error) {
+    // Bad config must not lose leads: fall back to the default route
+    console.error("Invalid lead routing config, using default route:", error.message);
+    raw = {};
+  }
+
+  const def = normalizeRoute(raw.default || {}, "default");
+  if (!def.to.length) def.to = list(env.TO_EMAIL || fallbackTo);
+
+  return {
+    routes: (raw.routes || []).map((r, i) => normalizeRoute(r, `route-${i + 1}`)),
+    default: def,
+  };
+}
+
+/**
+ * Checks one rule's `match` block against a lead.
+ * @returns {string[]|null} The criteria that matched, or null if any failed.
+ */
+export function matchRule(match, lead) {
+  const matchedOn = [];
+
+  for (const field of STRING_MATCHERS) {
+    if (match[field] === undefined) continue;
+    const patterns = list(match[field]);
+    if (!patterns.some((p) => globMatch(p, lead[field]))) return null;
+    matchedOn.push(field);
+  }
+
+  for (const field of ["year", "mileage"]) {
+    const min = match[`${field}Min`];
+    const max = match[`${field}Max`];
+    if (min === undefined && max === undefined) continue;
+    const n = Number(String(lead[field] || "").replace(/,/g, ""));
+    if (!String(lead[field] || "").trim() || Number.isNaN(n)) return null;
+    if (min !== undefined && n < Number(min)) return null;
+    if (max !== undefined && n > Number(max)) return null;
+    matchedOn.push(field);
+  }
+
+  return matchedOn;
+}
+
+/**
+ * Picks the route for a lead.
+ * @param {object} lead - Normalized lead (see lib/lead-schema.js).
+ * @param {{routes: Array<object>, default: object}} [config]
+ * @returns {{name: string, to: string[], cc: string[], bcc: string[], replyTo?: string, matchedOn: string[]}}
+ */
+export function resolveRoute(lead, config = loadRoutingConfig()) {
+  for (const route of config.routes) {
+    const matchedOn = matchRule(route.match, lead);
+    if (matchedOn && route.to.length) {
+      const { match, ...rest } = route;
+      return { ...rest, matchedOn };
+    }
+  }
+  const { match, ...rest } = config.default;
+  return { ...rest, matchedOn: [] };
+}
+
+/** Spreads a route into mail message fields (empty lists omitted) */
+export function routeRecipients(route) {
+  return {
+    to: route.to,
+    cc: route.cc.length ? route.cc : undefined,
+    bcc: route.bcc.length ? route.bcc : undefined,
+    replyTo: route.replyTo,
+  };
+}
@@ -0,0 +1,139 @@
+// netlify/functions/lib/spam.js
+// Bot and spam checks layered on the `company` honeypot:
+//   - time-to-fill: a signed token issued on page load (form-token.js) dates the
+//     visit, so instant or forged submissions stand out
+//   - disposable email domains are turned away (data/disposable-domains.txt)
+//   - content scoring: links in the free-text answers, gibberish names
+// Token and content signals add up to a score; a lead at or over the threshold
+// is quarantined (kept for review in the admin inbox, not emailed).
+//
+// Environment:
+// FORM_TOKEN_SECRET: Signs time-to-fill tokens; the token endpoint and check are off when unset.
+// SPAM_MIN_FILL_SECONDS: Page load to submit faster than this counts as a bot (default 8).
+// SPAM_QUARANTINE_SCORE: Score at which a lead is quarantined (default 5).
+// DISPOSABLE_EMAIL_FILE: Replaces the bundled domain list (one per line, # comments).
+// DISPOSABLE_EMAIL_DOMAINS: Extra comma-separated domains to block.
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { LEAD_FIELDS } from "./lead-schema.js";
+import { signToken, verifyToken } from "./tokens.js";
+
+// Relative to the site root (also the function's working directory on Netlify)
+const DEFAULT_DOMAINS_FILE = resolve("netlify/functions/data/disposable-domains.txt");
+
+export const FORM_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+// What each signal adds to the score. A missing token alone is never enough to
+// quarantine: visitors without JS post through Netlify Forms without one. Nor is
+// speed: a visitor whose draft was restored (quirk:restored) can submit seconds
+// after the page loads, so too_fast needs another signal to reach the threshold.
+const POINTS = {
+  token_missing: 1,
+  token_expired: 1,
+  token_invalid: 3,
+  too_fast: 3,
+  link: 2,           // one link in the free-text answers
+  links: 4,          // two or more
+  link_in_field: 3,  // a link where none belongs (name, make, model, …)
+  gibberish_name: 3,
+};
+
+/* ---- Time-to-fill token ---- */
+
+/** Token for the hidden formToken field, stamped with the page-load time */
+export function issueFormToken(secret, now = Date.now()) {
+  return signToken({ iat: Math.floor(now / 1000) }, secret, { ttlSeconds: FORM_TOKEN_TTL_SECONDS, now });
+}
+
+/**
+ * Reads a submitted formToken.
+ * @returns {{reason: null|"token_missing"|"token_invalid"|"token_expired"|"too_fast", seconds?: number}}
+ *   reason null when the token is fine (or checks are off).
+ */
+export function checkFormToken(token, env = process.env, now = Date.now()) {
+  if (!env.FORM_TOKEN_SECRET) return { reason: null };
+  if (!token) return { reason: "token_missing" };
+  const check = verifyToken(token, env.FORM_TOKEN_SECRET, { now });
+  if (!check.ok) return { reason: check.reason === "expired" ? "token_expired" : "token_invalid" };
+  const seconds = Math.floor(now / 1000) - Number(check.payload.iat);
+  const min = Number(env.SPAM_MIN_FILL_SECONDS) || 8;
+  return { reason: seconds < min ? "too_fast" : null, seconds };
+}
+
+/* ---- Disposable email domains ---- */
+
+let domains;
+let domainsKey;
+
+function loadDomains(env) {
+  const file = env.DISPOSABLE_EMAIL_FILE || DEFAULT_DOMAINS_FILE;
+  const key = `${file}|${env.DISPOSABLE_EMAIL_DOMAINS || ""}`;
+  if (domains && domainsKey === key) return domains;
+
+  let listed = [];
+  try {
+    listed = readFileSync(file, "utf8").split(/\r?\n/);
+  } catch (error) {
+    console.error(`Disposable email list unavailable (${file}):`, error.message);
+  }
+  const extra = String(env.DISPOSABLE_EMAIL_DOMAINS || "").split(",");
+  domains = new Set([...listed, ...extra]
+    .map((line) => line.replace(/#.*/, "").trim().toLowerCase())
+    .filter(Boolean));
+  domainsKey = key;
+  return domains;
+}
+
+/** True for addresses at a throwaway-mail domain (or a subdomain of one) */
+export function isDisposableEmail(email, env = process.env) {
+  const domain = String(email || "").trim().toLowerCase().split("@")[1] || "";
+  if (!domain) return false;
+  const blocked = loadDomains(env);
+  const parts = domain.split(".");
+  return parts.some((_, i) => i < parts.length - 1 && blocked.has(parts.slice(i).join(".")));
+}
+
+/* ---- Content scoring ---- */
+
+const LINK_RE = /\b(?:https?:\/\/|www\.)\S+|\[url[=\]]|<a\s+href/gi;
+const HAS_LINK = new RegExp(LINK_RE.source, "i");
+// The multi-line answers (condition notes etc.) vs. short single-value fields
+const FREE_TEXT = Object.keys(LEAD_FIELDS).filter((k) => LEAD_FIELDS[k].type === "text" && LEAD_FIELDS[k].maxLength >= 1000);
+const SHORT_TEXT = Object.keys(LEAD_FIELDS).filter((k) => LEAD_FIELDS[k].type === "text" && LEAD_FIELDS[k].maxLength < 1000);
+
+/** Keyboard mashing rather than a name: "xkqwjz", "AbGhTrQ", "dave77" */
+export function looksLikeGibberish(name) {
+  const s = String(name || "").trim();
+  if (!s) return false;
+  if (/\d/.test(s)) return true;
+  return s.split(/[\s'’.-]+/).some((word) => {
+    if (word.length >= 5 && !/[aeiouyáéíóúüàèìòùâêîôûãõ]/i.test(word)) return true;
+    if (/[bcdfghjklmnpqrstvwxz]{5,}/i.test(word)) return true;
+    // Case flipping back and forth inside a word (McDonald is fine, xJkQwE isn't)
+    return (word.slice(1).match(/[a-z][A-Z]|[A-Z][a-z](?=[A-Z])/g) || []).length >= 2;
+  });
+}
+
+/**
+ * Scores a submission; higher is more likely spam.
+ * @param {object} lead - Normalized lead (lib/lead-schema.js).
+ * @param {{formToken?: string, env?: object, now?: number}} [options]
+ * @returns {{score: number, reasons: string[], quarantine: boolean, fillSeconds?: number}}
+ */
+export function assessLead(lead, { formToken, env = process.env, now = Date.now() } = {}) {
+  const reasons = [];
+
+  const token = checkFormToken(formToken, env, now);
+  if (token.reason) reasons.push(token.reason);
+
+  const links = FREE_TEXT.reduce((n, k) => n + (String(lead[k] || "").match(LINK_RE) || []).length, 0);
+  if (links >= 2) reasons.push("links");
+  else if (links === 1) reasons.push("link");
+  if (SHORT_TEXT.some((k) => HAS_LINK.test(String(lead[k] || "")))) reasons.push("link_in_field");
+
+  if (looksLikeGibberish(lead.name)) reasons.push("gibberish_name");
+
+  const score = reasons.reduce((n, r) => n + POINTS[r], 0);
+  const threshold = Number(env.SPAM_QUARANTINE_SCORE) || 5;
+  return { score, reasons, quarantine: score >= threshold, ...(token.seconds !== undefined ? { fillSeconds: token.seconds } : {}) };
+}
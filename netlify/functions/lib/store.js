@@ -0,0 +1,118 @@
+// netlify/functions/lib/store.js
+// Pluggable key-value storage shared by the lead store and friends: JSON
+// records, plus raw bytes for uploaded photos (lib/photo-store.js).
+//
+// Environment:
+// STORE_DRIVER: "blobs" (Netlify Blobs) | "file" (local JSON files). Defaults to
+//   "blobs" when the function runs on Netlify, otherwise "file".
+// STORE_DIR: Root directory for the file driver (default: <tmpdir>/quirk-store).
+import { connectLambda, getStore } from "@netlify/blobs";
+import { mkdir, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join, relative, sep } from "node:path";
+
+/**
+ * Store interface (every driver):
+ *   getJSON(key) -> object | null
+ *   setJSON(key, value)
+ *   delete(key)
+ *   list(prefix?) -> string[] keys (JSON records only)
+ *   getBytes(key) -> Buffer | null
+ *   setBytes(key, buffer)
+ */
+
+function blobsDriver(name) {
+  const store = getStore({ name, consistency: "strong" });
+  return {
+    driver: "blobs",
+    getJSON: (key) => store.get(key, { type: "json" }),
+    setJSON: (key, value) => store.setJSON(key, value),
+    delete: (key) => store.delete(key),
+    async list(prefix = "") {
+      const { blobs } = await store.list({ prefix });
+      return blobs.map((b) => b.key);
+    },
+    async getBytes(key) {
+      const data = await store.get(key, { type: "arrayBuffer" });
+      return data ? Buffer.from(data) : null;
+    },
+    setBytes: (key, buffer) => store.set(key, buffer),
+  };
+}
+
+function fileDriver(name, env) {
+  const root = join(env.STORE_DIR || join(tmpdir(), "quirk-store"), name);
+  // Keys may contain "/" (namespaces); each segment is encoded to stay inside root
+  const pathFor = (key, ext = ".json") => join(root, ...String(key).split("/").map(encodeURIComponent)) + ext;
+  const keyFor = (path) => relative(root, path).slice(0, -".json".length).split(sep).map(decodeURIComponent).join("/");
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const nested = await Promise.all(entries.map((e) => {
+      const full = join(dir, e.name);
+      if (e.isDirectory()) return walk(full);
+      return e.name.endsWith(".json") ? [full] : [];
+    }));
+    return nested.flat();
+  }
+
+  return {
+    driver: "file",
+    async getJSON(key) {
+      try {
+        return JSON.parse(await readFile(pathFor(key), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async setJSON(key, value) {
+      const path = pathFor(key);
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, JSON.stringify(value, null, 2));
+    },
+    // A key holds either a record or bytes
+    async delete(key) {
+      await rm(pathFor(key), { force: true });
+      await rm(pathFor(key, ".bin"), { force: true });
+    },
+    async list(prefix = "") {
+      return (await walk(root)).map(keyFor).filter((k) => k.startsWith(prefix)).sort();
+    },
+    async getBytes(key) {
+      try {
+        return await readFile(pathFor(key, ".bin"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async setBytes(key, buffer) {
+      const path = pathFor(key, ".bin");
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, buffer);
+    },
+  };
+}
+
+/**
+ * Opens a named store with the configured driver.
+ * @param {string} name - Store/namespace name, e.g. "leads".
+ * @param {{event?: object, env?: object}} [options] - Pass the Lambda `event` so
+ *   Netlify Blobs can pick up its per-request credentials.
+ */
+export function openStore(name, { event, env = process.env } = {}) {
+  if (event && event.blobs) connectLambda(event);
+  const onNetlify = Boolean((event && event.blobs) || env.NETLIFY_BLOBS_CONTEXT);
+  const driver = (env.STORE_DRIVER || (onNetlify ? "blobs" : "file")).toLowerCase();
+
+  if (driver === "blobs") return blobsDriver(name);
+  if (driver === "file") return fileDriver(name, env);
+  throw new Error(`Unknown STORE_DRIVER "${driver}" (expected blobs or file)`);
+}
@@ -0,0 +1,110 @@
+// netlify/functions/lib/submission-auth.js
+// Checks that a submission-created event really came from Netlify, is fresh
+// and hasn't been handled before. Netlify signs the request with a JWS (HS256)
+// in the X-Webhook-Signature header using a shared secret; its claims carry
+// iss "netlify" and the sha256 of the body.
+//
+// Environment:
+// SUBMISSION_WEBHOOK_SECRET: The JWS secret shared with Netlify. When unset the
+//   checks are skipped (and logged), e.g. for local runs.
+// SUBMISSION_MAX_AGE_SECONDS: Oldest event accepted, by the token's iat or the
+//   submission's created_at (default 600).
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { openStore } from "./store.js";
+
+export const SIGNATURE_HEADER = "x-webhook-signature";
+const CLOCK_SKEW_SECONDS = 60;
+
+const sha256 = (s) => createHash("sha256").update(s).digest("hex");
+
+/**
+ * Verifies a compact HS256 JWS.
+ * @param {string} token
+ * @param {string} secret
+ * @returns {{ok: true, claims: object} | {ok: false, reason: "malformed"|"bad_algorithm"|"bad_signature"}}
+ */
+export function verifyJws(token, secret) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3 || !secret) return { ok: false, reason: "malformed" };
+  const [head, body, sig] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(head, "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, reason: "malformed" };
+  }
+  // Only the algorithm we share a secret for; never "none"
+  if (header.alg !== "HS256") return { ok: false, reason: "bad_algorithm" };
+
+  const given = Buffer.from(sig, "base64url");
+  const expected = createHmac("sha256", secret).update(`${head}.${body}`).digest();
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return { ok: false, reason: "bad_signature" };
+  return { ok: true, claims: claims && typeof claims === "object" ? claims : {} };
+}
+
+/** The request body as Netlify sent it */
+export function rawBody(event) {
+  return event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+}
+
+const seenKey = (id) => `submission/${id}`;
+
+/**
+ * Authenticates a submission-created event.
+ * @param {object} event - Netlify function event.
+ * @param {{env?: object, now?: number}} [options] - now in ms.
+ * @returns {Promise<{ok: true, id: string|null} | {ok: false, reason: string}>}
+ *   `id` identifies the event for markSubmissionProcessed() (null when checks are off).
+ */
+export async function verifySubmissionEvent(event, { env = process.env, now = Date.now() } = {}) {
+  const secret = env.SUBMISSION_WEBHOOK_SECRET;
+  if (!secret) {
+    console.warn(JSON.stringify({ event: "submission.unverified", reason: "SUBMISSION_WEBHOOK_SECRET unset" }));
+    return { ok: true, id: null };
+  }
+
+  const headers = event.headers || {};
+  const token = headers[SIGNATURE_HEADER] || headers["X-Webhook-Signature"];
+  if (!token) return { ok: false, reason: "missing_signature" };
+
+  const check = verifyJws(token, secret);
+  if (!check.ok) return check;
+  const { claims } = check;
+  const body = rawBody(event);
+  if (claims.iss !== "netlify") return { ok: false, reason: "bad_issuer" };
+  if (typeof claims.sha256 !== "string" || claims.sha256.toLowerCase() !== sha256(body)) return { ok: false, reason: "body_mismatch" };
+
+  // Expired: past its exp, or older than the max age (token iat, else the submission time)
+  const nowSeconds = Math.floor(now / 1000);
+  if (Number.isFinite(claims.exp) && claims.exp < nowSeconds) return { ok: false, reason: "expired" };
+  let payload = {};
+  try {
+    payload = JSON.parse(body).payload || {};
+  } catch { /* the handler reports the bad body */ }
+  const issued = Number.isFinite(claims.iat) ? claims.iat : Math.floor(Date.parse(payload.created_at) / 1000);
+  if (!Number.isFinite(issued)) return { ok: false, reason: "no_timestamp" };
+  const maxAge = Number(env.SUBMISSION_MAX_AGE_SECONDS) || 600;
+  if (nowSeconds - issued > maxAge || issued - nowSeconds > CLOCK_SKEW_SECONDS) return { ok: false, reason: "expired" };
+
+  // Replayed: the same event (token id, else submission id, else body) seen before
+  const id = sha256(String(claims.jti || payload.id || body));
+  try {
+    if (await openStore("webhooks", { event, env }).getJSON(seenKey(id))) return { ok: false, reason: "replayed" };
+  } catch (error) {
+    // A storage outage must not lose the lead; the lead store still dedupes repeats
+    console.error("Replay check unavailable (continuing):", error.message);
+  }
+  return { ok: true, id };
+}
+
+/**
+ * Records an event as handled, so a replay of it is rejected. Call it only
+ * once the event is processed: Netlify retries failed runs with the same event.
+ */
+export async function markSubmissionProcessed(event, id, { env = process.env, now = Date.now() } = {}) {
+  if (!id) return;
+  await openStore("webhooks", { event, env }).setJSON(seenKey(id), { at: new Date(now).toISOString() });
+}
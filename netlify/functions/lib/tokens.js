@@ -0,0 +1,46 @@
+// netlify/functions/lib/tokens.js
+// Compact signed, expiring tokens for links we email or hand to the browser:
+//   base64url(JSON payload) + "." + base64url(HMAC-SHA256(secret, payload part))
+// The payload is readable by anyone holding the token, so keep it to IDs.
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const mac = (part, secret) => createHmac("sha256", secret).update(part).digest();
+
+/**
+ * Signs a payload that expires after ttlSeconds.
+ * @param {object} payload - Small, non-secret claims, e.g. { sub: "draft/abc" }.
+ * @param {string} secret
+ * @param {{ttlSeconds: number, now?: number}} options - now in ms.
+ * @returns {string}
+ */
+export function signToken(payload, secret, { ttlSeconds, now = Date.now() }) {
+  if (!secret) throw new Error("signToken: secret is required");
+  const body = b64url(JSON.stringify({ ...payload, exp: Math.floor(now / 1000) + ttlSeconds }));
+  return `${body}.${b64url(mac(body, secret))}`;
+}
+
+/**
+ * Checks signature and expiry.
+ * @param {string} token
+ * @param {string} secret
+ * @param {{now?: number}} [options] - now in ms.
+ * @returns {{ok: true, payload: object} | {ok: false, reason: "malformed"|"bad_signature"|"expired"}}
+ */
+export function verifyToken(token, secret, { now = Date.now() } = {}) {
+  const [body, sig, extra] = String(token || "").split(".");
+  if (!body || !sig || extra !== undefined || !secret) return { ok: false, reason: "malformed" };
+
+  const given = Buffer.from(sig, "base64url");
+  const expected = mac(body, secret);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return { ok: false, reason: "bad_signature" };
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, reason: "malformed" };
+  }
+  if (!Number.isFinite(payload.exp) || payload.exp * 1000 < now) return { ok: false, reason: "expired" };
+  return { ok: true, payload };
+}
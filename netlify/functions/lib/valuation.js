@@ -0,0 +1,217 @@
+// netlify/functions/lib/valuation.js
+// Instant trade-in estimate: a base value from a value book, adjusted by the
+// condition answers, returned as a low/high range with an itemized breakdown.
+// It is a starting point for the desk, not an offer.
+//
+// Environment:
+// VALUATION_BOOK_FILE: CSV or JSON value book (default: netlify/functions/data/value-book.csv,
+//   sample data bundled via included_files in netlify.toml).
+//   Columns/keys: year, make, model, trim (blank = any trim), value, mileage (book mileage).
+// VALUATION_RULES / VALUATION_RULES_FILE: JSON overriding DEFAULT_RULES (inline takes precedence).
+//
+// Rules config shape (all optional):
+// {
+//   "spreadPct": 7, "roundTo": 100, "minValue": 500, "yearStepPct": 9, "maxYearGap": 2,
+//   "mileage": { "perMile": 0.08, "capPct": 25 },
+//   "adjustments": [
+//     { "id": "title", "field": "title",
+//       "values": { "Rebuilt": { "pct": -30 }, "Salvage": { "pct": -50 } } },
+//     { "id": "keys", "field": "keys",
+//       "ranges": [{ "max": 0, "amount": -500 }, { "max": 1, "amount": -250 }] }
+//   ]
+// }
+// `values` matches exact answers; `ranges` matches the first min/max bucket a
+// number falls in. `pct` is a percent of the book value, `amount` is dollars.
+// Breakdown items carry the rule id and the answer, not text: the success page
+// labels them in the visitor's language (assets/success.js).
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+// Relative to the site root (also the function's working directory on Netlify)
+const DEFAULT_BOOK_FILE = resolve("netlify/functions/data/value-book.csv");
+
+export const DEFAULT_RULES = {
+  spreadPct: 7,
+  roundTo: 100,
+  minValue: 500,
+  yearStepPct: 9,   // neighbouring model years in the book, per year of difference
+  maxYearGap: 2,
+  mileage: { perMile: 0.08, capPct: 25 },
+  adjustments: [
+    { id: "title", field: "title", values: { Rebuilt: { pct: -30 }, Salvage: { pct: -50 } } },
+    { id: "accident", field: "accident", values: { Yes: { pct: -10 } } },
+    { id: "warnings", field: "warnings", values: { Yes: { amount: -750 } } },
+    { id: "tires", field: "tires", values: { Worn: { amount: -300 }, "Needs Replacement": { amount: -700 } } },
+    { id: "brakes", field: "brakes", values: { Worn: { amount: -200 }, "Needs Replacement": { amount: -500 } } },
+    { id: "keys", field: "keys", ranges: [{ max: 0, amount: -500 }, { max: 1, amount: -250 }] },
+    { id: "owners", field: "owners", ranges: [{ min: 4, pct: -6 }, { min: 3, pct: -3 }] },
+  ],
+};
+
+const norm = (v) => String(v ?? "").trim().toLowerCase();
+const num = (v) => {
+  const s = String(v ?? "").replace(/[,$\s]/g, "");
+  return s === "" ? NaN : Number(s);
+};
+
+/** Minimal CSV (quoted fields, "" escapes) -> array of objects keyed by header */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((f) => f.trim())) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some((f) => f.trim())) rows.push(row);
+
+  const [header = [], ...body] = rows;
+  const keys = header.map((h) => h.trim());
+  return body.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
+
+/**
+ * Loads a value book from CSV or JSON.
+ * @param {string} [file]
+ * @returns {Array<{year: number, make: string, model: string, trim: string, value: number, mileage: number}>}
+ */
+export function loadBook(file = process.env.VALUATION_BOOK_FILE || DEFAULT_BOOK_FILE) {
+  const text = readFileSync(file, "utf8");
+  const raw = /\.json$/i.test(file) ? JSON.parse(text) : parseCsv(text);
+  return raw
+    .map((r) => ({
+      year: num(r.year),
+      make: String(r.make || "").trim(),
+      model: String(r.model || "").trim(),
+      trim: String(r.trim || "").trim(),
+      value: num(r.value),
+      mileage: num(r.mileage),
+    }))
+    .filter((r) => Number.isInteger(r.year) && r.make && r.model && Number.isFinite(r.value));
+}
+
+/**
+ * Loads the rules config (DEFAULT_RULES merged with overrides).
+ * @param {object} [env]
+ */
+export function loadRules(env = process.env) {
+  let raw = {};
+  try {
+    if (env.VALUATION_RULES) raw = JSON.parse(env.VALUATION_RULES);
+    else if (env.VALUATION_RULES_FILE) raw = JSON.parse(readFileSync(env.VALUATION_RULES_FILE, "utf8"));
+  } catch (error) {
+    console.error("Invalid valuation rules, using defaults:", error.message);
+    raw = {};
+  }
+  return {
+    ...DEFAULT_RULES,
+    ...raw,
+    mileage: { ...DEFAULT_RULES.mileage, ...(raw.mileage || {}) },
+    adjustments: raw.adjustments || DEFAULT_RULES.adjustments,
+  };
+}
+
+/**
+ * Finds the book row for a vehicle: exact trim, then any-trim, then the
+ * nearest model year within maxYearGap.
+ * @returns {{row: object, yearGap: number} | null}
+ */
+export function lookupBase(book, { year, make, model, trim }, { maxYearGap = DEFAULT_RULES.maxYearGap } = {}) {
+  const y = num(year);
+  const candidates = book.filter((r) => norm(r.make) === norm(make) && norm(r.model) === norm(model));
+  if (!candidates.length || !Number.isInteger(y)) return null;
+
+  const pick = (rows) => rows.find((r) => norm(r.trim) === norm(trim) && norm(trim)) || rows.find((r) => !r.trim);
+  const exact = pick(candidates.filter((r) => r.year === y));
+  if (exact) return { row: exact, yearGap: 0 };
+
+  const byDistance = [...new Set(candidates.map((r) => r.year))]
+    .filter((ry) => Math.abs(ry - y) <= maxYearGap)
+    .sort((a, b) => Math.abs(a - y) - Math.abs(b - y) || b - a);
+  for (const ry of byDistance) {
+    const row = pick(candidates.filter((r) => r.year === ry));
+    if (row) return { row, yearGap: y - ry };
+  }
+  return null;
+}
+
+/** First matching value/range for one adjustment rule, or null */
+function matchAdjustment(rule, lead) {
+  const raw = lead[rule.field];
+  if (rule.values) {
+    const key = Object.keys(rule.values).find((k) => norm(k) === norm(raw));
+    return key ? rule.values[key] : null;
+  }
+  if (rule.ranges) {
+    const n = num(raw);
+    if (!Number.isFinite(n)) return null;
+    return rule.ranges.find((r) => (r.min === undefined || n >= r.min) && (r.max === undefined || n <= r.max)) || null;
+  }
+  return null;
+}
+
+/**
+ * Estimates a trade-in range.
+ * @param {object} lead - Normalized lead (lib/lead-schema.js).
+ * @param {{book?: Array<object>, rules?: object}} [options]
+ * @returns {{ok: true, currency: string, low: number, high: number, value: number,
+ *            base: object, adjustments: Array<{id: string, miles?: number, answer?: string, amount: number}>}
+ *          | {ok: false, reason: "missing_vehicle"|"not_in_book"}}
+ */
+export function estimateValue(lead, { book = loadBook(), rules = loadRules() } = {}) {
+  if (!lead.year || !lead.make || !lead.model) return { ok: false, reason: "missing_vehicle" };
+
+  const hit = lookupBase(book, lead, rules);
+  if (!hit) return { ok: false, reason: "not_in_book" };
+
+  const { row, yearGap } = hit;
+  const round = (n) => Math.round(n);
+  const base = round(row.value * (1 + (rules.yearStepPct / 100) * yearGap));
+  const adjustments = [];
+
+  // Mileage vs. the book's mileage for that year
+  const miles = num(lead.mileage);
+  if (Number.isFinite(miles) && Number.isFinite(row.mileage)) {
+    const delta = row.mileage - miles;
+    const cap = (base * rules.mileage.capPct) / 100;
+    const amount = round(Math.max(-cap, Math.min(cap, delta * rules.mileage.perMile)));
+    if (amount) adjustments.push({ id: "mileage", miles, amount });
+  }
+
+  for (const rule of rules.adjustments) {
+    const match = matchAdjustment(rule, lead);
+    if (!match) continue;
+    const amount = round(match.pct !== undefined ? (base * match.pct) / 100 : Number(match.amount) || 0);
+    if (amount) adjustments.push({ id: rule.id, answer: String(lead[rule.field]), amount });
+  }
+
+  const value = Math.max(rules.minValue, base + adjustments.reduce((sum, a) => sum + a.amount, 0));
+  const to = (n) => Math.max(rules.minValue, Math.round(n / rules.roundTo) * rules.roundTo);
+
+  return {
+    ok: true,
+    currency: "USD",
+    low: to(value * (1 - rules.spreadPct / 100)),
+    high: to(value * (1 + rules.spreadPct / 100)),
+    value: to(value),
+    base: {
+      value: base,
+      book: { year: row.year, make: row.make, model: row.model, trim: row.trim || null, mileage: row.mileage },
+      yearAdjusted: yearGap !== 0,
+    },
+    adjustments,
+  };
+}
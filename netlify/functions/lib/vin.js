@@ -0,0 +1,43 @@
+// netlify/functions/lib/vin.js
+// Server-side VIN checks (mirrors assets/vin.js): shape + ISO 3779 check digit.
+
+const TRANSLIT = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/**
+ * Computes the position-9 check digit for a 17-character VIN.
+ * @param {string} vin
+ * @returns {string|null} "0"–"9", "X", or null if a character is not allowed.
+ */
+export function computeCheckDigit(vin) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const c = vin[i];
+    const val = c >= "0" && c <= "9" ? Number(c) : TRANSLIT[c];
+    if (val === undefined) return null;
+    sum += val * WEIGHTS[i];
+  }
+  const r = sum % 11;
+  return r === 10 ? "X" : String(r);
+}
+
+/**
+ * Validates a VIN.
+ * @param {string} value
+ * @returns {{ok: true, vin: string} | {ok: false, code: string, message: string}}
+ */
+export function validateVin(value) {
+  const vin = String(value || "").replace(/\s+/g, "").toUpperCase();
+  if (!vin) return { ok: false, code: "required", message: "VIN is required." };
+  if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) {
+    return { ok: false, code: "invalid_format", message: "VIN must be 17 letters/digits (no I, O or Q)." };
+  }
+  if (computeCheckDigit(vin) !== vin[8]) {
+    return { ok: false, code: "invalid_check_digit", message: "VIN check digit does not match." };
+  }
+  return { ok: true, vin };
+}
@@ -0,0 +1,130 @@
+// netlify/functions/lib/vpic.js
+// NHTSA VPIC client: one normalized schema for VIN decodes and model lists,
+// with a small in-memory TTL cache (per warm function instance).
+
+export const DEFAULT_VPIC_BASE_URL = "https://vpic.nhtsa.dot.gov/api/vehicles";
+
+/**
+ * Tiny TTL cache with oldest-first eviction once `maxEntries` is reached.
+ * @param {{ttlMs: number, maxEntries?: number, now?: () => number}} options
+ */
+export function createTtlCache({ ttlMs, maxEntries = 500, now = Date.now }) {
+  const store = new Map();
+
+  return {
+    get(key) {
+      const hit = store.get(key);
+      if (!hit) return undefined;
+      if (hit.expires <= now()) {
+        store.delete(key);
+        return undefined;
+      }
+      return hit.value;
+    },
+    set(key, value) {
+      if (store.has(key)) store.delete(key);
+      else if (store.size >= maxEntries) store.delete(store.keys().next().value);
+      store.set(key, { value, expires: now() + ttlMs });
+    },
+    clear() {
+      store.clear();
+    },
+    get size() {
+      return store.size;
+    },
+  };
+}
+
+const clean = (v) => (v === undefined || v === null ? "" : String(v).trim());
+
+/**
+ * Builds a readable engine description, e.g. "2.0L 4-cyl Turbo (K20C4)".
+ * @param {object} row - A VPIC DecodeVinValuesExtended result row.
+ * @returns {string}
+ */
+function describeEngine(row) {
+  const disp = Number(clean(row.DisplacementL));
+  const parts = [];
+  if (disp) parts.push(`${disp.toFixed(1)}L`);
+  if (clean(row.EngineCylinders)) parts.push(`${clean(row.EngineCylinders)}-cyl`);
+  if (/yes|turbo/i.test(clean(row.Turbo))) parts.push("Turbo");
+  if (clean(row.EngineModel)) parts.push(`(${clean(row.EngineModel)})`);
+  return parts.join(" ");
+}
+
+/**
+ * Maps a raw VPIC VIN decode row onto our normalized schema.
+ * @param {string} vin
+ * @param {object} row - `Results[0]` from DecodeVinValuesExtended.
+ * @returns {object}
+ */
+export function normalizeVinRow(vin, row = {}) {
+  const errorCodes = clean(row.ErrorCode)
+    .split(",")
+    .map((c) => c.trim())
+    .filter((c) => c && c !== "0");
+
+  return {
+    vin,
+    year: clean(row.ModelYear || row.Model_Year),
+    make: clean(row.Make),
+    model: clean(row.Model),
+    trim: clean(row.Trim || row.Series),
+    bodyClass: clean(row.BodyClass),
+    drivetrain: clean(row.DriveType),
+    engine: describeEngine(row),
+    fuelType: clean(row.FuelTypePrimary),
+    errorCodes,
+    errorText: errorCodes.length ? clean(row.ErrorText) : "",
+  };
+}
+
+/**
+ * Creates a VPIC client bound to an upstream base URL (injectable for local stubs).
+ * @param {{baseUrl?: string, ttlMs?: number, timeoutMs?: number, fetchImpl?: Function, cache?: object}} options
+ */
+export function createVpicClient({
+  baseUrl = DEFAULT_VPIC_BASE_URL,
+  ttlMs = 24 * 60 * 60 * 1000,
+  timeoutMs = 10000,
+  fetchImpl = fetch,
+  cache = createTtlCache({ ttlMs }),
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function getJson(url) {
+    const res = await fetchImpl(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`VPIC HTTP ${res.status}`);
+    return res.json();
+  }
+
+  async function cached(key, load) {
+    const hit = cache.get(key);
+    if (hit) return { ...hit, cached: true };
+    const value = await load();
+    cache.set(key, value);
+    return { ...value, cached: false };
+  }
+
+  return {
+    decodeVin(vin) {
+      return cached(`vin:${vin}`, async () => {
+        const data = await getJson(`${root}/decodevinvaluesextended/${encodeURIComponent(vin)}?format=json`);
+        return normalizeVinRow(vin, (data && data.Results && data.Results[0]) || {});
+      });
+    },
+
+    getModels(make, year) {
+      return cached(`models:${make.toLowerCase()}:${year}`, async () => {
+        const data = await getJson(
+          `${root}/getmodelsformakeyear/make/${encodeURIComponent(make)}/modelyear/${encodeURIComponent(year)}?format=json`
+        );
+        const models = [...new Set(((data && data.Results) || [])
+          .map((r) => clean(r.Model_Name || r.Model))
+          .filter(Boolean))]
+          .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+        return { make, year, models };
+      });
+    },
+  };
+}
@@ -0,0 +1,127 @@
+// netlify/functions/lib/webhooks.js
+// Signed outgoing webhooks. Every lead event is wrapped in a versioned envelope
+// and POSTed to each subscribed target with an HMAC-SHA256 signature header;
+// the secret never travels in the URL. Delivery and retries go through
+// lib/deliveries.js.
+//
+// Environment:
+// WEBHOOK_TARGETS: JSON array of targets:
+//   [{ "name": "sheets", "url": "https://…", "secret": "…", "events": ["lead.created"] }]
+//   "events" is optional (default: every event).
+// SHEETS_WEBHOOK_URL / SHEETS_SHARED_SECRET: Legacy single target, kept working
+//   as a target named "sheets" (the secret is now used for signing only).
+//
+// Request headers:
+//   X-Quirk-Event:     lead.created | lead.updated
+//   X-Quirk-Delivery:  Envelope id (stable across retries; dedupe on it)
+//   X-Quirk-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+//
+// Envelope:
+//   { "version": 1, "id": "evt_…", "type": "lead.created", "createdAt": ISO, "data": { "lead": {…} } }
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+
+export const ENVELOPE_VERSION = 1;
+export const EVENT_TYPES = ["lead.created", "lead.updated"];
+export const SIGNATURE_HEADER = "X-Quirk-Signature";
+
+/**
+ * Loads webhook targets from the environment.
+ * @param {object} [env]
+ * @returns {Array<{name: string, url: string, secret: string, events: string[]}>}
+ */
+export function loadWebhookTargets(env = process.env) {
+  let targets = [];
+  try {
+    if (env.WEBHOOK_TARGETS) targets = JSON.parse(env.WEBHOOK_TARGETS);
+  } catch (error) {
+    console.error("Invalid WEBHOOK_TARGETS, ignoring:", error.message);
+  }
+  if (env.SHEETS_WEBHOOK_URL && !targets.some((t) => t.name === "sheets")) {
+    targets.push({ name: "sheets", url: env.SHEETS_WEBHOOK_URL, secret: env.SHEETS_SHARED_SECRET });
+  }
+
+  return targets
+    .filter((t) => t && t.url)
+    .map((t, i) => ({
+      name: String(t.name || `target-${i + 1}`),
+      url: t.url,
+      secret: t.secret || "",
+      events: t.events?.length ? t.events : EVENT_TYPES,
+    }));
+}
+
+/**
+ * Builds a versioned event envelope. The id is derived from its inputs so a
+ * retried handler produces the same id (receivers dedupe on it).
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {object} lead - Lead data, including its `id`.
+ * @param {string} [createdAt]
+ */
+export function buildEnvelope(type, lead, createdAt = new Date().toISOString()) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown webhook event "${type}"`);
+  const id = `evt_${createHash("sha256").update(`${type}|${lead.id}|${createdAt}`).digest("hex").slice(0, 24)}`;
+  return { version: ENVELOPE_VERSION, id, type, createdAt, data: { lead } };
+}
+
+/**
+ * Signature header value for a body.
+ * @param {string} body - Exact bytes being sent.
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds.
+ */
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * POSTs one envelope to one target, signed at send time so each retry carries
+ * a fresh timestamp. Throws on HTTP errors.
+ * @param {{name: string, url: string, secret: string}} target
+ * @param {string} body - JSON envelope.
+ */
+export async function sendWebhook(target, body) {
+  const envelope = JSON.parse(body);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "quirk-trade-appraisal-webhooks",
+    "X-Quirk-Event": envelope.type,
+    "X-Quirk-Delivery": envelope.id,
+  };
+  if (target.secret) headers[SIGNATURE_HEADER] = signPayload(body, target.secret);
+
+  const res = await fetch(target.url, { method: "POST", headers, body });
+  if (!res.ok) throw new Error(`Webhook ${target.name} responded HTTP ${res.status}`);
+}
+
+/**
+ * Receiving side: checks a request's signature and freshness.
+ * Accepts several v1 values (secret rotation: sign with old and new).
+ * @param {string} body - Raw request body, unparsed.
+ * @param {string} header - X-Quirk-Signature value.
+ * @param {string} secret
+ * @param {{toleranceSeconds?: number, now?: number}} [options] - now in unix seconds.
+ * @returns {{ok: true, envelope: object} | {ok: false, reason: string}}
+ */
+export function verifyWebhook(body, header, secret, { toleranceSeconds = 300, now = Math.floor(Date.now() / 1000) } = {}) {
+  if (!header || !secret) return { ok: false, reason: "missing_signature" };
+
+  const parts = String(header).split(",").map((p) => p.trim().split("="));
+  const timestamp = Number(parts.find(([k]) => k === "t")?.[1]);
+  const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v);
+  if (!Number.isInteger(timestamp) || !signatures.length) return { ok: false, reason: "malformed_signature" };
+  if (Math.abs(now - timestamp) > toleranceSeconds) return { ok: false, reason: "expired" };
+
+  const expected = Buffer.from(signPayload(body, secret, timestamp).split("v1=")[1], "hex");
+  const match = signatures.some((sig) => {
+    const given = Buffer.from(sig, "hex");
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  });
+  if (!match) return { ok: false, reason: "bad_signature" };
+
+  try {
+    return { ok: true, envelope: JSON.parse(body) };
+  } catch {
+    return { ok: false, reason: "invalid_json" };
+  }
+}
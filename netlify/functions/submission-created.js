@@ -1,50 +1,178 @@
 // netlify/functions/submission-created.js
-import sg from "@sendgrid/mail";
+import { validateLead } from "./lib/lead-schema.js";
+import { renderLeadEmail } from "./lib/lead-email.js";
+import { getTransport } from "./lib/mailer.js";
+import { adfAttachment, buildAdf } from "./lib/adf.js";
+import { FALLBACK_TO, loadRoutingConfig, resolveRoute, routeRecipients } from "./lib/routing.js";
+import { openStore } from "./lib/store.js";
+import { leadIdFromRef, newLeadId, saveLead } from "./lib/leads.js";
+import { deliverLead, emitLeadEvent, isLeadEmailHandled } from "./lib/deliveries.js";
+import { customerConfirmation } from "./lib/customer-email.js";
+import { assessLead, isDisposableEmail } from "./lib/spam.js";
+import { markSubmissionProcessed, rawBody, verifySubmissionEvent } from "./lib/submission-auth.js";
+import { galleryLink, handOffLeadPhotos, stageLeadPhotos } from "./lib/photo-store.js";
 
 // --- Configuration ---
 // Ensure your environment variables are set in the Netlify UI:
-// SENDGRID_API_KEY: Your SendGrid API key.
+// MAIL_TRANSPORT (+ SENDGRID_API_KEY / SMTP_*): See lib/mailer.js.
 // FROM_EMAIL: A verified sender email address in your SendGrid account.
-// TO_EMAIL: A comma-separated list of recipient email addresses.
-const TO_EMAILS = (process.env.TO_EMAIL || "steve@quirkcars.com,gmcintosh@quirkcars.com,lmendez@quirkcars.com").split(',');
+// LEAD_ROUTES / LEAD_ROUTES_FILE / TO_EMAIL: Recipients per lead; see lib/routing.js.
+// STORE_DRIVER / LEAD_DEDUPE_WINDOW_MINUTES: Lead persistence; see lib/store.js and lib/leads.js.
+// DELIVERY_* / ADF_CRM_URL: Queued deliveries; see lib/deliveries.js.
+// WEBHOOK_TARGETS / SHEETS_WEBHOOK_URL: Signed lead webhooks; see lib/webhooks.js.
+// CUSTOMER_EMAIL (+ CUSTOMER_EMAIL_*): Confirmation to the customer; see lib/customer-email.js.
+// FORM_TOKEN_SECRET / SPAM_* / DISPOSABLE_EMAIL_*: Spam scoring + quarantine; see lib/spam.js.
+// SUBMISSION_WEBHOOK_SECRET / SUBMISSION_MAX_AGE_SECONDS: Event signature + replay checks;
+//   see lib/submission-auth.js.
+// GALLERY_SECRET / GALLERY_TTL_DAYS / PHOTO_MAX_MB: Photo store + gallery link; see lib/photo-store.js.
 const FROM_EMAIL = process.env.FROM_EMAIL;
-const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
+const ROUTING = loadRoutingConfig(process.env, { fallbackTo: FALLBACK_TO.netlifyForms });
 
-sg.setApiKey(SENDGRID_API_KEY || "");
+// Per-form processors, keyed by Netlify form name. Each gets the verified
+// submission payload and returns the function response. Other dealership forms
+// get their own entry; a form without one is acknowledged and left alone, so
+// it never fires the trade-in email.
+const FORM_PROCESSORS = {
+  "trade-appraisal": processTradeAppraisal,
+};
 
 /**
  * Main function handler for the 'submission-created' event.
  */
 export async function handler(event) {
-  // 1. Check for required configuration
-  if (!SENDGRID_API_KEY || !FROM_EMAIL || TO_EMAILS.length === 0) {
-    console.error("Missing required environment variables (SENDGRID_API_KEY, FROM_EMAIL, TO_EMAIL).");
-    return {
-      statusCode: 500,
-      body: "Server configuration error: Missing API keys or email configuration.",
-    };
+  // 1. Only events Netlify signed, fresh and not seen before (lib/submission-auth.js)
+  const auth = await verifySubmissionEvent(event);
+  if (!auth.ok) {
+    console.warn(JSON.stringify({ event: "submission.rejected", reason: auth.reason }));
+    return { statusCode: 401, body: "Unauthorized" };
   }
 
   // 2. Safely parse the incoming submission data
   let payload;
   try {
-    payload = JSON.parse(event.body || "{}").payload || {};
+    payload = JSON.parse(rawBody(event) || "{}").payload || {};
   } catch (error) {
     console.error("Invalid webhook payload:", error);
     return { statusCode: 400, body: "Invalid webhook payload" };
   }
 
+  // 3. Hand it to its form's processor
+  const formName = String(payload.form_name || payload.data?.["form-name"] || "");
+  const processor = Object.hasOwn(FORM_PROCESSORS, formName) ? FORM_PROCESSORS[formName] : null;
+  if (!processor) {
+    console.log(JSON.stringify({ event: "submission.ignored", form: formName }));
+    return { statusCode: 200, body: "ok (no processor for this form)" };
+  }
+  const response = await processor(payload, { event });
+
+  // Remembered only once handled, so Netlify can retry a failed run
+  if (response.statusCode < 500) {
+    try {
+      await markSubmissionProcessed(event, auth.id);
+    } catch (error) {
+      console.error("Could not record processed submission:", error.message);
+    }
+  }
+  return response;
+}
+
+/**
+ * The trade-in form: validate, persist, then email the routed desk with photos
+ * and an ADF lead for the CRM.
+ * @param {object} payload - Netlify submission payload ({ data, files, created_at, … }).
+ * @param {{event: object}} context
+ * @returns {Promise<{statusCode: number, body: string, headers?: object}>}
+ */
+async function processTradeAppraisal(payload, { event }) {
+  // 1. Check for required configuration
+  const { configError } = getTransport();
+  if (configError || !FROM_EMAIL) {
+    console.error(`Missing required environment variables (${configError || "FROM_EMAIL"}).`);
+    return {
+      statusCode: 500,
+      body: "Server configuration error: Missing API keys or email configuration.",
+    };
+  }
+
   const data = payload.data || {};
   const files = payload.files || [];
 
-  // 3. Generate email content from form data
-  const { subject, htmlBody, textBody } = createEmailContent(data);
+  // Validate + normalize every declared field (lib/lead-schema.js). The
+  // customer has already seen the success page, so a lead that fails is still
+  // delivered, with its problems flagged for the desk to check.
+  const { lead: { leadRef, formToken, ...lead }, errors } = validateLead(data);
+  if (!errors.length && isDisposableEmail(lead.email)) {
+    errors.push({ field: "email", code: "disposable_email", message: "Please use a permanent email address." });
+  }
+  if (errors.length) {
+    console.warn(JSON.stringify({ event: "lead.flagged", errors: errors.map((e) => `${e.field}:${e.code}`) }));
+  }
+  Object.assign(data, lead);
+  delete data.leadRef;
+  delete data.formToken;
+  const submittedAt = payload.created_at || new Date().toISOString();
+  const reservedId = leadIdFromRef(leadRef);
+  const fileRefs = files.map(({ url, filename, type, size }) => ({ url, filename, type, size }));
+
+  // Suspicious (lib/spam.js): keep it for staff review in the inbox, email nothing
+  const { score, reasons, quarantine, fillSeconds } = assessLead(lead, { formToken });
+  if (quarantine) {
+    let leadId = reservedId;
+    try {
+      const { record } = await saveLead(openStore("leads", { event }), { ...lead, submittedAt }, { id: reservedId, files: fileRefs, quarantine: { score, reasons } });
+      leadId = record.id;
+    } catch (error) {
+      console.error("Lead store error (quarantined lead dropped):", error.message);
+    }
+    console.warn(JSON.stringify({ event: "lead.quarantined", leadId, score, reasons, fillSeconds }));
+    return { statusCode: 200, body: "ok (quarantined)" };
+  }
+
+  // 2. Persist under a lead ID (the reference shown on the confirmation page
+  // when there is one); repeats of a recent lead are merged, and only sent if
+  // the first attempt never got its email out or queued
+  let leadId;
+  try {
+    const { record, duplicate } = await saveLead(openStore("leads", { event }), { ...lead, submittedAt }, { id: reservedId, files: fileRefs });
+    leadId = record.id;
+    if (duplicate) {
+      console.log(JSON.stringify({ event: "lead.duplicate", leadId }));
+      await emitLeadEvent({ event, type: "lead.updated", lead: { ...record.data, id: leadId }, createdAt: record.updatedAt });
+      if (await isLeadEmailHandled({ event, leadId })) {
+        // New photos join the gallery the first email already links
+        if (files.length && process.env.GALLERY_SECRET && await stageLeadPhotos(files, { leadId, event })) {
+          await handOffLeadPhotos(leadId, { event });
+        }
+        return { statusCode: 200, body: "ok (duplicate)" };
+      }
+      console.warn(JSON.stringify({ event: "lead.redelivering", leadId }));
+    }
+  } catch (error) {
+    // A storage outage must not lose the lead: carry on with an unsaved ID
+    leadId = reservedId || newLeadId();
+    console.error("Lead store error (continuing unsaved):", error.message);
+  }
+
+  // 3. Copy the photos into our store under the lead ID, with thumbnails and
+  // web-sized versions (lib/photo-store.js). The email links a signed gallery
+  // instead of carrying them. They are staged here and stored in the
+  // background, and the email is held until they are; if they can't even be
+  // staged they are attached.
+  const gallery = files.length && process.env.GALLERY_SECRET && await stageLeadPhotos(files, { leadId, event })
+    ? galleryLink(leadId)
+    : null;
+  const unstored = gallery ? [] : files;
+
+  // 4. Generate email content from form data (shared with trade-appraisal)
+  const email = renderLeadEmail(data, { files, submittedAt, leadId, gallery, flags: errors });
 
-  // 4. Process and fetch file attachments
+  // 5. Process and fetch file attachments (plus the ADF/XML lead for the CRM)
+  const adf = buildAdf({ ...data, submittedAt }, { id: leadId, files, galleryUrl: gallery?.url });
+  const adfFile = adfAttachment(adf, data);
   let attachments = [];
-  if (files.length > 0) {
+  if (unstored.length > 0) {
     try {
-      attachments = await processAttachments(files);
+      attachments = await processAttachments(unstored);
     } catch (error) {
       console.error("Failed to process attachments:", error);
       // Decide if you still want to send the email without attachments
@@ -52,76 +180,52 @@ export async function handler(event) {
     }
   }
 
-  const filesHtml = files.length > 0
-    ? `<ul>${files.map(f => `<li><a href="${f.url}">${f.filename || f.url}</a></li>`).join("")}</ul>`
-    : `<p>No photos uploaded.</p>`;
+  if (adfFile) attachments.push(adfFile);
 
-  // 5. Send the email using SendGrid
+  // 6. Email the routed desk, post ADF to the CRM, confirm to the customer
+  // (when enabled) and send signed webhooks.
+  // Deliveries are queued and retried on a schedule (lib/deliveries.js), so a
+  // provider outage delays the lead instead of losing it.
+  const route = resolveRoute(data, ROUTING);
+  let delivered = false;
   try {
-    await sg.send({
-      to: TO_EMAILS,
-      from: FROM_EMAIL,
-      subject,
-      text: `${textBody}\n\nPhotos:\n${files.map(f => f.url).join("\n") || "No photos uploaded."}`,
-      html: `${htmlBody}<h3 style="margin-top:16px;">Photos</h3>${filesHtml}`,
-      attachments: attachments.length ? attachments : undefined,
+    await deliverLead({
+      event,
+      leadId,
+      message: {
+        ...routeRecipients(route),
+        from: FROM_EMAIL,
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+        attachments: attachments.length ? attachments : undefined,
+      },
+      adf,
+      lead: { ...lead, submittedAt, fileUrls: files.map((f) => f.url) },
+      // Not to an address that failed the checks
+      confirmation: errors.some((e) => e.field === "email") ? null : customerConfirmation(lead, { leadId, route }),
+      holdEmail: Boolean(gallery),
     });
+    delivered = true;
   } catch (error) {
-    // Log detailed error information from SendGrid
-    console.error("SendGrid API Error:", JSON.stringify(error.response?.body || error.message, null, 2));
-    return { statusCode: 502, body: "Failed to send email via provider." };
+    // Neither sent nor queued: log detailed error information from the provider
+    console.error("Mail transport error:", JSON.stringify(error.response?.body || error.message, null, 2));
   }
 
-  // 6. (Optional) Trigger backup webhook
-  await triggerBackupWebhook(data, files);
+  // Staged photos are stored either way; then the held email is sent
+  if (gallery) await handOffLeadPhotos(leadId, { event, releaseEmail: true });
 
+  // Netlify retries the event, which takes the duplicate path and delivers it
+  if (!delivered) return { statusCode: 502, body: "Failed to send email via provider." };
   return { statusCode: 200, body: "ok" };
 }
 
 
 /**
- * Creates the subject, HTML body, and text body for the email.
- * @param {object} data - The form submission data.
- * @returns {{subject: string, htmlBody: string, textBody: string}}
- */
-function createEmailContent(data) {
-  const included = new Set(["form-name", "company", "bot-field", "honeypot"]);
-  const rows = [];
-  const hasVal = (v) => v !== undefined && v !== null && String(v).trim() !== "";
-
-  // Sort keys for consistent email layout
-  Object.keys(data).sort().forEach(k => {
-    if (included.has(k)) return;
-    const v = data[k];
-    if (hasVal(v)) {
-      rows.push([k, Array.isArray(v) ? v.join(", ") : String(v)]);
-    }
-  });
-
-  const htmlEscape = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-
-  const htmlBody = `
-    <h2 style="margin:0 0 12px 0;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;">New Trade-In Lead</h2>
-    <table cellpadding="6" cellspacing="0" border="0" style="border-collapse:collapse;">
-      ${rows.map(([k, v]) => `
-        <tr>
-          <th align="left" style="text-transform:capitalize;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:14px;color:#111827;padding:6px 10px 6px 0;">${htmlEscape(k)}</th>
-          <td style="font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:14px;color:#111827;padding:6px 0;">${htmlEscape(v)}</td>
-        </tr>
-      `).join("")}
-    </table>
-  `;
-
-  const textBody = rows.map(([k, v]) => `${k}: ${v}`).join("\n");
-  const subject = `New Trade-In Lead – ${data.year || ""} ${data.make || ""} ${data.model || ""}`.replace(/\s+/g, " ").trim();
-
-  return { subject, htmlBody, textBody };
-}
-
-/**
- * Fetches uploaded files and prepares them for SendGrid attachments.
+ * Fetches uploaded files and prepares them as (SendGrid-style) mail attachments:
+ * the fallback when the gallery is off or a photo couldn't be stored.
  * @param {Array<object>} files - Array of file objects from Netlify.
- * @returns {Promise<Array<object>>} - A promise that resolves to an array of SendGrid attachment objects.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of attachment objects.
  */
 async function processAttachments(files) {
   const MAX_ATTACH = 10;
@@ -171,31 +275,3 @@ async function processAttachments(files) {
   const results = await Promise.all(fetchPromises);
   return results.filter(Boolean); // Filter out any nulls from failed fetches/skips
 }
-
-/**
- * (Optional) Sends submission data to a backup service like Google Sheets.
- * @param {object} data - The form submission data.
- * @param {Array<object>} files - The array of file objects.
- */
-async function triggerBackupWebhook(data, files) {
-  if (!process.env.SHEETS_WEBHOOK_URL) return;
-
-  try {
-    const fileUrls = files.map(f => f.url);
-    const lead = { ...data, fileUrls, _ts: new Date().toISOString() };
-    const secret = process.env.SHEETS_SHARED_SECRET;
-    let url = process.env.SHEETS_WEBHOOK_URL;
-    if (secret) {
-      url += `?secret=${encodeURIComponent(secret)}`;
-    }
-
-    await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(lead),
-    });
-  } catch (error) {
-    // Log but do not fail the function if the backup fails
-    console.warn("Backup webhook failed:", error);
-  }
-}
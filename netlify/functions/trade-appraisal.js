@@ -1,143 +1,213 @@
 // netlify/functions/trade-appraisal.js
-import sg from "@sendgrid/mail";
-sg.setApiKey(process.env.SENDGRID_API_KEY || "");
+// POST /api/trade-appraisal: the page's fetch submit (assets/app.js) sends the
+// form as multipart/form-data with its photos; JSON bodies are accepted too.
+// Replies { ok, leadId } or 422 { ok: false, errors: [{ field, code, message }] };
+// 429 when the caller's IP or email is over its limit (lib/rate-limit.js);
+// 502 { ok: false, leadId } only when the dealership email could be neither
+// sent nor queued, in which case sending the form again delivers it.
+//
+// Abuse checks, cheapest first: origin allow-list (lib/cors.js), honeypot,
+// validation, disposable email, per-IP and per-email limits, then the spam score
+// (lib/spam.js); a suspicious lead is quarantined for review instead of emailed.
+// Only submissions that pass validation count against the per-IP limit; rejected
+// ones (honeypot, unreadable body, invalid fields) have their own, looser bucket,
+// so a visitor fixing a typo doesn't use up their submissions.
+//
+// Environment:
+// ALLOWED_ORIGINS: See lib/cors.js.
+// RATE_LIMIT_*: See lib/rate-limit.js.
+// RATE_LIMIT_REJECTED_IP: Rejected submissions per IP per hour (default 30).
+// FORM_TOKEN_SECRET / SPAM_* / DISPOSABLE_EMAIL_*: See lib/spam.js.
+// GALLERY_SECRET / GALLERY_TTL_DAYS / PHOTO_MAX_MB: See lib/photo-store.js.
+import { LEAD_FIELDS, isHoneypotTripped, validateLead } from "./lib/lead-schema.js";
+import { renderLeadEmail } from "./lib/lead-email.js";
+import { adfAttachment, buildAdf } from "./lib/adf.js";
+import { loadRoutingConfig, resolveRoute, routeRecipients } from "./lib/routing.js";
+import { openStore } from "./lib/store.js";
+import { leadIdFromRef, newLeadId, saveLead } from "./lib/leads.js";
+import { deliverLead, emitLeadEvent, isLeadEmailHandled } from "./lib/deliveries.js";
+import { customerConfirmation } from "./lib/customer-email.js";
+import { parseFormBody } from "./lib/form-body.js";
+import { cors } from "./lib/cors.js";
+import { checkRateLimit, clientIp, openCounters } from "./lib/rate-limit.js";
+import { assessLead, isDisposableEmail } from "./lib/spam.js";
+import { galleryLink, handOffLeadPhotos, stageLeadPhotos } from "./lib/photo-store.js";
+
+const ROUTING = loadRoutingConfig();
+const MAX_PHOTOS = 24; // same cap as assets/photos.js
 
 export async function handler(event) {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "content-type",
-  };
+  const { allowed, origin, headers } = cors(event);
 
   // CORS / method guard
+  if (!allowed) {
+    console.warn(JSON.stringify({ event: "lead.origin_blocked", origin }));
+    return { statusCode: 403, headers, body: "Forbidden" };
+  }
   if (event.httpMethod === "OPTIONS") return { statusCode: 200, headers, body: "ok" };
   if (event.httpMethod !== "POST") return { statusCode: 405, headers, body: "Method Not Allowed" };
 
-  // Parse JSON body
-  let data;
-  try {
-    data = JSON.parse(event.body || "{}");
-  } catch {
-    return { statusCode: 400, headers, body: "Invalid JSON" };
-  }
+  // A broken counter store must not turn leads away
+  const limited = async (subject, options) => {
+    try {
+      const result = await checkRateLimit(openCounters({ event }), subject, options);
+      if (result.ok) return null;
+      console.warn(JSON.stringify({ event: "lead.rate_limited", scope: result.scope }));
+      return {
+        statusCode: 429,
+        headers: { ...headers, "Content-Type": "application/json", "Retry-After": String(result.retryAfter) },
+        body: JSON.stringify({ ok: false, error: "rate_limited" }),
+      };
+    } catch (e) {
+      console.error("Rate limit error (allowing):", e.message);
+      return null;
+    }
+  };
+  const ip = clientIp(event);
+  // Counts a rejected attempt; the 429 replaces the rejection once over the limit
+  const rejected = async (response) => (await limited({ ip }, {
+    bucket: "rejected",
+    limits: { ip: { max: Number(process.env.RATE_LIMIT_REJECTED_IP) || 30, windowSeconds: 3600 } },
+  })) || response;
+
+  // Parse the body (JSON or multipart with photos)
+  const parsed = await parseFormBody(event);
+  if (!parsed.ok) return rejected({ statusCode: parsed.status, headers, body: parsed.error });
+  const { data } = parsed;
+  // Only the declared photo inputs, and only images
+  const uploads = parsed.files
+    .filter((f) => LEAD_FIELDS[f.field]?.type === "file" && f.type.startsWith("image/"))
+    .slice(0, MAX_PHOTOS);
 
   // Honeypot (silent success)
-  if ((data.company || "").trim()) {
-    return { statusCode: 200, headers, body: JSON.stringify({ ok: true, silent: true }) };
+  if (isHoneypotTripped(data)) {
+    return rejected({ statusCode: 200, headers, body: JSON.stringify({ ok: true, silent: true }) });
   }
 
-  // Helpers
-  const safe = (v) => (typeof v === "string" ? v.trim() : "");
-  const digits = (v) => safe(v).replace(/\D/g, "");
-
-  // Normalize the core fields we care about
-  const lead = {
-    name: safe(data.name),
-    email: safe(data.email),
-    phone: digits(data.phoneRaw || data.phone).slice(0, 15),
-    vin: safe((data.vin || "").toUpperCase()),
-    year: safe(data.year),
-    make: safe(data.make),
-    model: safe(data.model),
-    trim: safe(data.trim),
-    mileage: safe(data.mileage),
-    extColor: safe(data.extColor),
-    intColor: safe(data.intColor),
-    submittedAt: new Date().toISOString(),
-    referrer: safe(data.referrer),
-    landingPage: safe(data.landingPage),
-  };
+  // Validate + normalize every declared field (lib/lead-schema.js)
+  const { lead: { leadRef, formToken, ...valid }, errors } = validateLead(data);
+  if (!errors.length && isDisposableEmail(valid.email)) {
+    errors.push({ field: "email", code: "disposable_email", message: "Please use a permanent email address." });
+  }
+  if (errors.length) {
+    return rejected({
+      statusCode: 422,
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ ok: false, errors }),
+    });
+  }
+  const overLimit = await limited({ ip, email: valid.email });
+  if (overLimit) return overLimit;
+
+  const lead = { ...valid, submittedAt: new Date().toISOString() };
+  const reservedId = leadIdFromRef(leadRef);
+  const files = uploads.map(({ field, filename, type, size }) => ({ field, filename, type, size }));
+
+  // Suspicious: keep it for staff review, send nothing. The reply looks the same
+  // as for a real lead so bots learn nothing from it.
+  const { score, reasons, quarantine, fillSeconds } = assessLead(lead, { formToken });
+  if (quarantine) {
+    let leadId = reservedId || newLeadId();
+    try {
+      const { record } = await saveLead(openStore("leads", { event }), lead, { id: reservedId, files, quarantine: { score, reasons } });
+      leadId = record.id;
+    } catch (e) {
+      console.error("Lead store error (quarantined lead dropped):", e.message);
+    }
+    console.warn(JSON.stringify({ event: "lead.quarantined", leadId, score, reasons, fillSeconds }));
+    return { statusCode: 200, headers, body: JSON.stringify({ ok: true, leadId }) };
+  }
 
-  // Required
-  if (!lead.name || !lead.email || !lead.phone || !lead.vin) {
-    return { statusCode: 400, headers, body: "Missing required fields" };
+  // Persist under a lead ID (lib/leads.js), reusing the reference the page
+  // already showed. A repeat of a recent lead is merged into it and only sent
+  // if the first attempt never got its email out or queued; a storage outage
+  // must not lose the email.
+  let leadId;
+  try {
+    const { record, duplicate } = await saveLead(openStore("leads", { event }), lead, { id: reservedId, files });
+    leadId = record.id;
+    if (duplicate) {
+      console.log(JSON.stringify({ event: "lead.duplicate", leadId }));
+      await emitLeadEvent({ event, type: "lead.updated", lead: { ...record.data, id: leadId }, createdAt: record.updatedAt });
+      if (await isLeadEmailHandled({ event, leadId })) {
+        // New photos join the gallery the first email already links
+        if (uploads.length && process.env.GALLERY_SECRET && await stageLeadPhotos(uploads, { leadId, event })) {
+          await handOffLeadPhotos(leadId, { event });
+        }
+        return { statusCode: 200, headers, body: JSON.stringify({ ok: true, leadId, duplicate: true }) };
+      }
+      console.warn(JSON.stringify({ event: "lead.redelivering", leadId }));
+    }
+  } catch (e) {
+    leadId = reservedId || newLeadId();
+    console.error("Lead store error (continuing unsaved):", e.message);
   }
 
-  // Build a human-readable email containing ALL fields we received.
-  // Start with a preferred display order for key fields, then append any extras.
-  const preferredOrder = [
-    "name","email","phone","vin","year","make","model","trim","mileage",
-    "extColor","intColor","title","keys","owners","accident","accidentRepair",
-    "warnings","mech","cosmetic","interior","mods","smells","service",
-    "tires","brakes","wear","utmSource","utmMedium","utmCampaign","utmTerm","utmContent",
-    "referrer","landingPage","submittedAt"
-  ];
+  // Photos go to our store with thumbnails + web sizes (lib/photo-store.js) and
+  // the email links a signed gallery. They are staged here and stored in the
+  // background, and the email is held until they are; if they can't even be
+  // staged they are attached.
+  const gallery = uploads.length && process.env.GALLERY_SECRET && await stageLeadPhotos(uploads, { leadId, event })
+    ? galleryLink(leadId)
+    : null;
+  const unstored = gallery ? [] : uploads;
 
   // Merge lead (normalized) over raw data so we don’t lose normalized values
   const merged = { ...data, ...lead };
-
-  // Build rows: first preferred fields that exist, then any remaining custom fields
-  const included = new Set();
-  const rows = [];
-
-  preferredOrder.forEach((k) => {
-    if (merged[k] !== undefined && merged[k] !== null && String(merged[k]).trim() !== "") {
-      rows.push([k, String(merged[k])]);
-      included.add(k);
-    }
-  });
-
-  Object.keys(merged)
-    .filter((k) => !included.has(k))
-    .sort()
-    .forEach((k) => {
-      const val = merged[k];
-      if (val !== undefined && val !== null && String(val).trim() !== "") {
-        rows.push([k, String(val)]);
-      }
-    });
-
-  const htmlEscape = (s) => String(s)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
-
-  const htmlTable = `
-    <h2 style="margin:0 0 12px 0;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;">New Trade-In Lead</h2>
-    <p style="margin:0 0 16px 0;color:#374151;">
-      ${[lead.year, lead.make, lead.model].filter(Boolean).join(" ")} ${lead.trim ? `– ${htmlEscape(lead.trim)}` : ""}
-    </p>
-    <table cellpadding="6" cellspacing="0" border="0" style="border-collapse:collapse;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;font-size:14px;">
-      ${rows.map(([k,v]) => `
-        <tr>
-          <th align="left" style="text-transform:capitalize;vertical-align:top;color:#111827;padding:6px 10px 6px 0;">${htmlEscape(k)}</th>
-          <td style="vertical-align:top;color:#111827;padding:6px 0;">${htmlEscape(v)}</td>
-        </tr>
-      `).join("")}
-    </table>
-    <p style="margin-top:16px;color:#6B7280;font-size:12px;">Submitted at ${htmlEscape(lead.submittedAt)}</p>
-  `;
-
-  const textLines = rows.map(([k,v]) => `${k}: ${v}`).join("\n");
-  const subjectLine = `New Trade-In Lead — ${lead.name} — ${[lead.year, lead.make, lead.model].filter(Boolean).join(" ")}`.trim();
-
-  // === Send to Steve only (no VinSolutions) ===
+  const email = renderLeadEmail(merged, { leadId, files: gallery ? files : [], gallery });
+  const adf = buildAdf(merged, { id: leadId, galleryUrl: gallery?.url });
+  const adfFile = adfAttachment(adf, merged);
+  const attachments = [...unstored.map(toAttachment), ...(adfFile ? [adfFile] : [])];
+
+  // === Email the routed desk, post ADF to the CRM, confirm to the customer, send signed webhooks ===
+  // Each delivery is queued with an idempotency key and retried on a schedule
+  // (lib/deliveries.js), so a provider outage delays a lead instead of losing it.
+  const route = resolveRoute(merged, ROUTING);
+  let outcome = null;
   try {
-    await sg.send({
-      to: "steve@quirkcars.com",
-      from: process.env.FROM_EMAIL, // must be a verified sender/domain in SendGrid
-      subject: subjectLine,
-      text: textLines,
-      html: htmlTable,
-      // replyTo: "sales@quirkcars.com", // optional
+    outcome = await deliverLead({
+      event,
+      leadId,
+      message: {
+        ...routeRecipients(route),
+        from: process.env.FROM_EMAIL, // must be a verified sender/domain in SendGrid
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+        attachments: attachments.length ? attachments : undefined,
+      },
+      adf,
+      lead,
+      confirmation: customerConfirmation(lead, { leadId, route }),
+      holdEmail: Boolean(gallery),
     });
   } catch (e) {
-    return { statusCode: 502, headers, body: "Failed to send lead" };
+    console.error("Mail transport error:", e.response?.body || e.message);
   }
 
-  // Optional Google Sheets backup (unchanged)
-  try {
-    if (process.env.SHEETS_WEBHOOK_URL) {
-      const u = process.env.SHEETS_SHARED_SECRET
-        ? `${process.env.SHEETS_WEBHOOK_URL}?secret=${encodeURIComponent(process.env.SHEETS_SHARED_SECRET)}`
-        : process.env.SHEETS_WEBHOOK_URL;
-
-      await fetch(u, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(lead),
-      });
-    }
-  } catch (_) { /* ignore backup errors */ }
+  // Staged photos are stored either way; then the held email is sent
+  if (gallery) await handOffLeadPhotos(leadId, { event, releaseEmail: true });
+
+  if (!outcome) {
+    // Neither sent nor queued. The lead may be saved, but nobody has been told:
+    // a resubmission takes the duplicate path above and delivers it.
+    return {
+      statusCode: 502,
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ ok: false, error: "delivery_failed", leadId }),
+    };
+  }
 
-  return { statusCode: 200, headers, body: JSON.stringify({ ok: true }) };
+  const queued = outcome.email === "retrying";
+  return { statusCode: 200, headers, body: JSON.stringify({ ok: true, leadId, ...(queued ? { queued } : {}) }) };
+}
+
+/** An uploaded photo as a (SendGrid-style) mail attachment */
+function toAttachment(file) {
+  return {
+    content: file.content.toString("base64"),
+    filename: file.filename,
+    type: file.type,
+    disposition: "attachment",
+  };
 }
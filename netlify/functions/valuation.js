@@ -0,0 +1,42 @@
+// netlify/functions/valuation.js
+// Instant estimate for the success page: POST the form fields, get back a
+// low/high range with its breakdown (lib/valuation.js).
+//   POST /api/valuation  { year, make, model, trim, mileage, title, accident, … }
+//
+// Environment:
+// VALUATION_BOOK_FILE / VALUATION_RULES / VALUATION_RULES_FILE: See lib/valuation.js.
+import { validateLead } from "./lib/lead-schema.js";
+import { estimateValue, loadBook, loadRules } from "./lib/valuation.js";
+
+// Read once per cold start; redeploy (or restart) to pick up a new book
+let book;
+let rules;
+
+export async function handler(event) {
+  const headers = { "Content-Type": "application/json" };
+  const json = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+  if (event.httpMethod !== "POST") return json(405, { error: "Method Not Allowed" });
+
+  let data;
+  try {
+    data = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { error: "Invalid JSON" });
+  }
+
+  // Normalize the way the lead handlers do; contact fields aren't needed here
+  const { lead, errors } = validateLead(data);
+  const vehicleErrors = errors.filter((e) => ["year", "make", "model", "mileage", "keys", "owners"].includes(e.field));
+  if (vehicleErrors.length) return json(422, { ok: false, errors: vehicleErrors });
+
+  try {
+    book = book || loadBook();
+    rules = rules || loadRules();
+  } catch (error) {
+    console.error("Valuation book unavailable:", error.message);
+    return json(503, { ok: false, reason: "unavailable" });
+  }
+
+  return json(200, estimateValue(lead, { book, rules }));
+}
@@ -0,0 +1,69 @@
+// netlify/functions/vpic.js
+// Proxies NHTSA VPIC so the browser gets one normalized, cached schema.
+//   GET /api/vin/:vin                 -> { vin, year, make, model, trim, bodyClass, drivetrain, engine, fuelType, errorCodes, errorText }
+//   GET /api/models?make=&year=       -> { make, year, models: [] }
+//
+// Environment:
+// VPIC_BASE_URL: Upstream base URL (defaults to NHTSA; point at a local stub for testing).
+// VPIC_CACHE_TTL_SECONDS: How long decoded results are cached (default 86400).
+// ALLOWED_ORIGINS: Pages allowed to call it; see lib/cors.js.
+import { createVpicClient, DEFAULT_VPIC_BASE_URL } from "./lib/vpic.js";
+import { cors } from "./lib/cors.js";
+
+const VIN_SHAPE = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+/**
+ * Builds a handler bound to a VPIC client; tests can pass their own client or base URL.
+ * @param {{client?: object, baseUrl?: string, ttlSeconds?: number}} options
+ */
+export function createHandler({
+  baseUrl = process.env.VPIC_BASE_URL || DEFAULT_VPIC_BASE_URL,
+  ttlSeconds = Number(process.env.VPIC_CACHE_TTL_SECONDS) || 86400,
+  client = createVpicClient({ baseUrl, ttlMs: ttlSeconds * 1000 }),
+} = {}) {
+  return async function handler(event) {
+    const access = cors(event, { methods: "GET, OPTIONS" });
+    const headers = { ...access.headers, "Content-Type": "application/json" };
+    const json = (statusCode, body, extra = {}) => ({
+      statusCode,
+      headers: { ...headers, ...extra },
+      body: JSON.stringify(body),
+    });
+
+    if (!access.allowed) {
+      console.warn(JSON.stringify({ event: "vpic.origin_blocked", origin: access.origin }));
+      return json(403, { error: "Forbidden" });
+    }
+    if (event.httpMethod === "OPTIONS") return { statusCode: 200, headers, body: "ok" };
+    if (event.httpMethod !== "GET") return json(405, { error: "Method Not Allowed" });
+
+    const path = event.path || "";
+    const query = event.queryStringParameters || {};
+    const cacheHeaders = { "Cache-Control": `public, max-age=${ttlSeconds}` };
+
+    try {
+      // /api/vin/:vin (or ?vin=)
+      const vinMatch = path.match(/\/vin\/([^/]+)\/?$/);
+      if (vinMatch || query.vin) {
+        const vin = decodeURIComponent(vinMatch ? vinMatch[1] : query.vin).trim().toUpperCase();
+        if (!VIN_SHAPE.test(vin)) return json(400, { error: "Invalid VIN" });
+        return json(200, await client.decodeVin(vin), cacheHeaders);
+      }
+
+      // /api/models?make=&year=
+      if (/\/models\/?$/.test(path)) {
+        const make = (query.make || "").trim();
+        const year = (query.year || "").trim();
+        if (!make || !/^\d{4}$/.test(year)) return json(400, { error: "make and a 4-digit year are required" });
+        return json(200, await client.getModels(make, year), cacheHeaders);
+      }
+    } catch (err) {
+      console.error("VPIC proxy error:", err);
+      return json(502, { error: "VIN service unavailable" });
+    }
+
+    return json(404, { error: "Not Found" });
+  };
+}
+
+export const handler = createHandler();
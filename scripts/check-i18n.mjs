@@ -0,0 +1,108 @@
+// scripts/check-i18n.mjs
+// Checks the locale bundles in assets/i18n/ against each other and the pages.
+//   npm run check:i18n
+//
+// Errors (exit 1):
+//   missing       Key used in markup (data-i18n*) or code (i18nText/i18nSet/QuirkI18n.t) but not in en.json
+//   untranslated  Key in en.json that another locale lacks or leaves empty
+//   syntax        Message that isn't valid ICU (per assets/i18n.js)
+//   arguments     Translation whose {arguments} differ from the English message
+//   unlisted      Locale in LOCALES (assets/i18n.js) with no bundle file
+// Warnings:
+//   stale         Key in a locale but not in en.json
+//   unused        Key in en.json that nothing references
+import { readFileSync, readdirSync } from "node:fs";
+import { join, resolve } from "node:path";
+import vm from "node:vm";
+
+const ROOT = resolve(import.meta.dirname, "..");
+const BUNDLE_DIR = join(ROOT, "assets/i18n");
+const PAGES = ["index.html", "success/index.html"];
+const REFERENCE = "en";
+
+// Reuse the browser module's parser so the check and the page agree
+const sandbox = { window: {}, console, Intl };
+vm.runInNewContext(readFileSync(join(ROOT, "assets/i18n.js"), "utf8"), sandbox);
+const { parse, LOCALES } = sandbox.window.QuirkI18n;
+
+const bundles = Object.fromEntries(
+  readdirSync(BUNDLE_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => [f.replace(/\.json$/, ""), JSON.parse(readFileSync(join(BUNDLE_DIR, f), "utf8"))])
+);
+
+/** Keys referenced by markup and scripts */
+function usedKeys() {
+  const used = new Set();
+  const add = (re, text) => { for (const m of text.matchAll(re)) used.add(m[1]); };
+
+  for (const page of PAGES) {
+    add(/data-i18n(?:-placeholder|-aria-label|-title)?="([^"]+)"/g, readFileSync(join(ROOT, page), "utf8"));
+  }
+  for (const file of readdirSync(join(ROOT, "assets")).filter((f) => f.endsWith(".js"))) {
+    const code = readFileSync(join(ROOT, "assets", file), "utf8");
+    add(/\b(?:i18nText|QuirkI18n\.t)\(\s*["']([\w.-]+)["']/g, code);
+    add(/\b(?:i18nSet|QuirkI18n\.set)\(\s*[^,()]+,\s*["']([\w.-]+)["']/g, code);
+  }
+  return used;
+}
+
+/** Argument names in a message, sorted ("{count, plural, …}" -> ["count"]) */
+function argumentsOf(message) {
+  const names = new Set();
+  const walk = (nodes) => nodes.forEach((n) => {
+    if (typeof n === "string") return;
+    if (n.name) names.add(n.name);
+    if (n.options) Object.values(n.options).forEach(walk);
+  });
+  walk(parse(message));
+  return [...names].sort().join(",");
+}
+
+const errors = [];
+const warnings = [];
+const reference = bundles[REFERENCE] || {};
+
+for (const lang of LOCALES) {
+  if (!bundles[lang]) errors.push(`unlisted: LOCALES has "${lang}" but assets/i18n/${lang}.json is missing`);
+}
+
+const used = usedKeys();
+for (const key of used) {
+  if (!(key in reference)) errors.push(`missing: "${key}" is used but not in ${REFERENCE}.json`);
+}
+for (const key of Object.keys(reference)) {
+  if (!used.has(key)) warnings.push(`unused: "${key}" in ${REFERENCE}.json is never referenced`);
+}
+
+for (const [lang, bundle] of Object.entries(bundles)) {
+  for (const [key, message] of Object.entries(bundle)) {
+    try {
+      parse(message);
+    } catch (err) {
+      errors.push(`syntax: ${lang}.json "${key}": ${err.message}`);
+    }
+  }
+  if (lang === REFERENCE) continue;
+
+  for (const [key, message] of Object.entries(reference)) {
+    const own = bundle[key];
+    if (typeof own !== "string" || !own.trim()) {
+      errors.push(`untranslated: "${key}" has no ${lang} translation`);
+      continue;
+    }
+    try {
+      const want = argumentsOf(message);
+      const got = argumentsOf(own);
+      if (want !== got) errors.push(`arguments: ${lang}.json "${key}" uses {${got}}, English uses {${want}}`);
+    } catch (_) { /* reported as syntax above */ }
+  }
+  for (const key of Object.keys(bundle)) {
+    if (!(key in reference)) warnings.push(`stale: "${key}" in ${lang}.json is not in ${REFERENCE}.json`);
+  }
+}
+
+warnings.forEach((w) => console.warn(`warning  ${w}`));
+errors.forEach((e) => console.error(`error    ${e}`));
+console.log(`${Object.keys(bundles).length} locales, ${Object.keys(reference).length} keys: ${errors.length} errors, ${warnings.length} warnings`);
+process.exitCode = errors.length ? 1 : 0;
@@ -0,0 +1,29 @@
+// scripts/hash-password.mjs
+// Prints the passwordHash for an ADMIN_USERS entry (lib/admin-auth.js).
+//   npm run hash-password            (prompts; input is not echoed)
+//   echo -n 'secret' | npm run hash-password
+import { createInterface } from "node:readline";
+import { hashPassword } from "../netlify/functions/lib/admin-auth.js";
+
+/** Piped input as-is (minus a trailing newline), or a hidden prompt on a terminal */
+async function readPassword() {
+  if (!process.stdin.isTTY) {
+    let input = "";
+    for await (const chunk of process.stdin) input += chunk;
+    return input.replace(/\r?\n$/, "");
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl._writeToOutput = (text) => { if (text.includes("Password")) process.stdout.write(text); };
+  const answer = await new Promise((resolve) => rl.question("Password: ", resolve));
+  rl.close();
+  process.stdout.write("\n");
+  return answer;
+}
+
+const password = await readPassword();
+if (!password) {
+  console.error("No password given.");
+  process.exitCode = 1;
+} else {
+  console.log(await hashPassword(password));
+}
@@ -0,0 +1,91 @@
+// test/adf.test.js
+// The ADF 1.0 XML posted to the CRM (lib/adf.js): a snapshot of a full lead,
+// escaping of customer input and the condition mapping.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { adfAttachment, adfCondition, buildAdf } from "../netlify/functions/lib/adf.js";
+import { matchSnapshot } from "./helpers/snapshot.js";
+
+const ENV = {}; // vendor/provider defaults, whatever the shell has set
+
+const LEAD = {
+  name: "Jane Doe",
+  phone: "+16036234411",
+  email: "jane@example.com",
+  vin: "1HGCM82633A004352",
+  mileage: "40250",
+  year: "2018",
+  make: "Honda",
+  model: "Accord",
+  trim: "EX-L",
+  extColor: "Blue",
+  intColor: "Black",
+  keys: "2",
+  title: "Clean",
+  owners: "1",
+  accident: "Yes",
+  accidentRepair: "Rear bumper replaced",
+  warnings: "No",
+  tires: "Good",
+  brakes: "Worn",
+  utmSource: "google",
+  utmMedium: "cpc",
+  utmCampaign: "spring",
+  landingPage: "https://trade.example.com/?utm_source=google",
+  submittedAt: "2026-10-19T14:05:00.000Z",
+};
+
+test("full lead", () => {
+  const files = [{ url: "https://uploads.example/front.jpg" }, { url: "https://uploads.example/odo.jpg" }];
+  matchSnapshot("adf/full.xml", buildAdf(LEAD, { id: "QT-261019-7K2M", files, env: ENV }));
+});
+
+test("a gallery link stands in for the file URLs", () => {
+  const xml = buildAdf(LEAD, {
+    id: "QT-261019-7K2M",
+    files: [{ url: "https://uploads.example/front.jpg" }],
+    galleryUrl: "https://trade.example.com/api/gallery?token=abc.def",
+    env: ENV,
+  });
+  assert.match(xml, /Photos: https:\/\/trade\.example\.com\/api\/gallery\?token=abc\.def/);
+  assert.ok(!xml.includes("uploads.example"));
+});
+
+test("escapes &, <, > and quotes in customer fields and attributes", () => {
+  const xml = buildAdf({
+    ...LEAD,
+    name: `Tom "T" O'Neil & <Sons>`,
+    model: "F-150 <Lariat>",
+    mech: `Knock at idle & "ticks"`,
+  }, { id: `QT-1"&<`, env: { ADF_PROVIDER_NAME: `Quirk's "Tool"` } });
+
+  assert.ok(xml.includes(`<name part="full">Tom &quot;T&quot; O&apos;Neil &amp; &lt;Sons&gt;</name>`));
+  assert.ok(xml.includes("<model>F-150 &lt;Lariat&gt;</model>"));
+  assert.ok(xml.includes("Mechanical: Knock at idle &amp; &quot;ticks&quot;"));
+  assert.ok(xml.includes(`<id sequence="1" source="Quirk&apos;s &quot;Tool&quot;">QT-1&quot;&amp;&lt;</id>`));
+  // Nothing raw left between the tags
+  for (const [, text] of xml.matchAll(/>([^<]*)</g)) assert.ok(!/[<>"']|&(?!amp;|lt;|gt;|quot;|apos;)/.test(text), text);
+});
+
+test("leaves out empty fields", () => {
+  const xml = buildAdf({ name: "Sam", year: "2015", make: "Ford", submittedAt: LEAD.submittedAt }, { env: ENV });
+  assert.ok(!xml.includes("<vin>"));
+  assert.ok(!xml.includes("<colorcombination>"));
+  assert.ok(!xml.includes("<odometer"));
+  assert.ok(xml.includes("<condition>unknown</condition>"));
+});
+
+test("maps condition answers onto the ADF scale", () => {
+  assert.equal(adfCondition({ title: "Clean", tires: "Good" }), "good");
+  assert.equal(adfCondition({ title: "Clean", accident: "Yes" }), "fair");
+  assert.equal(adfCondition({ title: "Rebuilt", accident: "Yes", warnings: "Yes" }), "poor");
+  assert.equal(adfCondition({ title: "Salvage" }), "poor");
+  assert.equal(adfCondition({}), "unknown");
+});
+
+test("attaches the XML unless ADF_ATTACH=false", () => {
+  const attachment = adfAttachment("<adf/>", LEAD, {});
+  assert.equal(attachment.filename, "trade-lead-1HGCM82633A004352.xml");
+  assert.equal(Buffer.from(attachment.content, "base64").toString("utf8"), "<adf/>");
+  assert.equal(adfAttachment("<adf/>", LEAD, { ADF_ATTACH: "false" }), null);
+});
@@ -0,0 +1,60 @@
+// test/admin-auth.test.js
+// Staff sign-in (lib/admin-auth.js): scrypt password hashes, sessions, and the
+// per-account sign-in limit on POST /api/admin/login.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { authenticate, hashPassword, loadAdminUsers, login, verifyPassword } from "../netlify/functions/lib/admin-auth.js";
+
+const hash = await hashPassword("correct horse");
+const ENV = {
+  ADMIN_SECRET: "test-secret",
+  ADMIN_USERS: JSON.stringify([{ email: "Steve@Quirk.test", name: "Steve", passwordHash: hash }]),
+};
+
+test("hashes with a fresh salt and verifies", async () => {
+  assert.match(hash, /^scrypt:[\w-]+:[\w-]+$/);
+  assert.notEqual(await hashPassword("correct horse"), hash);
+  assert.equal(await verifyPassword("correct horse", hash), true);
+  assert.equal(await verifyPassword("wrong", hash), false);
+  assert.equal(await verifyPassword("correct horse", "correct horse"), false, "a plaintext value is not a hash");
+  assert.equal(await verifyPassword("x", "scrypt:abc:short"), false);
+});
+
+test("ignores accounts with a plaintext password", (t) => {
+  t.mock.method(console, "error", () => {});
+  const users = loadAdminUsers({ ADMIN_USERS: JSON.stringify([{ email: "old@quirk.test", password: "hunter2" }]) });
+  assert.deepEqual(users, []);
+  assert.match(console.error.mock.calls[0].arguments[0], /old@quirk\.test has a plaintext password/);
+});
+
+test("signs in with the right password and authenticates the session", async () => {
+  const session = await login(" steve@quirk.test ", "correct horse", ENV);
+  assert.equal(session.ok, true);
+  assert.deepEqual(session.user, { email: "steve@quirk.test", name: "Steve" });
+
+  const auth = authenticate({ headers: { authorization: `Bearer ${session.token}` } }, ENV);
+  assert.deepEqual(auth, { ok: true, user: { email: "steve@quirk.test", name: "Steve" } });
+});
+
+test("rejects a wrong password or unknown account", async () => {
+  assert.deepEqual(await login("steve@quirk.test", "wrong", ENV), { ok: false });
+  assert.deepEqual(await login("nobody@quirk.test", "correct horse", ENV), { ok: false });
+});
+
+test("limits sign-in attempts per account", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  Object.assign(process.env, ENV, { RATE_LIMIT_DRIVER: "memory", ADMIN_LOGIN_LIMIT_EMAIL: "3" });
+  const { handler } = await import("../netlify/functions/admin.js");
+  const attempt = (password) => handler({
+    httpMethod: "POST",
+    path: "/api/admin/login",
+    headers: { "x-nf-client-connection-ip": "203.0.113.9" },
+    body: JSON.stringify({ email: "steve@quirk.test", password }),
+  });
+
+  for (let i = 0; i < 3; i++) assert.equal((await attempt("wrong")).statusCode, 401);
+  const limited = await attempt("correct horse");
+  assert.equal(limited.statusCode, 429);
+  assert.ok(Number(limited.headers["Retry-After"]) > 0);
+  assert.match(JSON.parse(limited.body).error, /Too many sign-in attempts/);
+});
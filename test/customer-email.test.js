@@ -0,0 +1,73 @@
+// test/customer-email.test.js
+// The customer confirmation (lib/customer-email.js) in English and Spanish:
+// snapshots of each, and the form's own wording from assets/i18n/.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { customerConfirmation, customerLang, renderCustomerEmail } from "../netlify/functions/lib/customer-email.js";
+import { matchSnapshot } from "./helpers/snapshot.js";
+
+const bundle = (code) => JSON.parse(readFileSync(new URL(`../assets/i18n/${code}.json`, import.meta.url), "utf8"));
+
+const LEAD = {
+  name: "Jane Doe",
+  phone: "+16036234411",
+  email: "jane@example.com",
+  vin: "1HGCM82633A004352",
+  mileage: "40250",
+  year: "2018",
+  make: "Honda",
+  model: "Accord",
+  trim: "EX-L",
+  keys: "2",
+  title: "Clean",
+  accident: "Yes",
+  accidentRepair: "Rear bumper replaced",
+  mech: "None",
+};
+const LEAD_ID = "QT-261019-7K2M";
+
+/** Subject, text and HTML as one snapshot each */
+function snapshotEmail(name, email) {
+  matchSnapshot(`customer-email/${name}.txt`, `Subject: ${email.subject}\n\n${email.text}\n`);
+  matchSnapshot(`customer-email/${name}.html`, email.html);
+}
+
+for (const code of ["en", "es"]) {
+  test(`${code}: confirmation`, () => {
+    const email = renderCustomerEmail({ ...LEAD, lang: code }, { leadId: LEAD_ID });
+    assert.equal(email.lang, code);
+    snapshotEmail(code, email);
+  });
+
+  test(`${code}: disclaimer, labels and answers read as on the form`, () => {
+    const strings = bundle(code);
+    const { text, html } = renderCustomerEmail({ ...LEAD, lang: code }, { leadId: LEAD_ID });
+    assert.ok(text.includes(strings.finalDisclaimer));
+    assert.ok(text.includes(`${strings.makeLabel}: Honda`));
+    assert.ok(text.includes(`${strings.titleStatus}: ${strings.titleClean}`));
+    assert.ok(text.includes(`${strings.accidentLabel} ${strings.optYes}`), "no colon after a question");
+    assert.ok(text.includes("VIN: 1HGCM82633A004352"), "input hints are dropped from labels");
+    assert.ok(!html.includes("Jane Doe"), "greets by first name only");
+  });
+}
+
+test("picks the language from the submitted lang", () => {
+  assert.equal(customerLang("es-MX"), "es");
+  assert.equal(customerLang("fr"), "en");
+  assert.equal(customerLang(""), "en");
+  assert.equal(customerLang("es", { CUSTOMER_EMAIL_LANGS: "en" }), "en");
+});
+
+test("confirmation message only when switched on and addressed", () => {
+  const route = { to: ["desk@quirk.test"], replyTo: "sam@quirk.test" };
+  const env = { CUSTOMER_EMAIL: "on", FROM_EMAIL: "leads@quirk.test", CUSTOMER_EMAIL_BCC: "archive@quirk.test" };
+  const message = customerConfirmation(LEAD, { leadId: LEAD_ID, route }, env);
+  assert.equal(message.to, "jane@example.com");
+  assert.equal(message.replyTo, "sam@quirk.test");
+  assert.deepEqual(message.bcc, ["archive@quirk.test"]);
+  assert.match(message.subject, /\[QT-261019-7K2M\]$/);
+
+  assert.equal(customerConfirmation(LEAD, { leadId: LEAD_ID, route }, { ...env, CUSTOMER_EMAIL: "" }), null);
+  assert.equal(customerConfirmation({ ...LEAD, email: "" }, { leadId: LEAD_ID, route }, env), null);
+});
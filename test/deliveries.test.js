@@ -0,0 +1,95 @@
+// test/deliveries.test.js
+// Delivery bookkeeping around a store that fails at chosen points: a message
+// that went out is never sent twice.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// The email runner sends through the process-wide transport
+const sink = await mkdtemp(join(tmpdir(), "quirk-deliveries-test-"));
+process.env.MAIL_TRANSPORT = "file";
+process.env.MAIL_SINK_DIR = sink;
+const { deliver, deliveryStatus, releaseDelivery, retryDue } = await import("../netlify/functions/lib/deliveries.js");
+
+const MESSAGE = { to: "desk@quirk.test", from: "leads@quirk.test", subject: "Lead", text: "Lead" };
+const sent = async () => (await readdir(sink).catch(() => [])).length;
+
+/** In-memory store whose writes throw for keys matching `failWrites` */
+function flakyStore(failWrites) {
+  const data = new Map();
+  const fail = (key) => {
+    if (failWrites && failWrites.test(key)) throw new Error(`store down (${key})`);
+  };
+  return {
+    data,
+    getJSON: async (key) => data.get(key) ?? null,
+    setJSON: async (key, value) => { fail(key); data.set(key, value); },
+    delete: async (key) => { data.delete(key); },
+    list: async (prefix) => [...data.keys()].filter((key) => key.startsWith(prefix)),
+  };
+}
+
+test.after(() => rm(sink, { recursive: true, force: true }));
+
+test("a sent email whose done marker can't be written still counts as sent", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const before = await sent();
+  const store = flakyStore(/^done\//);
+
+  assert.equal(await deliver(store, { key: "QT-1:email", kind: "email", payload: { message: MESSAGE } }), "sent");
+  assert.equal(await sent(), before + 1);
+  assert.equal(store.data.size, 0, "no job is left for the retry schedule to resend");
+  const logged = console.log.mock.calls.map((c) => JSON.parse(c.arguments[0]).event);
+  assert.ok(logged.includes("delivery.unrecorded"));
+});
+
+test("a failed attempt that can't be queued throws, marked as attempted", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const store = flakyStore(/^(job|dead)\//);
+  await assert.rejects(
+    deliver(store, { key: "QT-2:fax", kind: "fax", payload: {} }),
+    (error) => error.attempted === true && /Unknown delivery kind "fax" \(and not queued for retry: store down/.test(error.message)
+  );
+});
+
+test("a key that is already done is not sent again", async () => {
+  const before = await sent();
+  const store = flakyStore();
+  store.data.set("done/QT-3:email", { kind: "email" });
+  assert.equal(await deliver(store, { key: "QT-3:email", kind: "email", payload: { message: MESSAGE } }), "duplicate");
+  assert.equal(await sent(), before);
+});
+
+test("reports where a delivery stands, or null when none was recorded", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const store = flakyStore();
+  assert.equal(await deliveryStatus(store, "QT-4:email"), null);
+  await deliver(store, { key: "QT-4:email", kind: "email", payload: { message: MESSAGE } });
+  assert.equal(await deliveryStatus(store, "QT-4:email"), "done");
+  store.data.set("job/QT-5:email", { key: "QT-5:email", status: "retrying" });
+  assert.equal(await deliveryStatus(store, "QT-5:email"), "retrying");
+  await deliver(store, { key: "QT-6:fax", kind: "fax", payload: {} });
+  assert.equal(await deliveryStatus(store, "QT-6:fax"), "dead");
+});
+
+test("a held email waits for its release, or for the retry schedule once the hold is up", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const before = await sent();
+  const store = flakyStore();
+  const now = new Date("2026-10-19T14:00:00Z");
+  const holdUntil = new Date("2026-10-19T14:15:00Z");
+
+  const job = (key) => ({ key, kind: "email", payload: { message: MESSAGE } });
+  assert.equal(await deliver(store, job("QT-7:email"), { now, holdUntil }), "held");
+  assert.equal(await deliveryStatus(store, "QT-7:email"), "retrying", "counts as handled for a repeat submission");
+  assert.equal(await sent(), before);
+  assert.equal(await releaseDelivery(store, "QT-7:email", { now }), "sent");
+  assert.equal(await releaseDelivery(store, "QT-7:email", { now }), null, "only once");
+
+  await deliver(store, job("QT-8:email"), { now, holdUntil });
+  assert.equal((await retryDue(store, { now })).waiting, 1);
+  assert.equal((await retryDue(store, { now: holdUntil })).sent, 1);
+  assert.equal(await sent(), before + 2);
+});
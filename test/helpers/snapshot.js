@@ -0,0 +1,28 @@
+// test/helpers/snapshot.js
+// File snapshots for node:test (Node 20 has none built in). Each snapshot is a
+// plain file under test/__snapshots__/, so a diff in review shows exactly what
+// the rendered output changed to.
+//   UPDATE_SNAPSHOTS=1 npm test   rewrites them
+// A missing snapshot is written on first run, except under CI where it fails.
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "__snapshots__");
+
+/**
+ * Compares `actual` with the stored snapshot `name` (e.g. "lead-email/full.html").
+ * @param {string} name
+ * @param {string} actual
+ */
+export function matchSnapshot(name, actual) {
+  const file = join(DIR, name);
+  if (process.env.UPDATE_SNAPSHOTS || (!existsSync(file) && !process.env.CI)) {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, actual);
+    return;
+  }
+  assert.ok(existsSync(file), `Missing snapshot ${name}; run the tests once without CI to write it`);
+  assert.equal(actual, readFileSync(file, "utf8"), `Snapshot ${name} changed; UPDATE_SNAPSHOTS=1 rewrites it`);
+}
@@ -0,0 +1,89 @@
+// test/lead-email.test.js
+// Snapshots of the dealership lead email (lib/lead-email.js): subject, plain
+// text and HTML for the photo variants the handlers send.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { photoGroups, renderLeadEmail } from "../netlify/functions/lib/lead-email.js";
+import { matchSnapshot } from "./helpers/snapshot.js";
+
+const LEAD = {
+  name: "Jane Doe",
+  phone: "+16036234411",
+  email: "jane@example.com",
+  lang: "en",
+  vin: "1HGCM82633A004352",
+  mileage: "40250",
+  year: "2018",
+  make: "Honda",
+  model: "Accord",
+  trim: "EX-L",
+  extColor: "Blue",
+  keys: "2",
+  title: "Clean",
+  accident: "Yes",
+  accidentRepair: "Rear bumper replaced\nat a body shop",
+  warnings: "No",
+  mech: "None",
+  tires: "Good",
+  agree: true,
+  utmSource: "google",
+  utmMedium: "cpc",
+  "form-name": "trade-appraisal",
+  company: "",
+  promoCode: "SPRING",
+};
+const SUBMITTED_AT = "2026-10-19T14:05:00.000Z";
+const LEAD_ID = "QT-261019-7K2M";
+
+const FILES = [
+  { field: "photoDamage", filename: "dent.jpg", url: "https://uploads.example/dent.jpg" },
+  { field: "photoExterior", filename: "front.jpg", url: "https://uploads.example/front.jpg" },
+  { field: "photoExterior", filename: "back.jpg", url: "https://uploads.example/back.jpg" },
+  { field: "photoDash", filename: "odo.jpg", url: "https://uploads.example/odo.jpg" },
+  { field: "legacyPhoto", filename: "other.jpg", url: "https://uploads.example/other.jpg" },
+];
+
+/** Subject, text and HTML as one snapshot each */
+function snapshotEmail(name, email) {
+  matchSnapshot(`lead-email/${name}.txt`, `Subject: ${email.subject}\n\n${email.text}\n`);
+  matchSnapshot(`lead-email/${name}.html`, email.html);
+}
+
+test("full lead with linked Netlify uploads", () => {
+  snapshotEmail("uploads", renderLeadEmail(LEAD, { files: FILES, submittedAt: SUBMITTED_AT, leadId: LEAD_ID }));
+});
+
+test("photos behind a gallery link", () => {
+  const photos = FILES.map(({ field, filename }, i) => ({ id: `p${i}`, field, filename }));
+  const gallery = { url: "https://trade.example.com/api/gallery?token=abc.def", expiresAt: "2026-11-18T14:05:00.000Z" };
+  snapshotEmail("gallery", renderLeadEmail(LEAD, { files: photos, submittedAt: SUBMITTED_AT, leadId: LEAD_ID, gallery }));
+});
+
+test("answers that failed validation are flagged", () => {
+  const flags = [
+    { field: "phone", code: "invalid_phone_length", message: "Phone number must have 10 digits." },
+    { field: "email", code: "disposable_email", message: "Please use a permanent email address." },
+  ];
+  snapshotEmail("flagged", renderLeadEmail({ ...LEAD, phone: "123" }, { submittedAt: SUBMITTED_AT, leadId: LEAD_ID, flags }));
+});
+
+test("bare lead without photos or reference", () => {
+  snapshotEmail("minimal", renderLeadEmail({ name: "Sam", year: "2015", make: "Ford" }));
+});
+
+test("escapes customer input in the HTML", () => {
+  const { html, subject } = renderLeadEmail({ ...LEAD, name: `<img src=x onerror="alert(1)">`, mech: "a & b" });
+  assert.ok(!html.includes("<img src=x"));
+  assert.ok(html.includes("&lt;img src=x onerror=&quot;alert(1)&quot;&gt;"));
+  assert.ok(html.includes("a &amp; b"));
+  assert.ok(subject.startsWith(`New Trade-In Lead — <img src=x`), "the subject is plain text");
+});
+
+test("groups photos by category in form order", () => {
+  assert.deepEqual(photoGroups(FILES).map((g) => [g.label, g.files.length]), [
+    ["Exterior", 2],
+    ["Dashboard / Odometer", 1],
+    ["Damage / Flaws", 1],
+    ["Photos", 1],
+  ]);
+});
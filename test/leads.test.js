@@ -0,0 +1,99 @@
+// test/leads.test.js
+// Lead persistence (lib/leads.js): which repeat submissions fold into the
+// original lead, and which reference a lead is saved under. A merged repeat is
+// not emailed again, so these decide what the desk hears about.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getLead, leadIdFromRef, saveLead } from "../netlify/functions/lib/leads.js";
+import { signToken } from "../netlify/functions/lib/tokens.js";
+
+/** In-memory store */
+function memoryStore() {
+  const data = new Map();
+  return {
+    data,
+    getJSON: async (key) => data.get(key) ?? null,
+    setJSON: async (key, value) => { data.set(key, structuredClone(value)); },
+    delete: async (key) => { data.delete(key); },
+    list: async (prefix) => [...data.keys()].filter((key) => key.startsWith(prefix)),
+  };
+}
+
+const LEAD = { name: "Jane Doe", email: "jane@example.com", phone: "+16036234411", vin: "1HGCM82633A004352", year: "2018", make: "Honda" };
+const T0 = new Date("2026-10-19T14:00:00Z");
+const minutes = (n) => new Date(T0.getTime() + n * 60 * 1000);
+
+test("a repeat inside the window merges into the original lead", async () => {
+  const store = memoryStore();
+  const first = await saveLead(store, LEAD, { now: T0, files: [{ filename: "front.jpg" }], windowMinutes: 60 });
+  assert.equal(first.duplicate, false);
+  assert.match(first.record.id, /^QT-261019-[0-9A-Z]{4}$/);
+
+  // Same VIN + email, a new answer and a blank one that must not wipe the old
+  const again = await saveLead(store, { ...LEAD, mileage: "40250", make: "" }, { now: minutes(30), files: [{ filename: "odo.jpg" }], windowMinutes: 60 });
+  assert.equal(again.duplicate, true);
+  assert.equal(again.record.id, first.record.id);
+  assert.equal(again.record.data.mileage, "40250");
+  assert.equal(again.record.data.make, "Honda");
+  assert.deepEqual(again.record.files.map((f) => f.filename), ["front.jpg", "odo.jpg"]);
+  assert.deepEqual(again.record.submissions, [T0.toISOString(), minutes(30).toISOString()]);
+  assert.equal((await store.list("lead/")).length, 1);
+});
+
+test("the same VIN with the same phone under another email still matches", async () => {
+  const store = memoryStore();
+  const first = await saveLead(store, LEAD, { now: T0, windowMinutes: 60 });
+  const again = await saveLead(store, { ...LEAD, email: "jane.doe@work.example" }, { now: minutes(5), windowMinutes: 60 });
+  assert.equal(again.duplicate, true);
+  assert.equal(again.record.id, first.record.id);
+});
+
+test("a repeat outside the window, or for another vehicle, is a new lead", async () => {
+  const store = memoryStore();
+  const first = await saveLead(store, LEAD, { now: T0, windowMinutes: 60 });
+  const later = await saveLead(store, LEAD, { now: minutes(61), windowMinutes: 60 });
+  assert.equal(later.duplicate, false);
+  assert.notEqual(later.record.id, first.record.id);
+
+  // Each submission refreshes the window from its own time
+  const soonAfter = await saveLead(store, LEAD, { now: minutes(90), windowMinutes: 60 });
+  assert.equal(soonAfter.record.id, later.record.id);
+
+  const otherCar = await saveLead(store, { ...LEAD, vin: "1M8GDM9AXKP042788" }, { now: minutes(91), windowMinutes: 60 });
+  assert.equal(otherCar.duplicate, false);
+});
+
+test("quarantined leads are kept out of matching both ways", async () => {
+  const store = memoryStore();
+  const held = await saveLead(store, LEAD, { now: T0, quarantine: { score: 9, reasons: ["honeypot"] } });
+  assert.equal(held.record.status, "quarantined");
+  const real = await saveLead(store, LEAD, { now: minutes(1) });
+  assert.equal(real.duplicate, false);
+  assert.notEqual(real.record.id, held.record.id);
+});
+
+test("a new lead takes the reserved reference; a repeat keeps it as an alias", async () => {
+  const store = memoryStore();
+  const first = await saveLead(store, LEAD, { id: "QT-261019-AAAA", now: T0 });
+  assert.equal(first.record.id, "QT-261019-AAAA");
+
+  const again = await saveLead(store, LEAD, { id: "QT-261019-BBBB", now: minutes(1) });
+  assert.equal(again.record.id, "QT-261019-AAAA");
+  assert.equal((await getLead(store, "QT-261019-BBBB")).id, "QT-261019-AAAA", "the second page's reference still finds it");
+
+  // A reference that is already taken is never overwritten
+  const taken = await saveLead(store, { ...LEAD, vin: "1M8GDM9AXKP042788" }, { id: "QT-261019-AAAA", now: minutes(2) });
+  assert.equal(taken.duplicate, false);
+  assert.notEqual(taken.record.id, "QT-261019-AAAA");
+  assert.equal((await getLead(store, "QT-261019-AAAA")).data.vin, LEAD.vin);
+});
+
+test("only a validly signed reference reserves an ID", () => {
+  const env = { LEAD_REF_SECRET: "ref-secret" };
+  const ref = signToken({ sub: "QT-261019-7K2M" }, env.LEAD_REF_SECRET, { ttlSeconds: 600 });
+  assert.equal(leadIdFromRef(ref, env), "QT-261019-7K2M");
+  assert.equal(leadIdFromRef(ref, { LEAD_REF_SECRET: "other" }), null);
+  assert.equal(leadIdFromRef(ref, {}), null);
+  assert.equal(leadIdFromRef(signToken({ sub: "lead/../x" }, env.LEAD_REF_SECRET, { ttlSeconds: 600 }), env), null);
+  assert.equal(leadIdFromRef(signToken({ sub: "QT-261019-7K2M" }, env.LEAD_REF_SECRET, { ttlSeconds: -1 }), env), null, "expired");
+});
@@ -0,0 +1,152 @@
+// test/mailer.test.js
+// Sends real messages through the file driver (MAIL_TRANSPORT=file) and the
+// SMTP driver (against a minimal in-process SMTP server) and reads back what
+// was written or received.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:net";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createTransport, sendMail } from "../netlify/functions/lib/mailer.js";
+
+const MESSAGE = {
+  to: ["desk@quirk.test", "manager@quirk.test"],
+  cc: "copy@quirk.test",
+  from: "leads@quirk.test",
+  replyTo: "jane@example.com",
+  subject: "New Trade-In Lead — Jane Doe — 2018 Honda Accord",
+  text: "NEW TRADE-IN LEAD\n2018 Honda Accord",
+  html: "<h2>New Trade-In Lead</h2>",
+  attachments: [{
+    content: Buffer.from("<adf></adf>").toString("base64"),
+    filename: "lead.xml",
+    type: "application/xml",
+    disposition: "attachment",
+  }],
+};
+
+/** Headers (unfolded) and the raw source of an RFC 5322 message */
+function parseMessage(source) {
+  const [head] = source.split(/\r?\n\r?\n/);
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const i = line.indexOf(":");
+    headers[line.slice(0, i).toLowerCase()] = line.slice(i + 1).trim();
+  }
+  return { headers, source };
+}
+
+/** Decodes an RFC 2047 encoded-word header ("=?UTF-8?Q?…?=" / "=?UTF-8?B?…?=") */
+function decodeHeader(value) {
+  return value.replace(/=\?UTF-8\?([QB])\?([^?]*)\?=\s*/gi, (_, enc, text) => (enc.toUpperCase() === "B"
+    ? Buffer.from(text, "base64").toString("utf8")
+    : Buffer.from(text.replace(/_/g, " ").replace(/=([0-9A-F]{2})/gi, (m, h) => String.fromCharCode(parseInt(h, 16))), "latin1").toString("utf8")));
+}
+
+function assertMessage({ headers, source }) {
+  assert.equal(headers.from, "leads@quirk.test");
+  assert.equal(headers.to, "desk@quirk.test, manager@quirk.test");
+  assert.equal(headers.cc, "copy@quirk.test");
+  assert.equal(headers["reply-to"], "jane@example.com");
+  assert.equal(decodeHeader(headers.subject), MESSAGE.subject);
+  assert.match(headers["content-type"], /^multipart\/mixed/);
+  assert.ok(source.includes("NEW TRADE-IN LEAD"));
+  assert.ok(source.includes("<h2>New Trade-In Lead</h2>"));
+  assert.match(source, /Content-Type: application\/xml; name=lead\.xml/);
+  assert.match(source, /Content-Disposition: attachment; filename=lead\.xml/);
+  assert.ok(source.includes(Buffer.from("<adf></adf>").toString("base64")));
+}
+
+test("file transport writes the message as an .eml file", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const dir = await mkdtemp(join(tmpdir(), "quirk-mail-test-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  const transport = createTransport({ MAIL_TRANSPORT: "file", MAIL_SINK_DIR: dir });
+  assert.equal(transport.configError, null);
+  const result = await sendMail(MESSAGE, { transport });
+
+  assert.equal(result.transport, "file");
+  const files = await readdir(dir);
+  assert.equal(files.length, 1);
+  assert.match(files[0], /\.eml$/);
+  const message = parseMessage(await readFile(join(dir, files[0]), "utf8"));
+  assert.equal(message.headers["message-id"], result.messageId);
+  assertMessage(message);
+
+  const [logged] = console.log.mock.calls.map((c) => JSON.parse(c.arguments[0]));
+  assert.deepEqual(logged, {
+    event: "mail.sent",
+    transport: "file",
+    messageId: result.messageId,
+    to: MESSAGE.to,
+    subject: MESSAGE.subject,
+    path: join(dir, files[0]),
+  });
+});
+
+/** Just enough SMTP to take one message; resolves each received envelope + data */
+function smtpServer() {
+  const received = [];
+  const server = createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    let mail = { from: "", to: [], data: "" };
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply("220 quirk.test ESMTP");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            received.push(mail);
+            mail = { from: "", to: [], data: "" };
+            reply("250 OK queued");
+          } else {
+            mail.data += `${line.startsWith("..") ? line.slice(1) : line}\r\n`;
+          }
+          continue;
+        }
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === "EHLO" || verb === "HELO") reply("250 quirk.test");
+        else if (verb === "MAIL") { mail.from = line.match(/<([^>]*)>/)[1]; reply("250 OK"); }
+        else if (verb === "RCPT") { mail.to.push(line.match(/<([^>]*)>/)[1]); reply("250 OK"); }
+        else if (verb === "DATA") { inData = true; reply("354 End data with <CR><LF>.<CR><LF>"); }
+        else if (verb === "QUIT") { reply("221 Bye"); socket.end(); }
+        else reply("250 OK");
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({ server, received, port: server.address().port })));
+}
+
+test("smtp transport delivers the message to the server", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { server, received, port } = await smtpServer();
+  t.after(() => server.close());
+
+  const transport = createTransport({ MAIL_TRANSPORT: "smtp", SMTP_HOST: "127.0.0.1", SMTP_PORT: String(port) });
+  assert.equal(transport.configError, null);
+  const result = await sendMail(MESSAGE, { transport });
+
+  assert.equal(result.transport, "smtp");
+  assert.equal(received.length, 1);
+  assert.equal(received[0].from, "leads@quirk.test");
+  assert.deepEqual(received[0].to, ["desk@quirk.test", "manager@quirk.test", "copy@quirk.test"]);
+  const message = parseMessage(received[0].data);
+  assert.equal(message.headers["message-id"], result.messageId);
+  assertMessage(message);
+});
+
+test("reports missing configuration and unknown transports", (t) => {
+  t.mock.method(console, "warn", () => {}); // @sendgrid/mail on an empty key
+  assert.equal(createTransport({ MAIL_TRANSPORT: "smtp" }).configError, "SMTP_URL or SMTP_HOST is not set");
+  assert.equal(createTransport({}).configError, "SENDGRID_API_KEY is not set");
+  assert.equal(createTransport({ SENDGRID_API_KEY: "SG.x" }).name, "sendgrid");
+  assert.throws(() => createTransport({ MAIL_TRANSPORT: "pigeon" }), /Unknown MAIL_TRANSPORT "pigeon"/);
+});
@@ -0,0 +1,106 @@
+// test/submission-auth.test.js
+// Authenticating Netlify's submission-created events (lib/submission-auth.js):
+// the JWS in X-Webhook-Signature, its body hash, freshness and replays.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash, createHmac } from "node:crypto";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { markSubmissionProcessed, verifyJws, verifySubmissionEvent } from "../netlify/functions/lib/submission-auth.js";
+
+const SECRET = "jws-secret";
+const NOW = Date.parse("2026-10-19T14:05:00Z");
+const NOW_SECONDS = NOW / 1000;
+const dir = await mkdtemp(join(tmpdir(), "quirk-submission-test-"));
+const env = { SUBMISSION_WEBHOOK_SECRET: SECRET, STORE_DRIVER: "file", STORE_DIR: dir };
+
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/** Compact JWS the way Netlify signs its webhooks */
+function sign(claims, { alg = "HS256", secret = SECRET } = {}) {
+  const unsigned = `${b64({ alg, typ: "JWT" })}.${b64(claims)}`;
+  return `${unsigned}.${createHmac("sha256", secret).update(unsigned).digest("base64url")}`;
+}
+
+function submission(payload = {}, claims = {}) {
+  const body = JSON.stringify({ payload: { id: "sub_1", created_at: "2026-10-19T14:04:30Z", data: { name: "Jane Doe" }, ...payload } });
+  const sha256 = createHash("sha256").update(body).digest("hex");
+  const token = sign({ iss: "netlify", sha256, iat: NOW_SECONDS - 30, jti: "jti_1", ...claims });
+  return { httpMethod: "POST", headers: { "x-webhook-signature": token }, body };
+}
+
+test("accepts a validly signed, fresh event", async () => {
+  const result = await verifySubmissionEvent(submission(), { env, now: NOW });
+  assert.equal(result.ok, true);
+  assert.match(result.id, /^[0-9a-f]{64}$/);
+
+  const token = sign({ iss: "netlify" });
+  assert.deepEqual(verifyJws(token, SECRET), { ok: true, claims: { iss: "netlify" } });
+});
+
+test("rejects a tampered signature, a wrong secret and a malformed token", async () => {
+  const token = sign({ iss: "netlify" });
+  const [head, claims, sig] = token.split(".");
+  const flipped = (sig[0] === "A" ? "B" : "A") + sig.slice(1);
+  assert.equal(verifyJws(`${head}.${claims}.${flipped}`, SECRET).reason, "bad_signature");
+  assert.equal(verifyJws(`${head}.${b64({ iss: "netlify", admin: true })}.${sig}`, SECRET).reason, "bad_signature");
+  assert.equal(verifyJws(token, "other-secret").reason, "bad_signature");
+  assert.equal(verifyJws(`${head}.${claims}`, SECRET).reason, "malformed");
+  assert.equal(verifyJws("a.b.c", SECRET).reason, "malformed");
+
+  const event = submission();
+  event.headers["x-webhook-signature"] = sign({ iss: "netlify" }, { secret: "other-secret" });
+  assert.deepEqual(await verifySubmissionEvent(event, { env, now: NOW }), { ok: false, reason: "bad_signature" });
+  assert.equal((await verifySubmissionEvent({ ...event, headers: {} }, { env, now: NOW })).reason, "missing_signature");
+});
+
+test("rejects alg none and any algorithm but HS256", () => {
+  const unsigned = `${b64({ alg: "none" })}.${b64({ iss: "netlify" })}`;
+  assert.equal(verifyJws(`${unsigned}.`, SECRET).reason, "bad_algorithm");
+  assert.equal(verifyJws(sign({ iss: "netlify" }, { alg: "HS512" }), SECRET).reason, "bad_algorithm");
+  assert.equal(verifyJws(sign({ iss: "netlify" }, { alg: "RS256" }), SECRET).reason, "bad_algorithm");
+});
+
+test("rejects a body that doesn't match the signed hash, or another issuer", async () => {
+  const event = submission();
+  const tampered = { ...event, body: event.body.replace("Jane", "Joan") };
+  assert.deepEqual(await verifySubmissionEvent(tampered, { env, now: NOW }), { ok: false, reason: "body_mismatch" });
+  assert.equal((await verifySubmissionEvent(submission({}, { iss: "elsewhere" }), { env, now: NOW })).reason, "bad_issuer");
+});
+
+test("rejects stale events by iat, created_at or exp", async () => {
+  const check = (payload, claims) => verifySubmissionEvent(submission(payload, claims), { env, now: NOW }).then((r) => r.reason);
+  assert.equal(await check({}, { iat: NOW_SECONDS - 601 }), "expired");
+  assert.equal(await check({}, { iat: NOW_SECONDS + 120 }), "expired", "too far in the future");
+  assert.equal(await check({}, { exp: NOW_SECONDS - 1 }), "expired");
+  // Without an iat, the submission's own time decides
+  assert.equal(await check({ created_at: "2026-10-19T13:00:00Z" }, { iat: undefined }), "expired");
+  assert.equal(await check({ created_at: undefined }, { iat: undefined }), "no_timestamp");
+  assert.equal((await verifySubmissionEvent(submission({}, { iat: NOW_SECONDS - 601 }), {
+    env: { ...env, SUBMISSION_MAX_AGE_SECONDS: "900" }, now: NOW,
+  })).ok, true);
+});
+
+test("rejects a replay once the event is marked processed", async () => {
+  const event = submission({ id: "sub_replay" }, { jti: "jti_replay" });
+  const first = await verifySubmissionEvent(event, { env, now: NOW });
+  assert.equal(first.ok, true);
+  // Not processed yet: Netlify's retry of a failed run still goes through
+  assert.equal((await verifySubmissionEvent(event, { env, now: NOW })).ok, true);
+
+  await markSubmissionProcessed(event, first.id, { env, now: NOW });
+  assert.deepEqual(await verifySubmissionEvent(event, { env, now: NOW + 1000 }), { ok: false, reason: "replayed" });
+  // The same event under a fresh token is still the same event
+  const resigned = submission({ id: "sub_replay" }, { jti: "jti_replay", iat: NOW_SECONDS - 5 });
+  assert.equal((await verifySubmissionEvent(resigned, { env, now: NOW })).reason, "replayed");
+  assert.equal((await verifySubmissionEvent(submission({ id: "sub_other" }, { jti: "jti_other" }), { env, now: NOW })).ok, true);
+});
+
+test("skips the checks, and says so, when no secret is set", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  assert.deepEqual(await verifySubmissionEvent({ headers: {}, body: "{}" }, { env: {}, now: NOW }), { ok: true, id: null });
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,83 @@
+// test/valuation.test.js
+// Instant estimates (lib/valuation.js) against a small fixture book
+// (test/fixtures/value-book.csv) and the default rules.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_RULES, estimateValue, loadBook, loadRules, lookupBase } from "../netlify/functions/lib/valuation.js";
+
+const book = loadBook(fileURLToPath(new URL("./fixtures/value-book.csv", import.meta.url)));
+const rules = loadRules({});
+const ACCORD = { year: "2020", make: "Honda", model: "Accord" };
+
+test("loads the book, skipping rows without a value", () => {
+  assert.equal(book.length, 5);
+  assert.deepEqual(book.at(-1), { year: 2019, make: "Ford", model: "F-150", trim: "", value: 31500, mileage: 50000 });
+});
+
+test("looks up the exact trim, then any trim, then the nearest year", () => {
+  const find = (vehicle) => {
+    const hit = lookupBase(book, vehicle, rules);
+    return hit && [hit.row.year, hit.row.trim, hit.yearGap];
+  };
+  assert.deepEqual(find({ ...ACCORD, trim: "EX-L" }), [2020, "EX-L", 0]);
+  assert.deepEqual(find({ ...ACCORD, trim: "LX" }), [2020, "", 0]);
+  assert.deepEqual(find({ year: "2020", make: "honda", model: "ACCORD" }), [2020, "", 0]);
+  assert.deepEqual(find({ ...ACCORD, year: "2022" }), [2020, "", 2]);
+  assert.equal(find({ ...ACCORD, year: "2023" }), null, "past maxYearGap");
+  // Equally near on both sides: the newer year wins
+  assert.deepEqual(find({ year: "2019", make: "Honda", model: "Civic" }), [2020, "", -1]);
+  assert.equal(find({ year: "2020", make: "Honda", model: "Pilot" }), null);
+});
+
+test("scales a neighbouring year's value by yearStepPct", () => {
+  const newer = estimateValue({ ...ACCORD, year: "2021" }, { book, rules });
+  assert.equal(newer.base.value, 23980); // 22000 × 1.09
+  assert.equal(newer.base.yearAdjusted, true);
+  assert.equal(estimateValue({ ...ACCORD, year: "2019" }, { book, rules }).base.value, 20020);
+  assert.equal(estimateValue(ACCORD, { book, rules }).base.yearAdjusted, false);
+});
+
+test("adjusts for mileage against the book, capped at capPct of the base", () => {
+  const mileage = (miles) => estimateValue({ ...ACCORD, mileage: miles }, { book, rules }).adjustments;
+  assert.deepEqual(mileage("38,000"), [{ id: "mileage", miles: 38000, amount: 800 }]);
+  assert.deepEqual(mileage("548000"), [{ id: "mileage", miles: 548000, amount: -5500 }]);
+  assert.deepEqual(mileage("0"), [{ id: "mileage", miles: 0, amount: 3840 }]);
+  assert.deepEqual(mileage("48000"), [], "at book mileage");
+});
+
+test("applies value and range rules as ids with the answer, not text", () => {
+  const estimate = estimateValue({
+    ...ACCORD, title: "Rebuilt", accident: "Yes", warnings: "Yes", tires: "needs replacement", brakes: "Good", keys: "1", owners: "4",
+  }, { book, rules });
+  assert.deepEqual(estimate.adjustments, [
+    { id: "title", answer: "Rebuilt", amount: -6600 },
+    { id: "accident", answer: "Yes", amount: -2200 },
+    { id: "warnings", answer: "Yes", amount: -750 },
+    { id: "tires", answer: "needs replacement", amount: -700 },
+    { id: "keys", answer: "1", amount: -250 },
+    { id: "owners", answer: "4", amount: -1320 },
+  ]);
+  assert.deepEqual([estimate.low, estimate.value, estimate.high], [9500, 10200, 10900]);
+
+  const ranges = (lead) => estimateValue({ ...ACCORD, ...lead }, { book, rules }).adjustments.map((a) => a.amount);
+  assert.deepEqual(ranges({ keys: "0", owners: "3" }), [-500, -660]);
+  assert.deepEqual(ranges({ keys: "2", owners: "2", title: "Clean" }), []);
+});
+
+test("rounds the range to roundTo and never goes under minValue", () => {
+  const wide = { ...rules, roundTo: 500, spreadPct: 10 };
+  const estimate = estimateValue(ACCORD, { book, rules: wide });
+  assert.deepEqual([estimate.low, estimate.value, estimate.high], [20000, 22000, 24000]);
+
+  const wreck = estimateValue({
+    year: "2018", make: "Honda", model: "Civic", mileage: "400000", title: "Salvage", warnings: "Yes",
+    tires: "Needs Replacement", brakes: "Needs Replacement", keys: "0", owners: "5",
+  }, { book, rules });
+  assert.deepEqual([wreck.low, wreck.value, wreck.high], [DEFAULT_RULES.minValue, DEFAULT_RULES.minValue, DEFAULT_RULES.minValue]);
+});
+
+test("says why there is no estimate", () => {
+  assert.deepEqual(estimateValue({ year: "2020", make: "Honda" }, { book, rules }), { ok: false, reason: "missing_vehicle" });
+  assert.deepEqual(estimateValue({ ...ACCORD, model: "Pilot" }, { book, rules }), { ok: false, reason: "not_in_book" });
+});
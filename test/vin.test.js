@@ -0,0 +1,66 @@
+// test/vin.test.js
+// VIN checks on both sides: the server's (lib/vin.js) and the page's offline
+// helpers (assets/vin.js, loaded onto globalThis as window.QuirkVin).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeCheckDigit, validateVin } from "../netlify/functions/lib/vin.js";
+import "../assets/vin.js";
+
+const { QuirkVin } = globalThis;
+
+// Real-world VINs: check digits 3, X and 9
+const GOOD = ["1HGCM82633A004352", "1M8GDM9AXKP042788", "5YJ3E1EA9LF000316"];
+const BAD_CHECK_DIGIT = "1HGCM82643A004352";
+
+test("accepts known-good VINs, normalizing case and spaces", () => {
+  for (const vin of GOOD) {
+    assert.deepEqual(validateVin(vin), { ok: true, vin });
+    assert.equal(computeCheckDigit(vin), vin[8]);
+    assert.deepEqual(QuirkVin.validate(vin), { ok: true, vin });
+  }
+  assert.deepEqual(validateVin(" 1hgcm8263 3a004352 "), { ok: true, vin: GOOD[0] });
+  assert.equal(QuirkVin.validate(" 1hgcm8263 3a004352 ").ok, true);
+});
+
+test("rejects a bad check digit", () => {
+  assert.equal(validateVin(BAD_CHECK_DIGIT).code, "invalid_check_digit");
+  assert.equal(QuirkVin.validate(BAD_CHECK_DIGIT).code, "checkDigit");
+});
+
+test("rejects I, O and Q", () => {
+  for (const vin of ["1HGCM8263IA004352", "1HGCM8263OA004352", "1HGCM8263QA004352"]) {
+    assert.equal(validateVin(vin).code, "invalid_format");
+    assert.equal(QuirkVin.validate(vin).code, "ioq");
+  }
+});
+
+test("rejects a wrong length, other characters and an empty VIN", () => {
+  assert.equal(validateVin("1HGCM82633A00435").code, "invalid_format");
+  assert.equal(validateVin("1HGCM82633A0043522").code, "invalid_format");
+  assert.equal(validateVin("").code, "required");
+  assert.deepEqual(
+    [QuirkVin.validate("1HGCM82633A00435"), QuirkVin.validate("1HGCM-2633A004352"), QuirkVin.validate("")].map((r) => r.code),
+    ["length", "chars", "required"]
+  );
+});
+
+test("decodes the model year on the 30-year cycle", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  // Numeric 7th character: 1980–2009; a letter: 2010–2039
+  assert.equal(QuirkVin.modelYear(GOOD[0], now), 2003);
+  assert.equal(QuirkVin.modelYear(GOOD[1], now), 1989);
+  assert.equal(QuirkVin.modelYear(GOOD[2], now), 2020);
+  // Outside North America: the latest year not past next model year
+  assert.equal(QuirkVin.modelYear("WVWZZZ1KZ8W000000", now), 2008);
+  assert.equal(QuirkVin.modelYear("WVWZZZ1KZUW000000", now), null, "U is never a year code");
+  assert.deepEqual(QuirkVin.decodeLocal(GOOD[0], now), { vin: GOOD[0], wmi: "1HG", make: "Honda", country: "United States", year: 2003 });
+});
+
+test("validation messages are never empty before the bundles load", async () => {
+  // assets/i18n.js attaches to window; its t() returns "" until en.json arrives
+  globalThis.window ??= globalThis;
+  await import("../assets/i18n.js");
+  assert.equal(globalThis.QuirkI18n.t("vinRequired"), "");
+  assert.equal(QuirkVin.validate("").message, "vinRequired");
+  assert.equal(QuirkVin.validate(BAD_CHECK_DIGIT).message, "vinCheckDigit");
+});
@@ -0,0 +1,121 @@
+// test/vpic.test.js
+// The VIN/models proxy against a stubbed upstream (createVpicClient's fetchImpl).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHandler } from "../netlify/functions/vpic.js";
+import { createVpicClient } from "../netlify/functions/lib/vpic.js";
+
+const VIN = "1HGCM82633A004352";
+
+/** A fetch that answers from `routes` (URL substring -> JSON body or HTTP status) and records calls */
+function stubFetch(routes) {
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(url);
+    const hit = Object.keys(routes).find((part) => url.includes(part));
+    const body = hit ? routes[hit] : 404;
+    if (typeof body === "number") return new Response("", { status: body });
+    return new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+  };
+  return { fetchImpl, calls };
+}
+
+const handlerWith = (routes) => {
+  const stub = stubFetch(routes);
+  const client = createVpicClient({ baseUrl: "https://vpic.test/api/vehicles/", fetchImpl: stub.fetchImpl });
+  return { handler: createHandler({ client, ttlSeconds: 60 }), calls: stub.calls };
+};
+
+const get = (handler, path, query = {}) => handler({ httpMethod: "GET", path, queryStringParameters: query, headers: {} });
+
+test("decodes a VIN into the normalized schema", async () => {
+  const { handler, calls } = handlerWith({
+    decodevinvaluesextended: {
+      Results: [{
+        ModelYear: "2003", Make: "HONDA", Model: "Accord", Series: "EX", BodyClass: "Coupe",
+        DriveType: "FWD", DisplacementL: "3.0", EngineCylinders: "6", EngineModel: "J30A4",
+        FuelTypePrimary: "Gasoline", ErrorCode: "0", ErrorText: "0 - VIN decoded clean.",
+      }],
+    },
+  });
+
+  const res = await get(handler, `/api/vin/${VIN.toLowerCase()}`);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Cache-Control"], "public, max-age=60");
+  assert.deepEqual(JSON.parse(res.body), {
+    vin: VIN, year: "2003", make: "HONDA", model: "Accord", trim: "EX", bodyClass: "Coupe",
+    drivetrain: "FWD", engine: "3.0L 6-cyl (J30A4)", fuelType: "Gasoline", errorCodes: [], errorText: "", cached: false,
+  });
+  assert.equal(calls[0], `https://vpic.test/api/vehicles/decodevinvaluesextended/${VIN}?format=json`);
+});
+
+test("serves a repeat decode from the cache", async () => {
+  const { handler, calls } = handlerWith({ decodevinvaluesextended: { Results: [{ Make: "HONDA" }] } });
+  await get(handler, "/api/vin/" + VIN);
+  const again = await get(handler, "/api/vin/", { vin: VIN });
+  assert.equal(JSON.parse(again.body).cached, true);
+  assert.equal(calls.length, 1);
+});
+
+test("keeps VPIC error codes other than 0", async () => {
+  const { handler } = handlerWith({
+    decodevinvaluesextended: { Results: [{ ErrorCode: "1,0,400", ErrorText: "1 - Check digit incorrect" }] },
+  });
+  const body = JSON.parse((await get(handler, "/api/vin/" + VIN)).body);
+  assert.deepEqual(body.errorCodes, ["1", "400"]);
+  assert.equal(body.errorText, "1 - Check digit incorrect");
+});
+
+test("rejects a malformed VIN without calling upstream", async () => {
+  const { handler, calls } = handlerWith({});
+  const res = await get(handler, "/api/vin/1HGCM8263IOQ04352");
+  assert.equal(res.statusCode, 400);
+  assert.equal(calls.length, 0);
+});
+
+test("lists models sorted and de-duplicated", async () => {
+  const { handler, calls } = handlerWith({
+    getmodelsformakeyear: { Results: [{ Model_Name: "Pilot" }, { Model_Name: "accord" }, { Model_Name: "Pilot" }, { Model_Name: " " }] },
+  });
+  const res = await get(handler, "/api/models", { make: "Honda", year: "2020" });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(JSON.parse(res.body), { make: "Honda", year: "2020", models: ["accord", "Pilot"], cached: false });
+  assert.match(calls[0], /getmodelsformakeyear\/make\/Honda\/modelyear\/2020\?format=json$/);
+});
+
+test("validates the models query", async () => {
+  const { handler } = handlerWith({});
+  assert.equal((await get(handler, "/api/models", { make: "Honda", year: "20" })).statusCode, 400);
+  assert.equal((await get(handler, "/api/models", { year: "2020" })).statusCode, 400);
+});
+
+test("reports an upstream failure as 502", async () => {
+  const { handler } = handlerWith({ decodevinvaluesextended: 503 });
+  const res = await get(handler, "/api/vin/" + VIN);
+  assert.equal(res.statusCode, 502);
+  assert.deepEqual(JSON.parse(res.body), { error: "VIN service unavailable" });
+});
+
+test("only answers GET on known routes", async () => {
+  const { handler } = handlerWith({});
+  assert.equal((await handler({ httpMethod: "POST", path: "/api/models", headers: {} })).statusCode, 405);
+  assert.equal((await get(handler, "/api/other")).statusCode, 404);
+});
+
+test("answers only the site's own origins", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  t.after(() => { delete process.env.ALLOWED_ORIGINS; });
+  process.env.ALLOWED_ORIGINS = "https://trade.example.com";
+  const { handler } = handlerWith({ getmodelsformakeyear: { Results: [] } });
+  const from = (origin, method = "GET") => handler({ httpMethod: method, path: "/api/models", queryStringParameters: { make: "Honda", year: "2020" }, headers: { origin } });
+
+  const ok = await from("https://trade.example.com");
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.headers["Access-Control-Allow-Origin"], "https://trade.example.com");
+  assert.equal(ok.headers.Vary, "Origin");
+  assert.equal((await from("https://trade.example.com", "OPTIONS")).headers["Access-Control-Allow-Methods"], "GET, OPTIONS");
+
+  const blocked = await from("https://elsewhere.example");
+  assert.equal(blocked.statusCode, 403);
+  assert.equal(blocked.headers["Access-Control-Allow-Origin"], undefined);
+});
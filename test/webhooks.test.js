@@ -0,0 +1,54 @@
+// test/webhooks.test.js
+// Signed lead webhooks (lib/webhooks.js): what signPayload() sends is what
+// verifyWebhook() accepts on the receiving side, and nothing else.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildEnvelope, signPayload, verifyWebhook } from "../netlify/functions/lib/webhooks.js";
+
+const SECRET = "whsec_test";
+const NOW = 1_792_000_000; // unix seconds
+const body = JSON.stringify(buildEnvelope("lead.created", { id: "QT-261019-7K2M", name: "Jane Doe" }, "2026-10-19T14:05:00.000Z"));
+
+test("a signed body verifies and yields its envelope", () => {
+  const result = verifyWebhook(body, signPayload(body, SECRET, NOW), SECRET, { now: NOW });
+  assert.equal(result.ok, true);
+  assert.equal(result.envelope.type, "lead.created");
+  assert.equal(result.envelope.data.lead.id, "QT-261019-7K2M");
+  assert.match(result.envelope.id, /^evt_[0-9a-f]{24}$/);
+});
+
+test("the envelope id is stable across retries", () => {
+  const again = buildEnvelope("lead.created", { id: "QT-261019-7K2M", name: "Jane Doe" }, "2026-10-19T14:05:00.000Z");
+  assert.equal(again.id, JSON.parse(body).id);
+  assert.throws(() => buildEnvelope("lead.deleted", { id: "x" }), /Unknown webhook event/);
+});
+
+test("rejects a tampered body, a wrong secret and a forged signature", () => {
+  const header = signPayload(body, SECRET, NOW);
+  assert.equal(verifyWebhook(body.replace("Jane", "Joan"), header, SECRET, { now: NOW }).reason, "bad_signature");
+  assert.equal(verifyWebhook(body, header, "whsec_other", { now: NOW }).reason, "bad_signature");
+  assert.equal(verifyWebhook(body, `t=${NOW},v1=${"0".repeat(64)}`, SECRET, { now: NOW }).reason, "bad_signature");
+  assert.equal(verifyWebhook(body, `t=${NOW},v1=abc`, SECRET, { now: NOW }).reason, "bad_signature", "short signature");
+  // The timestamp is signed too: moving it breaks the signature
+  assert.equal(verifyWebhook(body, header.replace(`t=${NOW}`, `t=${NOW + 1}`), SECRET, { now: NOW }).reason, "bad_signature");
+});
+
+test("rejects a timestamp outside the tolerance, either way", () => {
+  const old = signPayload(body, SECRET, NOW - 301);
+  assert.equal(verifyWebhook(body, old, SECRET, { now: NOW }).reason, "expired");
+  assert.equal(verifyWebhook(body, signPayload(body, SECRET, NOW + 301), SECRET, { now: NOW }).reason, "expired");
+  assert.equal(verifyWebhook(body, old, SECRET, { now: NOW, toleranceSeconds: 600 }).ok, true);
+});
+
+test("accepts any of several signatures while a secret is rotated", () => {
+  const oldSig = signPayload(body, "whsec_old", NOW).split(",")[1];
+  const header = `${signPayload(body, SECRET, NOW)},${oldSig}`;
+  assert.equal(verifyWebhook(body, header, SECRET, { now: NOW }).ok, true);
+  assert.equal(verifyWebhook(body, header, "whsec_old", { now: NOW }).ok, true);
+});
+
+test("rejects a missing or malformed header", () => {
+  assert.equal(verifyWebhook(body, "", SECRET, { now: NOW }).reason, "missing_signature");
+  assert.equal(verifyWebhook(body, "v1=abc", SECRET, { now: NOW }).reason, "malformed_signature");
+  assert.equal(verifyWebhook(body, `t=${NOW}`, SECRET, { now: NOW }).reason, "malformed_signature");
+});